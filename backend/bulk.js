@@ -0,0 +1,169 @@
+// Importação/exportação em lote (CSV e JSON) de drones, entregas e obstáculos.
+// Este módulo só converte formatos; a validação de cada linha é feita em index.js
+// pelas mesmas funções usadas nas rotas individuais (buildDrone, buildDelivery, buildObstacle).
+//
+// Colunas CSV por coleção (a primeira linha do arquivo é o cabeçalho):
+//   drones:     id, model, maxWeightKg, maxRangeKm, batteryPercent, homeDepotId, energyProfile, performanceProfile,
+//               weatherLimits
+//   deliveries: id, weightKg, priority, pickupLat, pickupLon, dropoffLat, dropoffLon, earliestAt, latestAt
+//   obstacles:  id, type, lat, lon, radiusKm, geometry, activeFrom, activeUntil, schedule
+//               (perfis do drone, weatherLimits, geometry e schedule em JSON como texto)
+// Na exportação são incluídos também os campos de estado (state, status, createdAt...).
+
+const COLUMNS = {
+  drones: {
+    import: ['id', 'model', 'maxWeightKg', 'maxRangeKm', 'batteryPercent', 'homeDepotId', 'energyProfile', 'performanceProfile', 'weatherLimits'],
+    export: ['id', 'model', 'maxWeightKg', 'maxRangeKm', 'batteryPercent', 'homeDepotId', 'energyProfile', 'performanceProfile', 'weatherLimits', 'state', 'reservedBatteryPercent', 'dockedDepotId', 'currentLat', 'currentLon'],
+    numeric: ['maxWeightKg', 'maxRangeKm', 'batteryPercent'],
+    json: ['energyProfile', 'performanceProfile', 'weatherLimits']
+  },
+  deliveries: {
+    import: ['id', 'weightKg', 'priority', 'pickupLat', 'pickupLon', 'dropoffLat', 'dropoffLon', 'earliestAt', 'latestAt'],
+    export: ['id', 'orderNumber', 'weightKg', 'priority', 'status', 'pickupLat', 'pickupLon', 'dropoffLat', 'dropoffLon', 'earliestAt', 'latestAt', 'createdAt', 'deliveredAt'],
+    numeric: ['weightKg', 'pickupLat', 'pickupLon', 'dropoffLat', 'dropoffLon']
+  },
+  obstacles: {
+    import: ['id', 'type', 'lat', 'lon', 'radiusKm', 'geometry', 'activeFrom', 'activeUntil', 'schedule'],
+    export: ['id', 'type', 'lat', 'lon', 'radiusKm', 'geometry', 'activeFrom', 'activeUntil', 'schedule'],
+    numeric: ['lat', 'lon', 'radiusKm'],
+    json: ['geometry', 'schedule']
+  }
+};
+
+const BULK_COLLECTIONS = Object.keys(COLUMNS);
+
+// ---------- CSV ----------
+
+// Detecta o separador pelo cabeçalho (planilhas em pt-BR exportam com ';')
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+// Converte texto CSV (RFC 4180: aspas duplas, "" como escape, quebras de linha dentro de aspas)
+// em matriz de células.
+function parseCsvRows(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Invalid CSV: unterminated quoted field');
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  // ignora linhas totalmente vazias
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// CSV -> lista de objetos { coluna: valor } usando a primeira linha como cabeçalho
+function parseCsv(text) {
+  const rows = parseCsvRows(String(text).replace(/^﻿/, ''));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map(r => {
+    const obj = {};
+    header.forEach((h, i) => { if (h) obj[h] = typeof r[i] === 'undefined' ? '' : r[i].trim(); });
+    return obj;
+  });
+}
+
+function csvCell(value) {
+  if (value === null || typeof value === 'undefined') return '';
+  const s = String(value);
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------- conversão linha <-> registro ----------
+
+// Linha de CSV (tudo string) -> objeto no formato aceito pelas rotas individuais.
+// Células vazias viram undefined para que as regras de "campo obrigatório" se apliquem.
+function fromCsvRow(collection, row) {
+  const { numeric, json = [] } = COLUMNS[collection];
+  const item = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (v === '') continue;
+    if (numeric.includes(k)) {
+      const n = Number(v.replace(',', '.'));
+      item[k] = Number.isFinite(n) ? n : v; // valor inválido segue como string: buildDrone, buildDelivery e buildObstacle exigem números
+    } else if (json.includes(k)) {
+      try { item[k] = JSON.parse(v); } catch { item[k] = v; } // idem: texto inválido é rejeitado na validação
+    } else {
+      item[k] = v;
+    }
+  }
+  return collection === 'deliveries' ? expandCoordinates(item) : item;
+}
+
+// Entregas em formato "plano" (pickupLat/pickupLon...) -> pickup/dropoff { lat, lon }.
+// Aceito tanto em CSV quanto em JSON. Sem nenhuma das duas colunas o ponto fica ausente;
+// coordenadas incompletas ou inválidas (pickupLat=abc) seguem para a validação, que as rejeita.
+function expandCoordinates(item) {
+  const out = { ...item };
+  for (const p of ['pickup', 'dropoff']) {
+    const lat = out[`${p}Lat`];
+    const lon = out[`${p}Lon`];
+    delete out[`${p}Lat`];
+    delete out[`${p}Lon`];
+    if (!out[p] && (typeof lat !== 'undefined' || typeof lon !== 'undefined')) out[p] = { lat, lon };
+  }
+  return out;
+}
+
+// Registro -> linha plana para exportação CSV
+function toFlatRow(collection, item) {
+  const flat = { ...item };
+  for (const k of COLUMNS[collection].json || []) flat[k] = item[k] && JSON.stringify(item[k]);
+  if (collection !== 'deliveries') return flat;
+  return {
+    ...flat,
+    pickupLat: item.pickup && item.pickup.lat,
+    pickupLon: item.pickup && item.pickup.lon,
+    dropoffLat: item.dropoff && item.dropoff.lat,
+    dropoffLon: item.dropoff && item.dropoff.lon
+  };
+}
+
+// Lê o corpo da requisição de importação e devolve a lista de itens a validar.
+// Aceita: texto CSV, array JSON ou { items: [...] }.
+function parseImportBody(collection, body) {
+  if (typeof body === 'string') {
+    const trimmed = body.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return parseImportBody(collection, JSON.parse(trimmed));
+    return parseCsv(body).map(r => fromCsvRow(collection, r));
+  }
+  const list = Array.isArray(body) ? body : body && Array.isArray(body.items) ? body.items : null;
+  if (!list) throw new Error('Expected a CSV body, a JSON array or { items: [...] }');
+  return list.map(item => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return {};
+    return collection === 'deliveries' ? expandCoordinates(item) : item;
+  });
+}
+
+function exportCsv(collection, items) {
+  return toCsv(items.map(i => toFlatRow(collection, i)), COLUMNS[collection].export);
+}
+
+module.exports = { BULK_COLLECTIONS, COLUMNS, parseCsv, toCsv, parseImportBody, exportCsv };
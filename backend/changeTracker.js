@@ -0,0 +1,137 @@
+// Rastreamento das alterações do estado entre dois commits do store, para o log de eventos
+// comparar só os registros tocados em vez do banco inteiro (ver events.js).
+// O store entrega o estado embrulhado em Proxies:
+//  - escrever em qualquer nível de um registro (flight.stops[2].status = ...) marca o registro
+//  - mexer na lista de uma coleção (push, splice, db.flights = [...]) marca a coleção inteira
+//  - escrever numa chave de topo que não é coleção (nextOrderNumber...) marca o contador
+// O que é gravado no estado é sempre o objeto real: Proxies atribuídos são desembrulhados,
+// inclusive dentro de objetos novos montados a partir do estado ({ ...flight }, [...stops]).
+// Os Proxies não passam por structuredClone: para copiar o estado use `store.raw`.
+
+function createChangeTracker(collections) {
+  const targets = new WeakMap(); // proxy -> objeto real
+  const listProxies = new WeakMap(); // lista real -> proxy
+  const itemProxies = new WeakMap(); // registro real -> (objeto real dentro dele -> proxy)
+  let rootTarget = null;
+  let rootProxy = null;
+  let changes = fresh();
+
+  function fresh() {
+    return { all: false, items: new Map(), lists: new Set(), counters: new Set() };
+  }
+
+  function markItem(collection, item) {
+    if (collection === null) {
+      changes.counters.add(item);
+      return;
+    }
+    if (!changes.items.has(collection)) changes.items.set(collection, new Set());
+    changes.items.get(collection).add(item);
+  }
+
+  function unwrap(value) {
+    if (value === null || typeof value !== 'object') return value;
+    const target = targets.get(value);
+    if (target) return target;
+    for (const k of Object.keys(value)) {
+      const v = value[k];
+      if (v !== null && typeof v === 'object') {
+        const u = unwrap(v);
+        if (u !== v) value[k] = u;
+      }
+    }
+    return value;
+  }
+
+  // Objeto dentro de um registro (`root`) ou de um contador (`collection` null, `root` = chave)
+  function wrapNested(value, collection, root) {
+    if (value === null || typeof value !== 'object') return value;
+    const cacheKey = collection === null ? rootTarget : root;
+    if (!itemProxies.has(cacheKey)) itemProxies.set(cacheKey, new WeakMap());
+    const cache = itemProxies.get(cacheKey);
+    if (cache.has(value)) return cache.get(value);
+    const proxy = new Proxy(value, {
+      get: (t, p) => wrapNested(Reflect.get(t, p), collection, root),
+      set: (t, p, v) => {
+        markItem(collection, root);
+        t[p] = unwrap(v);
+        return true;
+      },
+      deleteProperty: (t, p) => {
+        markItem(collection, root);
+        delete t[p];
+        return true;
+      }
+    });
+    cache.set(value, proxy);
+    targets.set(proxy, value);
+    return proxy;
+  }
+
+  function wrapList(collection, list) {
+    if (listProxies.has(list)) return listProxies.get(list);
+    const proxy = new Proxy(list, {
+      get: (t, p) => {
+        const value = Reflect.get(t, p);
+        return value !== null && typeof value === 'object' ? wrapNested(value, collection, value) : value;
+      },
+      set: (t, p, v) => {
+        changes.lists.add(collection);
+        t[p] = unwrap(v);
+        return true;
+      },
+      deleteProperty: (t, p) => {
+        changes.lists.add(collection);
+        delete t[p];
+        return true;
+      }
+    });
+    listProxies.set(list, proxy);
+    targets.set(proxy, list);
+    return proxy;
+  }
+
+  return {
+    // Proxy do estado `db` (um por objeto de estado; trocar o estado troca o Proxy)
+    wrap(db) {
+      if (db !== rootTarget) {
+        rootTarget = db;
+        rootProxy = new Proxy(db, {
+          get: (t, p) => {
+            const value = Reflect.get(t, p);
+            if (collections.includes(p) && Array.isArray(value)) return wrapList(p, value);
+            return wrapNested(value, null, p);
+          },
+          set: (t, p, v) => {
+            if (collections.includes(p)) changes.lists.add(p);
+            else changes.counters.add(p);
+            t[p] = unwrap(v);
+            return true;
+          },
+          deleteProperty: (t, p) => {
+            if (collections.includes(p)) changes.lists.add(p);
+            else changes.counters.add(p);
+            delete t[p];
+            return true;
+          }
+        });
+        targets.set(rootProxy, db);
+      }
+      return rootProxy;
+    },
+
+    // O estado inteiro mudou (restore): o próximo commit compara tudo
+    markAll() {
+      changes.all = true;
+    },
+
+    // Alterações desde a última chamada: { all, items: Map(coleção -> Set(registro)), lists, counters }
+    take() {
+      const out = changes;
+      changes = fresh();
+      return out;
+    }
+  };
+}
+
+module.exports = { createChangeTracker };
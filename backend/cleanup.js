@@ -1,27 +1,33 @@
 // cleanup.js - Script para limpar dados antigos do banco
-const fs = require('fs');
-const path = require('path');
-
-const DB_PATH = path.join(__dirname, 'db.json');
+// Usa a mesma camada de armazenamento do servidor (DB_DRIVER=json|sqlite).
+// Rode com o servidor parado: ele mantém o banco em memória e sobrescreveria a limpeza.
+const { createStorage } = require('./storage');
 
 function cleanupDatabase() {
   console.log('🧹 Limpando banco de dados...\n');
   
-  const db = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+  const storage = createStorage();
+  storage.recover();
+  const db = storage.load();
   
   // Contar antes
   const beforeDrones = db.drones.length;
   const beforeDeliveries = db.deliveries.length;
   const beforeFlights = db.flights.length;
   const beforeObstacles = (db.obstacles || []).length;
+  const beforeDepots = db.depots.length;
+  const beforeWeather = db.weatherAreas.length;
   
   // Remover dados de teste
   db.drones = db.drones.filter(d => !d.id.startsWith('test-'));
   db.deliveries = db.deliveries.filter(d => !d.id.startsWith('test-'));
-  db.flights = db.flights.filter(f => !f.deliveryId.startsWith('test-'));
+  // voos de teste: de entregas de teste ou de drones de teste (inclui retornos à base)
+  db.flights = db.flights.filter(f => !(f.deliveryId || '').startsWith('test-') && !f.droneId.startsWith('test-'));
   if (db.obstacles) {
     db.obstacles = db.obstacles.filter(o => !o.id.startsWith('test-'));
   }
+  db.depots = db.depots.filter(d => !d.id.startsWith('test-'));
+  db.weatherAreas = db.weatherAreas.filter(a => !a.id.startsWith('test-'));
   
   // Remover entregas duplicadas (manter apenas a mais recente de cada ID)
   const uniqueDeliveries = new Map();
@@ -38,13 +44,16 @@ function cleanupDatabase() {
   // Resetar nextOrderNumber se necessário
   if (!db.nextOrderNumber) db.nextOrderNumber = 1;
   
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
+  storage.save(db);
+  storage.close();
   
-  console.log(`✅ Limpeza concluída!`);
+  console.log(`✅ Limpeza concluída! (storage: ${storage.driver})`);
   console.log(`   Drones: ${beforeDrones} → ${db.drones.length} (removidos: ${beforeDrones - db.drones.length})`);
   console.log(`   Entregas: ${beforeDeliveries} → ${db.deliveries.length} (removidos: ${beforeDeliveries - db.deliveries.length})`);
   console.log(`   Voos: ${beforeFlights} → ${db.flights.length} (removidos: ${beforeFlights - db.flights.length})`);
   console.log(`   Obstáculos: ${beforeObstacles} → ${(db.obstacles || []).length} (removidos: ${beforeObstacles - (db.obstacles || []).length})`);
+  console.log(`   Bases: ${beforeDepots} → ${db.depots.length} (removidas: ${beforeDepots - db.depots.length})`);
+  console.log(`   Áreas de tempo: ${beforeWeather} → ${db.weatherAreas.length} (removidas: ${beforeWeather - db.weatherAreas.length})`);
 }
 
 cleanupDatabase();
@@ -0,0 +1,116 @@
+// Otimizador de despacho em lote: atribui drones a várias entregas pendentes de uma vez.
+// Cada drone recebe no máximo uma entrega por lote, então o problema é uma atribuição
+// (emparelhamento bipartido de peso máximo), resolvida com o algoritmo húngaro.
+// Ao contrário do agendamento guloso de POST /flights, um drone de carga pesada não é
+// consumido por um pacote leve quando outra entrega só cabe nele.
+//
+// Objetivos (`objective`):
+//  - 'priority' (padrão): maximiza a soma dos pesos de prioridade (PRIORITY_ORDER);
+//    empate -> menor distância total
+//  - 'distance': maximiza o número de entregas despachadas; empate -> menor distância total
+// A viabilidade de cada par (peso, alcance, bateria, obstáculos) é decidida por quem chama.
+
+const OBJECTIVES = ['priority', 'distance'];
+
+// Escala que separa o critério principal do desempate por distância
+// (nenhuma rota chega perto de 1000 km)
+const SCALE = 1000;
+
+// Algoritmo húngaro (versão de potenciais, O(n³)) para matriz quadrada de custos.
+// Retorna assignment[linha] = coluna.
+function hungarian(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0); // p[coluna] = linha
+  const way = new Array(n + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; } else { minv[j] -= delta; }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) if (p[j]) assignment[p[j] - 1] = j - 1;
+  return assignment;
+}
+
+// Valor de uma atribuição viável para o objetivo escolhido (sempre > 0)
+function assignmentValue(objective, priorityWeight, distanceKm) {
+  const main = objective === 'priority' ? priorityWeight : 1;
+  return main * SCALE - Math.min(distanceKm, SCALE - 1);
+}
+
+// Monta o plano de despacho.
+//  deliveries: entregas candidatas (já filtradas como pendentes)
+//  drones: drones disponíveis
+//  evaluate(delivery, drone) -> { ok, distanceKm, requiredBattery, reason }
+//  priorityWeight(delivery) -> número (ex.: PRIORITY_ORDER)
+// Retorna { assignments, unassigned, score }.
+function planDispatch({ deliveries, drones, evaluate, priorityWeight, objective = 'priority' }) {
+  const evaluations = deliveries.map(del => drones.map(dr => evaluate(del, dr)));
+  const n = Math.max(deliveries.length, drones.length);
+  const assignments = [];
+  const unassigned = [];
+
+  if (n > 0) {
+    // custo = -valor; pares inviáveis e posições fictícias valem 0 (equivale a não atribuir)
+    const cost = [];
+    for (let i = 0; i < n; i++) {
+      const row = new Array(n).fill(0);
+      for (let j = 0; j < n; j++) {
+        const ev = evaluations[i] && evaluations[i][j];
+        if (ev && ev.ok) row[j] = -assignmentValue(objective, priorityWeight(deliveries[i]), ev.distanceKm);
+      }
+      cost.push(row);
+    }
+    const result = hungarian(cost);
+
+    deliveries.forEach((del, i) => {
+      const j = result[i];
+      const ev = j >= 0 && j < drones.length ? evaluations[i][j] : null;
+      if (ev && ev.ok) {
+        assignments.push({ deliveryId: del.id, droneId: drones[j].id, priority: del.priority, weightKg: del.weightKg, distanceKm: Number(ev.distanceKm.toFixed(3)), requiredBattery: ev.requiredBattery });
+        return;
+      }
+      const anyFeasible = evaluations[i].some(e => e.ok);
+      // sem nenhum drone viável: lista os motivos distintos encontrados
+      const reasons = [...new Set(evaluations[i].map(e => e.reason))];
+      const reason = anyFeasible
+        ? 'All feasible drones assigned to higher-value deliveries'
+        : reasons.join('; ') || 'No available drone';
+      unassigned.push({ deliveryId: del.id, priority: del.priority, reason });
+    });
+  }
+
+  const totalDistanceKm = assignments.reduce((s, a) => s + a.distanceKm, 0);
+  const score = {
+    assigned: assignments.length,
+    priorityScore: assignments.reduce((s, a) => s + priorityWeight({ priority: a.priority }), 0),
+    totalDistanceKm: Number(totalDistanceKm.toFixed(3))
+  };
+  return { assignments, unassigned, score };
+}
+
+module.exports = { OBJECTIVES, planDispatch, hungarian };
@@ -0,0 +1,283 @@
+// Log de eventos append-only de todas as mudanças de estado.
+// Cada transação do store (rotas, loops de simulação, migrações, restores) é comparada
+// com o estado anterior e cada registro alterado vira um evento tipado:
+//   { seq, ts, actor, source, type, collection, entityId, key, changes?, after? }
+// - `type`: ex. delivery.created, delivery.status_changed, drone.battery_reserved,
+//   flight.archived (com removedReason), obstacle.removed, depot.updated, weather.updated, counter.updated
+// - `after`: registro completo após a mudança; permite reconstruir o estado (replay)
+// - `changes`: { campo: { from, to } } para alterações
+// O arquivo é JSON Lines (EVENT_LOG_PATH, padrão: backend/events.log).
+// A cada commit só os registros marcados pelo store (ver changeTracker.js) são comparados; o
+// histórico fica só no arquivo e as consultas o leem em streaming, devolvendo uma página.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { emptyDB, COLLECTIONS } = require('./storage');
+
+const DEFAULT_FILE = process.env.EVENT_LOG_PATH || path.join(__dirname, 'events.log');
+// Tamanho da página de GET /events quando `limit` não é informado, e o máximo aceito
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// Nome da entidade nos tipos de evento e chave de identidade de cada coleção.
+// flightHistory pode ter o mesmo voo arquivado mais de uma vez: a chave inclui removedAt.
+const ENTITY = { drones: 'drone', deliveries: 'delivery', flights: 'flight', flightHistory: 'flight', obstacles: 'obstacle', depots: 'depot', weatherAreas: 'weather' };
+const keyOf = (collection, item) => (collection === 'flightHistory' ? `${item.id}|${item.removedAt || ''}` : String(item.id));
+
+// ---------- reconstrução (replay) ----------
+
+// Aplica um evento sobre um banco. Usado pelo replay e para montar a linha de base.
+function applyEvent(db, ev) {
+  if (ev.type === 'counter.updated') {
+    if (typeof ev.after === 'undefined') delete db[ev.key];
+    else db[ev.key] = ev.after;
+    return db;
+  }
+  const list = db[ev.collection];
+  if (!Array.isArray(list)) return db;
+  const idx = list.findIndex(item => keyOf(ev.collection, item) === ev.key);
+  if (typeof ev.after === 'undefined') {
+    if (idx !== -1) list.splice(idx, 1);
+  } else if (idx === -1) {
+    list.push(structuredClone(ev.after));
+  } else {
+    list[idx] = structuredClone(ev.after);
+  }
+  return db;
+}
+
+// Reconstrói o estado aplicando os eventos em ordem, opcionalmente até um seq ou data.
+function replay(events, { untilSeq, untilTs } = {}) {
+  const db = emptyDB();
+  delete db.nextOrderNumber;
+  for (const ev of events) {
+    if (typeof untilSeq === 'number' && ev.seq > untilSeq) break;
+    if (untilTs && ev.ts > untilTs) break;
+    applyEvent(db, ev);
+  }
+  return db;
+}
+
+// ---------- detecção de mudanças ----------
+
+// Índice serializado do estado: coleção -> Map(chave -> JSON), mais os contadores
+function indexState(db) {
+  const index = { counters: new Map() };
+  for (const c of COLLECTIONS) {
+    index[c] = new Map();
+    for (const item of db[c] || []) index[c].set(keyOf(c, item), JSON.stringify(item));
+  }
+  for (const k of Object.keys(db)) {
+    if (!COLLECTIONS.includes(k) && typeof db[k] !== 'undefined') index.counters.set(k, JSON.stringify(db[k]));
+  }
+  return index;
+}
+
+function fieldChanges(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const k of keys) {
+    if (JSON.stringify(before[k]) !== JSON.stringify(after[k])) changes[k] = { from: before[k], to: after[k] };
+  }
+  return changes;
+}
+
+// Tipo mais específico para uma alteração de registro
+function updateType(collection, changes) {
+  const entity = ENTITY[collection];
+  if (changes.status) return `${entity}.status_changed`;
+  if (collection === 'drones' && changes.reservedBatteryPercent) {
+    const { from = 0, to = 0 } = changes.reservedBatteryPercent;
+    return to > from ? 'drone.battery_reserved' : 'drone.battery_released';
+  }
+  if (collection === 'drones' && changes.state) return 'drone.state_changed';
+  return `${entity}.updated`;
+}
+
+// Evento de um registro novo ou alterado (null se não mudou); `before`/`json` serializados
+function itemEvent(collection, key, before, json) {
+  if (before === json) return null;
+  const after = JSON.parse(json);
+  if (typeof before === 'undefined') {
+    const type = collection === 'flightHistory' ? 'flight.archived' : `${ENTITY[collection]}.created`;
+    const ev = { type, collection, entityId: after.id, key, after };
+    if (collection === 'flightHistory') ev.removedReason = after.removedReason || null;
+    return ev;
+  }
+  const changes = fieldChanges(JSON.parse(before), after);
+  return { type: updateType(collection, changes), collection, entityId: after.id, key, changes, after };
+}
+
+function removedEvent(collection, key, json) {
+  const before = JSON.parse(json);
+  const type = collection === 'flightHistory' ? 'flight.history_removed' : `${ENTITY[collection]}.removed`;
+  return { type, collection, entityId: before.id, key, before };
+}
+
+function counterEvent(key, before, json) {
+  if (before === json) return null;
+  if (typeof json === 'undefined') return { type: 'counter.updated', collection: null, entityId: key, key, changes: { [key]: { from: JSON.parse(before), to: undefined } } };
+  return { type: 'counter.updated', collection: null, entityId: key, key, changes: { [key]: { from: before && JSON.parse(before), to: JSON.parse(json) } }, after: JSON.parse(json) };
+}
+
+// Compara o índice anterior com o estado atual e devolve os eventos (sem seq/ts/actor)
+function diffState(prevIndex, db) {
+  const out = [];
+  const nextIndex = indexState(db);
+  for (const c of COLLECTIONS) {
+    const prev = prevIndex[c] || new Map();
+    const next = nextIndex[c];
+    for (const [key, json] of next) {
+      const ev = itemEvent(c, key, prev.get(key), json);
+      if (ev) out.push(ev);
+    }
+    for (const [key, json] of prev) {
+      if (!next.has(key)) out.push(removedEvent(c, key, json));
+    }
+  }
+  for (const [key, json] of nextIndex.counters) {
+    const ev = counterEvent(key, prevIndex.counters.get(key), json);
+    if (ev) out.push(ev);
+  }
+  for (const [key, json] of prevIndex.counters) {
+    if (!nextIndex.counters.has(key)) out.push(counterEvent(key, json, undefined));
+  }
+  return { events: out, index: nextIndex };
+}
+
+// Como diffState, mas só para o que o store marcou (`changes`, ver changeTracker.js):
+// registros escritos, coleções cuja lista mudou (entradas e saídas) e contadores.
+// Atualiza `index` no lugar e devolve os eventos.
+function diffChanges(index, db, changes) {
+  const out = [];
+  const lists = new Set(changes.lists);
+  for (const [c, items] of changes.items) {
+    // registro com chave que o índice não conhece (id alterado): compara a coleção inteira
+    if (!lists.has(c) && [...items].some(item => !index[c].has(keyOf(c, item)))) lists.add(c);
+  }
+  for (const c of COLLECTIONS) {
+    const prev = index[c];
+    const written = changes.items.get(c) || new Set();
+    let candidates;
+    if (lists.has(c)) {
+      const current = new Map((db[c] || []).map(item => [keyOf(c, item), item]));
+      for (const [key, json] of prev) {
+        if (current.has(key)) continue;
+        out.push(removedEvent(c, key, json));
+        prev.delete(key);
+      }
+      candidates = [...current].filter(([key, item]) => !prev.has(key) || written.has(item));
+    } else {
+      candidates = [...written].map(item => [keyOf(c, item), item]);
+    }
+    for (const [key, item] of candidates) {
+      const json = JSON.stringify(item);
+      const ev = itemEvent(c, key, prev.get(key), json);
+      if (ev) out.push(ev);
+      prev.set(key, json);
+    }
+  }
+  for (const key of changes.counters) {
+    const json = typeof db[key] === 'undefined' ? undefined : JSON.stringify(db[key]);
+    const ev = counterEvent(key, index.counters.get(key), json);
+    if (ev) out.push(ev);
+    if (typeof json === 'undefined') index.counters.delete(key);
+    else index.counters.set(key, json);
+  }
+  return out;
+}
+
+// ---------- arquivo ----------
+
+function readEventsFile(file) {
+  if (!fs.existsSync(file)) return [];
+  const events = [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try {
+      events.push(JSON.parse(lines[i]));
+    } catch (e) {
+      // uma última linha incompleta (processo morto durante o append) é descartada
+      if (i >= lines.length - 2) break;
+      throw new Error(`Corrupt event log ${file} at line ${i + 1}: ${e.message}`);
+    }
+  }
+  return events;
+}
+
+function createEventLog({ file = DEFAULT_FILE } = {}) {
+  // o arquivo é lido uma vez para o último seq e o índice do estado; os eventos não ficam em memória
+  const existing = readEventsFile(file);
+  let seq = existing.length ? existing[existing.length - 1].seq : 0;
+  let index = indexState(replay(existing));
+
+  function append(list, context) {
+    if (list.length === 0) return [];
+    const ts = new Date().toISOString();
+    const written = list.map(ev => ({ seq: ++seq, ts, actor: context.actor, source: context.source, ...ev }));
+    fs.appendFileSync(file, written.map(ev => JSON.stringify(ev)).join('\n') + '\n');
+    return written;
+  }
+
+  return {
+    file,
+
+    // Registra as mudanças do estado desde a última chamada. Com `changes` (commit do store)
+    // compara só os registros tocados; sem elas ou num restore (`changes.all`), o estado inteiro.
+    record(db, context = {}, changes = null) {
+      let list;
+      if (!changes || changes.all) {
+        const diff = diffState(index, db);
+        index = diff.index;
+        list = diff.events;
+      } else {
+        list = diffChanges(index, db, changes);
+      }
+      return append(list, { actor: context.actor || 'system', source: context.source || null });
+    },
+
+    // Consulta por entidade, tipo, ator e intervalo, lendo o arquivo em streaming.
+    // Devolve no máximo `limit` eventos (padrão DEFAULT_QUERY_LIMIT) em ordem cronológica:
+    // com `afterSeq`, os primeiros depois dele (acompanhar o log); sem, os últimos antes de
+    // `beforeSeq` (ou do fim), para paginar para trás.
+    async query({ entity, entityId, type, actor, since, until, afterSeq, beforeSeq, limit = DEFAULT_QUERY_LIMIT } = {}) {
+      if (!fs.existsSync(file)) return [];
+      const matches = (ev) => (!entity || ev.type.startsWith(`${entity}.`))
+        && (!entityId || String(ev.entityId) === String(entityId))
+        && (!type || ev.type === type)
+        && (!actor || ev.actor === actor)
+        && (!since || ev.ts >= since)
+        && (!until || ev.ts <= until)
+        && (typeof afterSeq !== 'number' || ev.seq > afterSeq);
+      const out = [];
+      const input = fs.createReadStream(file, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+          let ev;
+          try {
+            ev = JSON.parse(line);
+          } catch (e) {
+            continue; // linha sendo gravada ou truncada: readEventsFile/replay tratam o arquivo inteiro
+          }
+          if (typeof beforeSeq === 'number' && ev.seq >= beforeSeq) break;
+          if (!matches(ev)) continue;
+          out.push(ev);
+          if (typeof afterSeq === 'number') {
+            if (out.length >= limit) break;
+          } else if (out.length > limit) {
+            out.shift();
+          }
+        }
+      } finally {
+        lines.close();
+        input.destroy();
+      }
+      return out;
+    }
+  };
+}
+
+module.exports = { createEventLog, readEventsFile, replay, applyEvent, diffState, diffChanges, indexState, DEFAULT_FILE, DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT };
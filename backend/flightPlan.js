@@ -0,0 +1,159 @@
+// Plano de rota de voos com várias entregas (multi-parada).
+// Um voo carrega todas as entregas de uma vez: visita as coletas e depois os destinos.
+// A rota começa em `origin` (posição do drone ao agendar): o trecho de posicionamento
+// até a primeira coleta faz parte da distância, bateria e ETA do voo.
+// Drones com base (`homeDepotId`) terminam o voo voltando a ela: a última parada é do tipo
+// 'depot' e o retorno também entra na distância e na bateria.
+// Cada parada guarda a distância acumulada desde o início da rota (`atKm`), usada pela
+// simulação para saber quando a parada foi alcançada:
+//   { seq, type: 'pickup' | 'dropoff' | 'depot' | 'launch', deliveryId, depotId?, lat, lon, atKm, status, completedAt }
+// ('launch': ponto de partida, destino da volta de um voo abortado sem base mais próxima)
+// status da parada: 'pending' -> 'completed' (ou 'skipped' se a entrega foi cancelada em voo)
+// Quando há obstáculos no caminho, `routeAround` troca os trechos em linha reta por desvios
+// (pathPlanner.js): o voo guarda a polilinha completa em `waypoints` e `atKm` passa a medir
+// a distância ao longo dela.
+const { haversineKm, pointAlong } = require('./geo');
+const { planPath } = require('./pathPlanner');
+
+// Ordena pontos pelo vizinho mais próximo a partir de `from` (heurística simples;
+// com poucas paradas por voo o resultado é próximo do ótimo)
+function nearestNeighborOrder(from, items, pointOf) {
+  const left = [...items];
+  const ordered = [];
+  let current = from;
+  while (left.length) {
+    let best = 0;
+    if (current) {
+      let bestKm = Infinity;
+      left.forEach((it, i) => {
+        const km = haversineKm(current, pointOf(it));
+        if (km < bestKm) { bestKm = km; best = i; }
+      });
+    }
+    const next = left.splice(best, 1)[0];
+    ordered.push(next);
+    current = pointOf(next);
+  }
+  return ordered;
+}
+
+// Lista ordenada de paradas para as entregas. Com `origin`, a primeira coleta é a mais
+// próxima dele; sem origem conhecida, a primeira entrega define a primeira coleta.
+// Todas as coletas vêm antes dos destinos: a carga total é o peso somado das entregas.
+// Com `home` (base { id, lat, lon }), a rota termina com o retorno à base.
+function planStops(deliveries, origin = null, home = null) {
+  if (deliveries.length === 0) return [];
+  const pickups = origin
+    ? nearestNeighborOrder(origin, deliveries, d => d.pickup)
+    : [deliveries[0], ...nearestNeighborOrder(deliveries[0].pickup, deliveries.slice(1), d => d.pickup)];
+  const lastPickup = pickups[pickups.length - 1].pickup;
+  const dropoffs = nearestNeighborOrder(lastPickup, deliveries, d => d.dropoff);
+
+  const stops = [
+    ...pickups.map(d => ({ type: 'pickup', deliveryId: d.id, lat: d.pickup.lat, lon: d.pickup.lon })),
+    ...dropoffs.map(d => ({ type: 'dropoff', deliveryId: d.id, lat: d.dropoff.lat, lon: d.dropoff.lon }))
+  ];
+  if (home) stops.push(depotStop(home));
+  return withDistances(stops, origin);
+}
+
+function depotStop(depot) {
+  return { type: 'depot', deliveryId: null, depotId: depot.id, lat: depot.lat, lon: depot.lon };
+}
+
+// Voo só de retorno à base (sem entregas)
+function returnStops(origin, home) {
+  return withDistances([depotStop(home)], origin);
+}
+
+// Ponto de partida de um voo: onde o drone estava ao agendar (sem origem, a primeira parada)
+function launchPoint(flight) {
+  const point = flight.origin || flight.stops[0];
+  return { lat: point.lat, lon: point.lon };
+}
+
+// Volta de um voo abortado ao ponto de partida
+function launchStops(origin, launch) {
+  return withDistances([{ type: 'launch', deliveryId: null, lat: launch.lat, lon: launch.lon }], origin);
+}
+
+// Numera as paradas e calcula a distância acumulada desde a origem
+function withDistances(stops, origin) {
+  let atKm = 0;
+  return stops.map((s, i) => {
+    if (i > 0) atKm += haversineKm(stops[i - 1], s);
+    else if (origin) atKm = haversineKm(origin, s);
+    return { seq: i + 1, ...s, atKm: Number(atKm.toFixed(3)), status: 'pending', completedAt: null };
+  });
+}
+
+// Pontos da rota na ordem de voo (origem, se houver, e paradas)
+function routePoints(flight) {
+  return flight.origin ? [flight.origin, ...flight.stops] : flight.stops;
+}
+
+// Traça a rota desviando dos obstáculos: cada trecho entre pontos consecutivos vira o caminho
+// mais curto de planPath e o `atKm` das paradas é recalculado ao longo desse caminho.
+// Retorna { stops, waypoints } (waypoints = polilinha da origem até a última parada),
+// ou null se algum trecho não tem desvio possível.
+function routeAround(stops, origin, obstacles) {
+  const points = routePoints({ origin, stops });
+  if (points.length === 0) return { stops, waypoints: [] };
+  const waypoints = [{ lat: points[0].lat, lon: points[0].lon }];
+  const stopKm = origin ? [] : [0];
+  let km = 0;
+  for (let i = 1; i < points.length; i++) {
+    const leg = planPath(points[i - 1], points[i], obstacles);
+    if (!leg) return null;
+    for (let j = 1; j < leg.length; j++) {
+      km += haversineKm(leg[j - 1], leg[j]);
+      waypoints.push(leg[j]);
+    }
+    stopKm.push(km);
+  }
+  return {
+    stops: stops.map((s, i) => ({ ...s, atKm: Number(stopKm[i].toFixed(3)) })),
+    waypoints
+  };
+}
+
+// Comprimento total da rota (km) = posição da última parada
+function routeLengthKm(stops) {
+  return stops.length ? stops[stops.length - 1].atKm : 0;
+}
+
+// Ids das entregas de um voo (voos antigos só têm deliveryId)
+function flightDeliveryIds(flight) {
+  if (Array.isArray(flight.deliveryIds) && flight.deliveryIds.length) return flight.deliveryIds;
+  return flight.deliveryId ? [flight.deliveryId] : [];
+}
+
+// Polilinha que o drone percorre: waypoints (com desvios) ou, em voos antigos, origem e paradas
+function flightPath(flight) {
+  return Array.isArray(flight.waypoints) && flight.waypoints.length ? flight.waypoints : routePoints(flight);
+}
+
+// Posição do drone após percorrer `km` da rota do voo (ao longo dos desvios, se houver)
+function positionAt(flight, km) {
+  return pointAlong(flightPath(flight), km);
+}
+
+// Divide a rota no ponto a `km` do início: { done, rest }. A posição nesse ponto é o
+// último ponto de `done` e o primeiro de `rest`.
+function splitRoute(flight, km) {
+  const points = flightPath(flight);
+  const here = pointAlong(points, km);
+  const done = [points[0]];
+  const rest = [here];
+  let acc = 0;
+  for (let i = 1; i < points.length; i++) {
+    acc += haversineKm(points[i - 1], points[i]);
+    if (acc <= km) done.push(points[i]);
+    else rest.push(points[i]);
+  }
+  const last = done[done.length - 1];
+  if (last.lat !== here.lat || last.lon !== here.lon) done.push(here);
+  return { done, rest };
+}
+
+module.exports = { planStops, returnStops, launchPoint, launchStops, routeAround, routePoints, routeLengthKm, flightDeliveryIds, positionAt, splitRoute };
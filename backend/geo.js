@@ -0,0 +1,37 @@
+// Funções geográficas compartilhadas (distâncias e interpolação em coordenadas lat/lon).
+
+// Distância em km entre dois pontos { lat, lon } (fórmula de haversine)
+function haversineKm(a, b) {
+  const R = 6371; // km
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const sinDlat = Math.sin(dLat / 2);
+  const sinDlon = Math.sin(dLon / 2);
+  const A = sinDlat * sinDlat + sinDlon * sinDlon * Math.cos(lat1) * Math.cos(lat2);
+  const C = 2 * Math.atan2(Math.sqrt(A), Math.sqrt(1 - A));
+  return R * C;
+}
+
+// Ponto a `km` do início de uma polilinha [{ lat, lon }, ...] (interpolação linear por trecho).
+// Além do fim, retorna o último ponto.
+function pointAlong(points, km) {
+  if (points.length === 0) return null;
+  let left = Math.max(0, km);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const seg = haversineKm(a, b);
+    if (left <= seg) {
+      const t = seg > 0 ? left / seg : 1;
+      return { lat: a.lat + (b.lat - a.lat) * t, lon: a.lon + (b.lon - a.lon) * t };
+    }
+    left -= seg;
+  }
+  const last = points[points.length - 1];
+  return { lat: last.lat, lon: last.lon };
+}
+
+module.exports = { haversineKm, pointAlong };
@@ -1,92 +1,230 @@
 // Servidor backend simples para gerenciar drones, entregas e voos.
-// Persistência: arquivo JSON local (`db.json`).
+// Persistência: camada plugável em `storage/` (arquivo JSON `db.json` ou SQLite, via DB_DRIVER).
 // Rotas principais:
 //  - /drones (GET, POST, PUT, DELETE)
 //  - /deliveries (GET, POST)
 //  - /flights (GET, POST) -> agendamento de voos
 //  - /flight-history (GET) -> voos arquivados (audit)
-const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const express = require('express');
 const cors = require('cors');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('./storage');
+const { createStore } = require('./store');
+const { runMigrations } = require('./migrations');
+const snapshots = require('./snapshots');
+const { createEventLog, MAX_QUERY_LIMIT } = require('./events');
+const bulk = require('./bulk');
+const { OBJECTIVES, planDispatch } = require('./dispatch');
+const { planStops, returnStops, launchPoint, launchStops, routeAround, routeLengthKm, flightDeliveryIds, positionAt, splitRoute } = require('./flightPlan');
+const { segmentBlocked } = require('./pathPlanner');
+const { haversineKm } = require('./geo');
+const { isActiveDuring, isExpired, activeObstacles } = require('./restrictions');
+const { deadlineOf, windowOpen, slaStatus } = require('./sla');
+const { WEATHER_REASONS, conditionsAt, tailwindKmh, weatherViolation } = require('./weather');
+const { energyForLegs, requiredBatteryPercent } = require('../shared/energy.mjs');
+const { flightTimeline, timelineDurationSec, kmAtElapsed, elapsedAtKm } = require('../shared/flightProfile.mjs');
+const {
+  transitionError, launchError, setState, isDroneIdle, canDepartNow, OUT_OF_SERVICE_STATES, isDispatchable, isAirborne, revertFlightDeliveries, completeStopsUpTo, flightLegs, recordFlightAction,
+  launchFlight, completeFlight, cancelFlight, archiveFlight, abortFlight, drainHover, startReturn, landReturnedFlight, holdFlight, resumeFlight
+} = require('./stateMachine');
+
+// Abre o armazenamento e verifica integridade antes de aceitar qualquer requisição.
+// Um banco corrompido sem cópia válida encerra o processo com erro explícito,
+// em vez de deixar rotas e loops rodando sobre dados quebrados.
+let storage;
+try {
+  storage = createStorage();
+  const rec = storage.recover();
+  if (rec.recovered) {
+    console.warn('='.repeat(70));
+    console.warn(`WARNING: ${storage.file} was corrupt (${rec.reason}).`);
+    console.warn(`Restored from backup ${rec.from}; corrupt file kept at ${rec.corruptCopy}`);
+    console.warn('='.repeat(70));
+  }
+} catch (e) {
+  console.error('='.repeat(70));
+  console.error('FATAL: cannot open database, refusing to start.');
+  console.error(e && e.message);
+  console.error('='.repeat(70));
+  process.exit(1);
+}
 
-const DB_PATH = path.join(__dirname, 'db.json');
+// Quem está alterando o estado na requisição atual (ator + rota); lido pelo store nos commits
+const requestContext = new AsyncLocalStorage();
 
-// Leitura síncrona do arquivo DB. Mantemos simples para o demo.
-function readDB() {
-  return JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
-}
+// Estado em memória compartilhado por rotas e loops; persistido em segundo plano.
+// Alterações sempre via store.transaction(db => ...).
+const store = createStore(storage, { getContext: () => requestContext.getStore() });
 
-// Escrita síncrona do arquivo DB. Formata com identação para facilitar inspeção.
-function writeDB(data) {
-  fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
+// Log de eventos: cada commit do store vira eventos tipados (ver events.js).
+// Na inicialização, mudanças feitas fora do servidor (cleanup.js, restore via CLI...)
+// são reconciliadas com o log e registradas com source 'startup-reconcile'.
+let eventLog;
+try {
+  eventLog = createEventLog();
+  eventLog.record(store.raw, { actor: 'system', source: 'startup-reconcile' });
+  store.subscribe((state, context, changes) => eventLog.record(state, context, changes));
+} catch (e) {
+  console.error('FATAL: cannot open event log, refusing to start.', e && e.message);
+  process.exit(1);
 }
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // importações em lote podem ter milhares de linhas
+// Ator opcional via header `X-Actor` (ex.: nome do operador); padrão 'api'
+app.use((req, res, next) => {
+  requestContext.run({ actor: req.get('X-Actor') || 'api', source: `${req.method} ${req.path}` }, next);
+});
 
 // usaremos https para chamar o serviço de reverse-geocoding (OpenStreetMap Nominatim)
 const https = require('https');
 
 app.get('/health', (req, res) => res.json({ ok: true }));
 
-// Lista drones e cria novo drone
-app.get('/drones', (req, res) => res.json(readDB().drones));
-app.post('/drones', (req, res) => {
-  const db = readDB();
-  const d = req.body || {};
+// Lista drones e cria novo drone. ?state=charging,maintenance filtra pelo estado (ver stateMachine.js)
+app.get('/drones', (req, res) => {
+  const wanted = req.query.state ? String(req.query.state).split(',') : null;
+  return res.json(wanted ? store.state.drones.filter(d => wanted.includes(d.state || 'idle')) : store.state.drones);
+});
+// Valida e monta um novo drone. Mesmas regras para POST /drones e importação em lote.
+// Retorna { error } ou { drone } (sem inserir).
+function buildDrone(d, db) {
   // Campos mínimos obrigatórios (model, maxWeightKg, maxRangeKm). batteryPercent opcional.
   if (!d.model || typeof d.maxWeightKg === 'undefined' || typeof d.maxRangeKm === 'undefined') {
-    return res.status(400).json({ error: 'model, maxWeightKg, maxRangeKm required' });
+    return { error: 'model, maxWeightKg, maxRangeKm required' };
+  }
+  // capacidade e alcance entram nas checagens de peso e energia: só números finitos positivos
+  // (na importação, "abc" chega como string)
+  for (const field of ['maxWeightKg', 'maxRangeKm']) {
+    if (!Number.isFinite(d[field]) || d[field] <= 0) return { error: `${field} must be a positive number` };
+  }
+  if (typeof d.batteryPercent !== 'undefined' && (!Number.isFinite(d.batteryPercent) || d.batteryPercent < 0 || d.batteryPercent > 100)) {
+    return { error: 'batteryPercent must be a number between 0 and 100' };
   }
   let id = d.id;
   if (id && db.drones.some(x => x.id === id)) {
-    return res.status(400).json({ error: 'Drone id already exists' });
+    return { error: 'Drone id already exists' };
   }
+  const home = d.homeDepotId ? (db.depots || []).find(x => x.id === d.homeDepotId) : null;
+  if (d.homeDepotId && !home) return { error: 'Home depot not found' };
+  const profileError = validateDroneProfiles(d);
+  if (profileError) return { error: profileError };
   if (!id) {
     // gera até encontrar um id único
     do {
       id = 'drone-' + Date.now() + '-' + Math.random().toString(36).slice(2,6);
     } while (db.drones.some(x => x.id === id));
   }
-  const newDrone = {
-    id,
-    model: d.model,
-    maxWeightKg: Number(d.maxWeightKg),
-    maxRangeKm: Number(d.maxRangeKm),
-    batteryPercent: typeof d.batteryPercent === 'number' ? d.batteryPercent : 100,
-    state: 'idle', // Estado inicial sempre idle
-    reservedBatteryPercent: 0 // Nenhuma bateria reservada inicialmente
+  return {
+    drone: {
+      id,
+      model: d.model,
+      maxWeightKg: d.maxWeightKg,
+      maxRangeKm: d.maxRangeKm,
+      batteryPercent: typeof d.batteryPercent === 'number' ? d.batteryPercent : 100,
+      state: 'idle', // Estado inicial sempre idle
+      reservedBatteryPercent: 0, // Nenhuma bateria reservada inicialmente
+      homeDepotId: home ? home.id : null,
+      energyProfile: d.energyProfile || null,
+      performanceProfile: d.performanceProfile || null,
+      weatherLimits: d.weatherLimits || null,
+      // drone novo com base começa estacionado nela
+      dockedDepotId: home ? home.id : null,
+      ...(home ? { currentLat: home.lat, currentLon: home.lon } : {})
+    }
   };
-  db.drones.push(newDrone);
-  writeDB(db);
-  return res.status(201).json({ ok: true, drone: newDrone });
-});
+}
+
+// Perfis opcionais do drone; campos ausentes usam o padrão:
+//  - energyProfile: consumo com carga e reserva (ver shared/energy.mjs)
+//  - performanceProfile: velocidade de cruzeiro, subida/descida e decolagem/pouso (ver shared/flightProfile.mjs)
+//  - weatherLimits: vento, precipitação e temperatura máximos para voar (ver weather.js)
+const PROFILE_RULES = {
+  energyProfile: { payloadFactor: v => v >= 0, reservePercent: v => v >= 0 && v <= 100, hoverFactor: v => v >= 0 },
+  performanceProfile: { cruiseSpeedKmh: v => v > 0, takeoffSec: v => v >= 0, climbSec: v => v >= 0, descentSec: v => v >= 0, landingSec: v => v >= 0 },
+  weatherLimits: { maxWindKmh: v => v >= 0, maxPrecipitationMmH: v => v >= 0, minTemperatureC: () => true, maxTemperatureC: () => true }
+};
+
+// Valida os perfis presentes no corpo. Retorna a mensagem de erro ou null.
+function validateDroneProfiles(body) {
+  for (const [field, rules] of Object.entries(PROFILE_RULES)) {
+    const profile = body[field];
+    if (profile === null || typeof profile === 'undefined') continue;
+    if (typeof profile !== 'object' || Array.isArray(profile)) return `${field} must be an object`;
+    for (const [k, v] of Object.entries(profile)) {
+      if (!rules[k]) return `${field}.${k} is not supported`;
+      if (typeof v !== 'number' || !Number.isFinite(v) || !rules[k](v)) return `${field}.${k} is invalid`;
+    }
+  }
+  return null;
+}
+
+app.post('/drones', (req, res) => store.transaction(db => {
+  const built = buildDrone(req.body || {}, db);
+  if (built.error) return res.status(400).json({ error: built.error });
+  db.drones.push(built.drone);
+  return res.status(201).json({ ok: true, drone: built.drone });
+}));
 
 // Atualiza um drone: PUT /drones/:id
-// Permite atualizar campos selecionados (model, maxWeightKg, maxRangeKm, batteryPercent)
-app.put('/drones/:id', (req, res) => {
-  const db = readDB();
+// Permite atualizar campos selecionados (model, maxWeightKg, maxRangeKm, batteryPercent, homeDepotId,
+// energyProfile, performanceProfile, weatherLimits)
+// Ao trocar a base, um drone ocioso voa sozinho até a nova base (loop de simulação);
+// um drone sem posição conhecida é considerado já estacionado nela.
+app.put('/drones/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
   const existingIndex = db.drones.findIndex(d => d.id === id);
   if (existingIndex === -1) return res.status(404).json({ error: 'Drone not found' });
   const body = req.body || {};
+  const home = body.homeDepotId ? db.depots.find(x => x.id === body.homeDepotId) : null;
+  if (body.homeDepotId && !home) return res.status(400).json({ error: 'Home depot not found' });
+  const profileError = validateDroneProfiles(body);
+  if (profileError) return res.status(400).json({ error: profileError });
   // Somente campos permitidos são aplicados ao registro do drone
-  const allowed = ['model', 'maxWeightKg', 'maxRangeKm', 'batteryPercent'];
+  const allowed = ['model', 'maxWeightKg', 'maxRangeKm', 'batteryPercent', 'homeDepotId', 'energyProfile', 'performanceProfile', 'weatherLimits'];
   for (const k of Object.keys(body)){
     if (!allowed.includes(k)) continue;
-    db.drones[existingIndex][k] = body[k];
+    db.drones[existingIndex][k] = k === 'homeDepotId' || k in PROFILE_RULES ? body[k] || null : body[k];
+  }
+  const drone = db.drones[existingIndex];
+  if (home && typeof drone.currentLat !== 'number') {
+    drone.currentLat = home.lat;
+    drone.currentLon = home.lon;
+    drone.dockedDepotId = home.id;
   }
-  writeDB(db);
   res.json({ ok: true, drone: db.drones[existingIndex] });
-});
+}));
+
+// Tira um drone de operação ou devolve: POST /drones/:id/state { state, note? }
+// state: 'maintenance' | 'offline' (fora de operação, o despacho não escolhe) ou 'idle' (volta a operar).
+// 'charging', 'loading', 'in_flight' e 'returning' são do sistema (voos e loop de recarga).
+// Drone com voos ativos (agendados inclusive) ou transição proibida: 409.
+app.post('/drones/:id/state', (req, res) => store.transaction(db => {
+  const drone = db.drones.find(d => d.id === req.params.id);
+  if (!drone) return res.status(404).json({ error: 'Drone not found' });
+  const { state, note } = req.body || {};
+  const manual = ['idle', ...OUT_OF_SERVICE_STATES];
+  if (!manual.includes(state)) return res.status(400).json({ error: `state must be one of: ${manual.join(', ')}` });
+  if (typeof note !== 'undefined' && note !== null && typeof note !== 'string') return res.status(400).json({ error: 'note must be a string' });
+  const active = db.flights.filter(f => f.droneId === drone.id && isActiveFlight(f));
+  if (active.length) return res.status(409).json({ error: 'Drone has active flights', flightIds: active.map(f => f.id) });
+  const error = transitionError('drone', drone, state);
+  if (error) return res.status(409).json({ error });
+  if (drone.state !== state) {
+    setState('drone', drone, state);
+    drone.stateChangedAt = new Date().toISOString();
+  }
+  drone.stateNote = state === 'idle' ? null : note || null;
+  return res.json({ ok: true, drone });
+}));
 
 // Remove um drone: DELETE /drones/:id
 // Comportamento: remove drone do cadastro, arquiva voos relacionados em `flightHistory`
 // e, se entregas associadas estavam em trânsito, as marca como pendentes novamente.
-app.delete('/drones/:id', (req, res) => {
-  const db = readDB();
+app.delete('/drones/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
   const existingIndex = db.drones.findIndex(d => d.id === id);
   if (existingIndex === -1) return res.status(404).json({ error: 'Drone not found' });
@@ -102,110 +240,473 @@ app.delete('/drones/:id', (req, res) => {
       const archived = { ...f, removedAt: now, removedReason: `drone-deleted:${id}` };
       db.flightHistory.push(archived);
 
-      const di = db.deliveries.findIndex(d => d.id === f.deliveryId);
-      if (di !== -1) {
-        // Só voltamos para 'pending' se a entrega estava em trânsito quando o drone foi removido
-        if (db.deliveries[di].status === 'in_transit') db.deliveries[di].status = 'pending';
-      }
+      // Só voltam para 'pending' as entregas que estavam em trânsito quando o drone foi removido
+      revertFlightDeliveries(db, f);
     }
     // Mantemos apenas voos que não são deste drone no array principal de flights
     db.flights = db.flights.filter(f => f.droneId !== id);
   }
 
-  writeDB(db);
   return res.json({ ok: true, removed });
-});
+}));
 
-app.get('/deliveries', (req, res) => res.json(readDB().deliveries));
+// Lista de entregas; as que têm prazo trazem o estado do SLA (`sla`, ver sla.js).
+// ?sla=at-risk,missed filtra por estado
+app.get('/deliveries', (req, res) => {
+  const db = store.state;
+  const now = Date.now();
+  const list = db.deliveries.map(d => d.latestAt ? { ...d, sla: deliverySla(db, d, now) } : d);
+  const wanted = req.query.sla ? String(req.query.sla).split(',') : null;
+  return res.json(wanted ? list.filter(d => wanted.includes(d.sla)) : list);
+});
 // prioridades aceitas e seu peso de ordenação para fila
 const PRIORITY_ORDER = { low: 1, normal: 1, media: 2, medium: 2, alta: 3, high: 3 }; // aceita pt/en
-// Velocidade de cruzeiro para estimar duração dos voos
-const CRUISE_SPEED_KMH = 36; // ~10 m/s
+// Entrega pendente com prazo a menos disso (ou vencido) é sinalizada 'at-risk' e sobe para prioridade alta
+const SLA_AT_RISK_MINUTES = Number(process.env.SLA_AT_RISK_MINUTES) || 30;
+const SLA_AT_RISK_MS = SLA_AT_RISK_MINUTES * 60 * 1000;
+// Duração estimada (s) de um voo pelas paradas, com o perfil de desempenho do drone
+// (cruzeiro, subida/descida, decolagem/pouso; ver shared/flightProfile.mjs). Sem drone, o perfil padrão.
+// `tailwinds`: vento em cada trecho (ver routeTailwinds)
+function flightDurationSec(stops, drone, tailwinds = []) {
+  return Math.max(5, Math.round(timelineDurationSec(flightTimeline(stops, drone, tailwinds))));
+}
+
+// Tempo de voo na linha do tempo do perfil por segundo da duração registrada no voo
+// (difere de 1 pelo piso de 5 s ou se o perfil mudou depois do agendamento)
+function timelineScale(flight, phases) {
+  const totalSec = timelineDurationSec(phases);
+  return flight.estimatedDurationSec > 0 ? totalSec / flight.estimatedDurationSec : 1;
+}
+
+// Distância percorrida (km) depois de `elapsedSec` de voo: parada nas fases de decolagem,
+// subida, descida e pouso; em velocidade de cruzeiro entre as paradas
+function traveledKmAt(flight, drone, elapsedSec) {
+  const phases = flightTimeline(flight.stops, drone, flight.tailwinds);
+  return kmAtElapsed(phases, elapsedSec * timelineScale(flight, phases));
+}
+
+// Segundos de voo até chegar ao km `km` da rota
+function elapsedSecAtKm(flight, drone, km) {
+  const phases = flightTimeline(flight.stops, drone, flight.tailwinds);
+  return elapsedAtKm(phases, km) / timelineScale(flight, phases);
+}
 
 // ===================== Obstáculos =====================
 // Representação simples de obstáculos (zonas de exclusão aérea)
 // Tipos suportados:
 //  - circle: { id, type: 'circle', lat, lon, radiusKm }
-// Guardados em db.obstacles
-
-function lineIntersectsCircle(p1, p2, circle){
-  // Aproxima em km: convertemos pontos para vetores em um plano local.
-  // Estratégia: projetar lat/lon para coordenadas aproximadas x,y em km usando equiretangular.
-  const R = 6371;
-  const toXY = (pt) => {
-    const x = (pt.lon * Math.PI/180) * R * Math.cos((pt.lat*Math.PI/180));
-    const y = (pt.lat * Math.PI/180) * R;
-    return { x, y };
-  };
-  const A = toXY(p1); const B = toXY(p2); const C = toXY({lat: circle.lat, lon: circle.lon});
-  const ABx = B.x - A.x; const ABy = B.y - A.y; const ABlen2 = ABx*ABx + ABy*ABy;
-  if (ABlen2 === 0){
-    // segmento degenerado: usar distância ponto-ponto
-    const dx = A.x - C.x; const dy = A.y - C.y;
-    return Math.sqrt(dx*dx + dy*dy) <= circle.radiusKm;
-  }
-  // parâmetro t da projeção
-  let t = ((C.x - A.x)*ABx + (C.y - A.y)*ABy)/ABlen2;
-  t = Math.max(0, Math.min(1, t));
-  const Px = A.x + t*ABx; const Py = A.y + t*ABy;
-  const dx = Px - C.x; const dy = Py - C.y;
-  const dist = Math.sqrt(dx*dx + dy*dy);
-  return dist <= circle.radiusKm;
-}
-
-function routeBlockedByObstacles(pickup, dropoff, obstacles){
-  if (!Array.isArray(obstacles) || obstacles.length === 0) return false;
-  for (const o of obstacles){
-    if (o.type === 'circle' && typeof o.radiusKm === 'number'){
-      if (lineIntersectsCircle(pickup, dropoff, o)) return true;
-    }
-  }
-  return false;
+//  - polygon: { id, type: 'polygon', geometry: GeoJSON Polygon }
+//  - multipolygon: { id, type: 'multipolygon', geometry: GeoJSON MultiPolygon }
+// (posições GeoJSON são [lon, lat]; o primeiro anel de cada polígono é o externo, os demais são buracos)
+// Qualquer tipo aceita activeFrom/activeUntil e schedule (restrições temporárias, ver restrictions.js).
+// Restrições vencidas (activeUntil no passado) são removidas pelo loop de simulação.
+// Guardados em db.obstacles. Rotas de voo desviam deles (ver pathPlanner.js).
+const OBSTACLE_TYPES = ['circle', 'polygon', 'multipolygon'];
+const GEOMETRY_TYPES = { polygon: 'Polygon', multipolygon: 'MultiPolygon' };
+
+// O que fazer com voos ativos cuja rota restante cruza um obstáculo recém-criado
+// (ver resolveObstacleConflicts). Padrão via OBSTACLE_CONFLICT_POLICY; POST /obstacles aceita `onConflict`.
+//  - hold: o voo fica parado ('holding') e retoma sozinho quando a rota libera
+//  - reroute: recalcula o desvio a partir da posição atual (sem desvio viável, cai para hold)
+//  - abort: cancela o voo e arquiva em flightHistory; entregas a bordo voltam para 'pending'
+const CONFLICT_POLICIES = ['hold', 'reroute', 'abort'];
+let OBSTACLE_CONFLICT_POLICY = process.env.OBSTACLE_CONFLICT_POLICY || 'reroute';
+if (!CONFLICT_POLICIES.includes(OBSTACLE_CONFLICT_POLICY)) {
+  console.warn(`Invalid OBSTACLE_CONFLICT_POLICY "${OBSTACLE_CONFLICT_POLICY}", using "reroute"`);
+  OBSTACLE_CONFLICT_POLICY = 'reroute';
 }
 
-// Endpoints de obstáculos
+// Endpoints de obstáculos (`activeNow` indica se a zona vale neste momento)
 app.get('/obstacles', (req,res) => {
-  const db = readDB();
-  return res.json(db.obstacles || []);
+  const db = store.state;
+  const now = Date.now();
+  return res.json((db.obstacles || []).map(o => ({ ...o, activeNow: isActiveDuring(o, now) })));
 });
 
-app.post('/obstacles', (req,res) => {
-  const db = readDB();
-  const body = req.body || {};
-  if (!body.id || !body.type) return res.status(400).json({ error: 'id and type required' });
-  if (body.type !== 'circle') return res.status(400).json({ error: 'only circle type supported for now' });
-  if (typeof body.lat !== 'number' || typeof body.lon !== 'number' || typeof body.radiusKm !== 'number'){
-    return res.status(400).json({ error: 'lat, lon, radiusKm (number) required' });
+// Anel GeoJSON válido: ao menos 4 posições [lon, lat] dentro dos limites, fechado (primeira = última)
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+  const valid = ring.every(p => Array.isArray(p) && p.length >= 2
+    && typeof p[0] === 'number' && Math.abs(p[0]) <= 180 && typeof p[1] === 'number' && Math.abs(p[1]) <= 90);
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return valid && first[0] === last[0] && first[1] === last[1];
+}
+
+const isValidPolygonCoordinates = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+// Valida a geometria GeoJSON de um obstáculo polygon/multipolygon. Retorna mensagem de erro ou null.
+function validateObstacleGeometry(type, geometry) {
+  const expected = GEOMETRY_TYPES[type];
+  if (!geometry || geometry.type !== expected) return `geometry must be a GeoJSON ${expected}`;
+  const polygons = type === 'multipolygon' ? geometry.coordinates : [geometry.coordinates];
+  if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(isValidPolygonCoordinates)) {
+    return 'Invalid geometry: each ring needs at least 4 [lon, lat] positions and must be closed';
+  }
+  return null;
+}
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Data em texto ISO (campos de data da API)
+function isIsoDate(value) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+// Valida a validade temporária de um obstáculo (activeFrom, activeUntil, schedule).
+// Retorna { error } ou { activity } com os campos normalizados (ausentes = null).
+function validateObstacleActivity(body) {
+  const activity = { activeFrom: null, activeUntil: null, schedule: null };
+  for (const field of ['activeFrom', 'activeUntil']) {
+    if (body[field] === null || typeof body[field] === 'undefined') continue;
+    if (!isIsoDate(body[field])) return { error: `${field} must be an ISO date` };
+    activity[field] = new Date(body[field]).toISOString();
+  }
+  if (activity.activeFrom && activity.activeUntil && activity.activeUntil <= activity.activeFrom) {
+    return { error: 'activeUntil must be after activeFrom' };
+  }
+  const schedule = body.schedule;
+  if (schedule !== null && typeof schedule !== 'undefined') {
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) return { error: 'schedule must be an object' };
+    const days = schedule.daysOfWeek;
+    if (!Array.isArray(days) || days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'schedule.daysOfWeek must be a non-empty array of integers 0-6 (0 = Sunday)' };
+    }
+    if (!TIME_OF_DAY.test(schedule.startTime || '') || !TIME_OF_DAY.test(schedule.endTime || '') || schedule.startTime === schedule.endTime) {
+      return { error: 'schedule.startTime and schedule.endTime must be different HH:MM times' };
+    }
+    const offset = typeof schedule.utcOffsetMinutes === 'undefined' ? 0 : schedule.utcOffsetMinutes;
+    if (!Number.isInteger(offset) || Math.abs(offset) > 14 * 60) return { error: 'schedule.utcOffsetMinutes must be an integer between -840 and 840' };
+    activity.schedule = { daysOfWeek: [...new Set(days)].sort(), startTime: schedule.startTime, endTime: schedule.endTime, utcOffsetMinutes: offset };
   }
+  return { activity };
+}
+
+// Valida e monta um obstáculo (POST /obstacles e importação em lote). Retorna { error } ou { obstacle }.
+function buildObstacle(body, db) {
+  if (!body.id || !body.type) return { error: 'id and type required' };
+  if (!OBSTACLE_TYPES.includes(body.type)) return { error: `type must be one of: ${OBSTACLE_TYPES.join(', ')}` };
+  if (body.type === 'circle') {
+    if (typeof body.lat !== 'number' || typeof body.lon !== 'number' || typeof body.radiusKm !== 'number'){
+      return { error: 'lat, lon, radiusKm (number) required' };
+    }
+  } else {
+    const error = validateObstacleGeometry(body.type, body.geometry);
+    if (error) return { error };
+  }
+  const { error, activity } = validateObstacleActivity(body);
+  if (error) return { error };
+  if ((db.obstacles || []).find(o => o.id === body.id)) return { error: 'Obstacle id already exists' };
+  if (body.type === 'circle') return { obstacle: { id: body.id, type: 'circle', lat: body.lat, lon: body.lon, radiusKm: body.radiusKm, ...activity } };
+  return { obstacle: { id: body.id, type: body.type, geometry: { type: body.geometry.type, coordinates: body.geometry.coordinates }, ...activity } };
+}
+
+// Cria o obstáculo e verifica os voos ativos contra ele; `conflicts` lista os voos afetados
+// e a ação aplicada a cada um (política `onConflict` do corpo ou OBSTACLE_CONFLICT_POLICY).
+app.post('/obstacles', (req,res) => store.transaction(db => {
+  const body = req.body || {};
+  const policy = typeof body.onConflict === 'undefined' ? OBSTACLE_CONFLICT_POLICY : body.onConflict;
+  if (!CONFLICT_POLICIES.includes(policy)) return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+  const built = buildObstacle(body, db);
+  if (built.error) return res.status(400).json({ error: built.error });
   if (!db.obstacles) db.obstacles = [];
-  if (db.obstacles.find(o => o.id === body.id)) return res.status(400).json({ error: 'Obstacle id already exists' });
-  db.obstacles.push({ id: body.id, type: 'circle', lat: body.lat, lon: body.lon, radiusKm: body.radiusKm });
-  writeDB(db);
-  return res.status(201).json({ ok: true });
-});
+  db.obstacles.push(built.obstacle);
+  const conflicts = resolveObstacleConflicts(db, built.obstacle, policy);
+  return res.status(201).json({ ok: true, policy, conflicts });
+}));
 
-app.delete('/obstacles/:id', (req,res) => {
-  const db = readDB();
+app.delete('/obstacles/:id', (req,res) => store.transaction(db => {
   const id = req.params.id;
   if (!db.obstacles) db.obstacles = [];
   const idx = db.obstacles.findIndex(o => o.id === id);
   if (idx === -1) return res.status(404).json({ error: 'Obstacle not found' });
   const removed = db.obstacles.splice(idx,1)[0];
-  writeDB(db);
   return res.json({ ok: true, removed });
+}));
+
+// ===================== Bases (depots) e pontos de recarga =====================
+// Base: { id, name, lat, lon, chargingPads, chargeRatePercentPerMin }
+// Drones têm uma base (`homeDepotId`) e voltam a ela ao fim de cada voo; `dockedDepotId`
+// indica em qual base o drone está estacionado. Só drones estacionados recarregam, e no
+// máximo `chargingPads` ao mesmo tempo por base (os de menor bateria primeiro).
+
+// Valida campos de uma base. `partial` = atualização (só valida o que veio).
+function validateDepotFields(body, partial) {
+  for (const k of ['lat', 'lon']) {
+    if ((!partial || typeof body[k] !== 'undefined') && typeof body[k] !== 'number') return 'lat, lon (number) required';
+  }
+  if (typeof body.chargingPads !== 'undefined' && (!Number.isInteger(body.chargingPads) || body.chargingPads < 1)) {
+    return 'chargingPads must be a positive integer';
+  }
+  if (typeof body.chargeRatePercentPerMin !== 'undefined' && (typeof body.chargeRatePercentPerMin !== 'number' || body.chargeRatePercentPerMin <= 0)) {
+    return 'chargeRatePercentPerMin must be a positive number';
+  }
+  return null;
+}
+
+// Drones estacionados na base e quais deles ocupam um ponto de recarga ('charging') neste momento
+function depotOccupancy(db, depot) {
+  const docked = db.drones.filter(d => d.dockedDepotId === depot.id);
+  const charging = docked.filter(d => d.state === 'charging');
+  return { docked, charging };
+}
+
+// Distribui os pontos de recarga da base (loop de recarga): quem encheu ou passou do número de
+// pontos volta a 'idle'; pontos livres vão para os drones ociosos com bateria abaixo de 100,
+// menor bateria primeiro. Um drone recarregando mantém o ponto até encher ou sair.
+function assignChargingPads(db, depot) {
+  const { docked, charging } = depotOccupancy(db, depot);
+  let changed = false;
+  const keep = charging
+    .filter(d => d.batteryPercent < 100)
+    .sort((a, b) => a.batteryPercent - b.batteryPercent)
+    .slice(0, depot.chargingPads);
+  for (const drone of charging.filter(d => !keep.includes(d))) {
+    setState('drone', drone, 'idle');
+    changed = true;
+  }
+  const waiting = docked
+    .filter(d => isDroneIdle(d) && d.batteryPercent < 100)
+    .sort((a, b) => a.batteryPercent - b.batteryPercent)
+    .slice(0, depot.chargingPads - keep.length);
+  for (const drone of waiting) {
+    setState('drone', drone, 'charging');
+    changed = true;
+  }
+  return changed;
+}
+
+function depotWithOccupancy(db, depot) {
+  const { docked, charging } = depotOccupancy(db, depot);
+  return {
+    ...depot,
+    dockedDroneIds: docked.map(d => d.id),
+    chargingDroneIds: charging.map(d => d.id),
+    freePads: depot.chargingPads - charging.length,
+    homeDroneIds: db.drones.filter(d => d.homeDepotId === depot.id).map(d => d.id)
+  };
+}
+
+app.get('/depots', (req, res) => {
+  const db = store.state;
+  res.json(db.depots.map(dp => depotWithOccupancy(db, dp)));
+});
+
+app.get('/depots/:id', (req, res) => {
+  const db = store.state;
+  const depot = db.depots.find(d => d.id === req.params.id);
+  if (!depot) return res.status(404).json({ error: 'Depot not found' });
+  return res.json(depotWithOccupancy(db, depot));
+});
+
+// Cria base: POST /depots { id?, name?, lat, lon, chargingPads? (1), chargeRatePercentPerMin? (60) }
+app.post('/depots', (req, res) => store.transaction(db => {
+  const body = req.body || {};
+  const error = validateDepotFields(body, false);
+  if (error) return res.status(400).json({ error });
+  let id = body.id;
+  if (id && db.depots.some(d => d.id === id)) return res.status(400).json({ error: 'Depot id already exists' });
+  if (!id) {
+    do {
+      id = 'depot-' + Date.now() + '-' + Math.random().toString(36).slice(2, 6);
+    } while (db.depots.some(d => d.id === id));
+  }
+  const depot = {
+    id,
+    name: body.name || id,
+    lat: body.lat,
+    lon: body.lon,
+    chargingPads: body.chargingPads || 1,
+    chargeRatePercentPerMin: body.chargeRatePercentPerMin || 60,
+    createdAt: new Date().toISOString()
+  };
+  db.depots.push(depot);
+  return res.status(201).json({ ok: true, depot });
+}));
+
+// Atualiza base: PUT /depots/:id (name, lat, lon, chargingPads, chargeRatePercentPerMin)
+// Não é possível mover uma base com drones estacionados nela.
+app.put('/depots/:id', (req, res) => store.transaction(db => {
+  const depot = db.depots.find(d => d.id === req.params.id);
+  if (!depot) return res.status(404).json({ error: 'Depot not found' });
+  const body = req.body || {};
+  const error = validateDepotFields(body, true);
+  if (error) return res.status(400).json({ error });
+  const moving = (typeof body.lat !== 'undefined' && body.lat !== depot.lat) || (typeof body.lon !== 'undefined' && body.lon !== depot.lon);
+  if (moving && db.drones.some(d => d.dockedDepotId === depot.id)) {
+    return res.status(400).json({ error: 'Cannot move a depot with docked drones' });
+  }
+  for (const k of ['name', 'lat', 'lon', 'chargingPads', 'chargeRatePercentPerMin']) {
+    if (typeof body[k] !== 'undefined') depot[k] = body[k];
+  }
+  return res.json({ ok: true, depot });
+}));
+
+// Remove base: só se nenhum drone a tiver como base nem estiver estacionado nela
+app.delete('/depots/:id', (req, res) => store.transaction(db => {
+  const idx = db.depots.findIndex(d => d.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Depot not found' });
+  const id = db.depots[idx].id;
+  const linked = db.drones.filter(d => d.homeDepotId === id || d.dockedDepotId === id);
+  if (linked.length > 0) {
+    return res.status(400).json({ error: `Depot is in use by ${linked.length} drone(s)`, droneIds: linked.map(d => d.id) });
+  }
+  const removed = db.depots.splice(idx, 1)[0];
+  return res.json({ ok: true, removed });
+}));
+
+// ===================== Condições do tempo =====================
+// Áreas com vento, precipitação e temperatura (ver weather.js), definidas pela API ou
+// carregadas de um arquivo local (WEATHER_FILE, padrão backend/weather.json) para rodar offline.
+// O despacho recusa voos acima dos limites do drone e o vento muda a velocidade no solo e o
+// consumo de cada trecho. O vento de cada trecho é lido no agendamento (e nos desvios) e fica
+// no voo em `tailwinds`; mudanças no tempo valem para os voos seguintes.
+const WEATHER_FILE = process.env.WEATHER_FILE || path.join(__dirname, 'weather.json');
+
+// Valida uma área do tempo. Retorna a mensagem de erro ou null.
+function validateWeatherArea(body) {
+  const geometry = ['lat', 'lon', 'radiusKm'].filter(k => typeof body[k] !== 'undefined' && body[k] !== null);
+  if (geometry.length > 0 && geometry.length < 3) return 'lat, lon and radiusKm must be given together';
+  if (geometry.length === 3) {
+    if (typeof body.lat !== 'number' || typeof body.lon !== 'number') return 'lat, lon must be numbers';
+    if (typeof body.radiusKm !== 'number' || body.radiusKm <= 0) return 'radiusKm must be a positive number';
+  }
+  const num = (v) => typeof v === 'number' && Number.isFinite(v);
+  if (!num(body.windSpeedKmh) || body.windSpeedKmh < 0) return 'windSpeedKmh must be a non-negative number';
+  if (!num(body.windDirectionDeg) || body.windDirectionDeg < 0 || body.windDirectionDeg > 360) return 'windDirectionDeg must be between 0 and 360';
+  if (!num(body.precipitationMmH) || body.precipitationMmH < 0) return 'precipitationMmH must be a non-negative number';
+  if (!num(body.temperatureC)) return 'temperatureC must be a number';
+  return null;
+}
+
+function buildWeatherArea(id, body) {
+  const local = typeof body.radiusKm === 'number';
+  return {
+    id,
+    name: body.name || id,
+    ...(local ? { lat: body.lat, lon: body.lon, radiusKm: body.radiusKm } : {}),
+    windSpeedKmh: body.windSpeedKmh,
+    windDirectionDeg: body.windDirectionDeg,
+    precipitationMmH: body.precipitationMmH,
+    temperatureC: body.temperatureC,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Lê as áreas do arquivo local: { areas: [{ id, ...campos }] } ou só o array.
+// Retorna { areas } ou { error } (arquivo ausente, JSON inválido ou área inválida).
+function readWeatherFile(file) {
+  if (!fs.existsSync(file)) return { error: 'Weather file not found', missing: true };
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return { error: `Invalid weather file: ${e.message}` };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.areas;
+  if (!Array.isArray(list)) return { error: 'Weather file must have an areas array' };
+  const areas = [];
+  for (const [i, body] of list.entries()) {
+    const error = !body || !body.id ? 'id required' : validateWeatherArea(body);
+    if (error) return { error: `Area ${i + 1}: ${error}` };
+    if (areas.some(a => a.id === body.id)) return { error: `Area ${i + 1}: duplicate id` };
+    areas.push(buildWeatherArea(body.id, body));
+  }
+  return { areas };
+}
+
+app.get('/weather', (req, res) => res.json(store.state.weatherAreas));
+
+// Condições em um ponto: GET /weather/at?lat=..&lon=..
+app.get('/weather/at', (req, res) => {
+  const lat = Number(req.query.lat);
+  const lon = Number(req.query.lon);
+  if (req.query.lat === undefined || req.query.lon === undefined || Number.isNaN(lat) || Number.isNaN(lon)) {
+    return res.status(400).json({ error: 'lat, lon (number) required' });
+  }
+  return res.json(conditionsAt(store.state.weatherAreas, { lat, lon }));
 });
 
-app.post('/deliveries', (req, res) => {
-  const db = readDB();
-  const d = req.body || {};
+// Cria ou substitui uma área: PUT /weather/:id { name?, lat?, lon?, radiusKm?, windSpeedKmh,
+// windDirectionDeg, precipitationMmH, temperatureC } (sem lat/lon/radiusKm = condição geral)
+app.put('/weather/:id', (req, res) => store.transaction(db => {
+  const body = req.body || {};
+  const error = validateWeatherArea(body);
+  if (error) return res.status(400).json({ error });
+  const area = buildWeatherArea(req.params.id, body);
+  const idx = db.weatherAreas.findIndex(a => a.id === area.id);
+  if (idx === -1) db.weatherAreas.push(area);
+  else db.weatherAreas[idx] = area;
+  return res.status(idx === -1 ? 201 : 200).json({ ok: true, area });
+}));
+
+app.delete('/weather/:id', (req, res) => store.transaction(db => {
+  const idx = db.weatherAreas.findIndex(a => a.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Weather area not found' });
+  const removed = db.weatherAreas.splice(idx, 1)[0];
+  return res.json({ ok: true, removed });
+}));
+
+// Recarrega as áreas do arquivo local, substituindo todas as atuais
+app.post('/weather/reload', (req, res) => store.transaction(db => {
+  const result = readWeatherFile(WEATHER_FILE);
+  if (result.error) return res.status(result.missing ? 404 : 400).json({ error: result.error, file: WEATHER_FILE });
+  db.weatherAreas = result.areas;
+  return res.json({ ok: true, file: WEATHER_FILE, areas: result.areas.length });
+}));
+
+// Vento a favor (+) ou contra (-) em cada trecho entre paradas: [{ fromKm, toKm, kmh }],
+// com as condições no meio do trecho em linha reta (desvios seguem a direção geral do trecho).
+// O primeiro trecho parte da origem do voo; trechos sem vento ficam de fora.
+function routeTailwinds(db, origin, stops) {
+  const tailwinds = [];
+  let from = origin || stops[0];
+  let fromKm = 0;
+  for (const stop of stops) {
+    if (stop.atKm > fromKm) {
+      const middle = { lat: (from.lat + stop.lat) / 2, lon: (from.lon + stop.lon) / 2 };
+      const kmh = Number(tailwindKmh(conditionsAt(db.weatherAreas, middle), from, stop).toFixed(1));
+      if (kmh !== 0) tailwinds.push({ fromKm, toKm: stop.atKm, kmh });
+    }
+    from = stop;
+    fromKm = stop.atKm;
+  }
+  return tailwinds;
+}
+
+// O tempo na origem, nas paradas e no meio dos trechos permite o voo do drone? Retorna o motivo ou null.
+function routeWeatherViolation(db, drone, origin, stops) {
+  const points = [];
+  let from = origin || stops[0];
+  for (const stop of stops) {
+    points.push(from, { lat: (from.lat + stop.lat) / 2, lon: (from.lon + stop.lon) / 2 });
+    from = stop;
+  }
+  points.push(from);
+  for (const point of points) {
+    const reason = weatherViolation(drone, conditionsAt(db.weatherAreas, point));
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// Valida e monta uma entrega (POST /deliveries e importação em lote). Retorna { error } ou { delivery }.
+function buildDelivery(d, db) {
   // Campos obrigatórios exceto id (agora gerado automaticamente se não vier)
-  if (!d.weightKg || !d.pickup || !d.dropoff) return res.status(400).json({ error: 'missing fields (weightKg, pickup, dropoff)' });
-  if (typeof d.weightKg !== 'number' || d.weightKg <= 0) return res.status(400).json({ error: 'weightKg must be positive number' });
+  if (!d.weightKg || !d.pickup || !d.dropoff) return { error: 'missing fields (weightKg, pickup, dropoff)' };
+  if (typeof d.weightKg !== 'number' || d.weightKg <= 0) return { error: 'weightKg must be positive number' };
+  // coordenadas precisam ser números finitos (na importação, "abc" chega como string)
+  for (const field of ['pickup', 'dropoff']) {
+    const point = d[field];
+    if (typeof point !== 'object' || !Number.isFinite(point.lat) || !Number.isFinite(point.lon)) {
+      return { error: `${field}.lat and ${field}.lon must be finite numbers` };
+    }
+  }
 
   let id = d.id;
   // Se id vier e já existir -> erro
   if (id && db.deliveries.some(x => x.id === id)) {
-    return res.status(400).json({ error: 'Delivery id already exists' });
+    return { error: 'Delivery id already exists' };
   }
   // Gerar id se não fornecido
   if (!id) {
@@ -214,18 +715,40 @@ app.post('/deliveries', (req, res) => {
     } while (db.deliveries.some(x => x.id === id));
   }
 
-  const pr = (d.priority || 'normal').toLowerCase();
+  const window = validateDeliveryWindow(d);
+  if (window.error) return { error: window.error };
+
+  const pr = String(d.priority || 'normal').toLowerCase();
   const normalizedPriority = PRIORITY_ORDER[pr] ? pr : 'normal';
-  const newDelivery = { id, weightKg: d.weightKg, pickup: d.pickup, dropoff: d.dropoff, priority: normalizedPriority, status: 'pending', createdAt: new Date().toISOString() };
-  db.deliveries.push(newDelivery);
-  writeDB(db);
-  res.status(201).json({ ok: true, delivery: newDelivery });
-});
+  return { delivery: { id, weightKg: d.weightKg, pickup: d.pickup, dropoff: d.dropoff, priority: normalizedPriority, ...window.window, status: 'pending', createdAt: new Date().toISOString() } };
+}
+
+// Valida a janela de entrega (earliestAt / latestAt, ver sla.js). `current` são os valores já gravados
+// (PUT só envia os campos alterados). Retorna { error } ou { window }.
+function validateDeliveryWindow(body, current = {}) {
+  const window = { earliestAt: current.earliestAt || null, latestAt: current.latestAt || null };
+  for (const field of ['earliestAt', 'latestAt']) {
+    if (typeof body[field] === 'undefined') continue;
+    if (body[field] === null) { window[field] = null; continue; }
+    if (!isIsoDate(body[field])) return { error: `${field} must be an ISO date` };
+    window[field] = new Date(body[field]).toISOString();
+  }
+  if (window.earliestAt && window.latestAt && window.latestAt <= window.earliestAt) {
+    return { error: 'latestAt must be after earliestAt' };
+  }
+  return { window };
+}
+
+app.post('/deliveries', (req, res) => store.transaction(db => {
+  const built = buildDelivery(req.body || {}, db);
+  if (built.error) return res.status(400).json({ error: built.error });
+  db.deliveries.push(built.delivery);
+  res.status(201).json({ ok: true, delivery: built.delivery });
+}));
 
 // Atualizar uma entrega: PUT /deliveries/:id
-// Permite alterar campos como weightKg, pickup, dropoff e priority quando aplicável.
-app.put('/deliveries/:id', (req, res) => {
-  const db = readDB();
+// Permite alterar campos como weightKg, pickup, dropoff, priority e a janela (earliestAt, latestAt) quando aplicável.
+app.put('/deliveries/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
   const idx = db.deliveries.findIndex(d => d.id === id);
   if (idx === -1) return res.status(404).json({ error: 'Delivery not found' });
@@ -236,33 +759,34 @@ app.put('/deliveries/:id', (req, res) => {
     return res.status(400).json({ error: 'Only pending deliveries can be edited' });
   }
 
+  const window = validateDeliveryWindow(body, db.deliveries[idx]);
+  if (window.error) return res.status(400).json({ error: window.error });
+
   const allowed = ['weightKg', 'pickup', 'dropoff', 'priority'];
   for (const k of Object.keys(body)){
     if (!allowed.includes(k)) continue;
     db.deliveries[idx][k] = body[k];
   }
+  Object.assign(db.deliveries[idx], window.window);
 
-  writeDB(db);
   return res.json({ ok: true, delivery: db.deliveries[idx] });
-});
+}));
 
-app.get('/flights', (req, res) => res.json(readDB().flights));
+app.get('/flights', (req, res) => res.json(store.state.flights));
 
 // Histórico de voos (voos arquivados para auditoria)
 app.get('/flight-history', (req, res) => {
-  const db = readDB();
+  const db = store.state;
   return res.json(db.flightHistory || []);
 });
 
 // Limpar todo o histórico de voos: DELETE /flight-history
 // Retorna quantidade removida. Não altera nextOrderNumber (mantém sequenciamento).
-app.delete('/flight-history', (req, res) => {
-  const db = readDB();
+app.delete('/flight-history', (req, res) => store.transaction(db => {
   const count = (db.flightHistory || []).length;
   db.flightHistory = [];
-  writeDB(db);
   return res.json({ ok: true, removed: count });
-});
+}));
 
 // Debug: listar rotas registradas (útil para verificar se endpoints foram carregados)
 app.get('/_routes', (req, res) => {
@@ -359,266 +883,707 @@ app.get('/search', (req, res) => {
 });
 
 // Utilitário: distância Haversine em km entre dois pontos {lat, lon}
-function haversineKm(a, b) {
-  const R = 6371; // km
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lon - a.lon);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const sinDlat = Math.sin(dLat / 2);
-  const sinDlon = Math.sin(dLon / 2);
-  const A = sinDlat * sinDlat + sinDlon * sinDlon * Math.cos(lat1) * Math.cos(lat2);
-  const C = 2 * Math.atan2(Math.sqrt(A), Math.sqrt(1 - A));
-  return R * C;
-}
 
 // Agendar um voo: POST /flights { deliveryId }
 // Seleciona o melhor drone disponível que suporte peso/alcance/bateria e cria um registro de voo.
 // Função utilitária: retorna entregas pendentes ordenadas por prioridade (maior primeiro) e FIFO
 function getSortedPendingDeliveries(db){
+  const now = Date.now();
   const pending = db.deliveries.filter(d => d.status === 'pending');
   return pending.sort((a,b) => {
-    const pa = PRIORITY_ORDER[a.priority] || 1;
-    const pb = PRIORITY_ORDER[b.priority] || 1;
+    // janela que ainda não abriu vai para o fim da fila (chegaria cedo demais)
+    const oa = windowOpen(a, now);
+    const ob = windowOpen(b, now);
+    if (oa !== ob) return oa ? -1 : 1;
+    const pa = dispatchPriority(a, now);
+    const pb = dispatchPriority(b, now);
     if (pb !== pa) return pb - pa; // maior prioridade primeiro
-    // desempate por createdAt
+    // desempate pelo prazo mais próximo, depois por createdAt
+    const da = deadlineOf(a);
+    const dl = deadlineOf(b);
+    if (da !== dl) return da - dl;
     return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
   });
 }
 
-// Agendar um voo: POST /flights { deliveryId? }
-// Se deliveryId não for enviado, seleciona automaticamente a melhor entrega seguindo fila de prioridade.
-app.post('/flights', (req, res) => {
-  const db = readDB();
-  let { deliveryId } = req.body || {};
+// Prioridade usada no despacho: a da entrega, elevada a alta quando o prazo está perto ou vencido
+function dispatchPriority(delivery, nowMs) {
+  const priority = PRIORITY_ORDER[delivery.priority] || 1;
+  return deadlineOf(delivery) - nowMs <= SLA_AT_RISK_MS ? Math.max(priority, PRIORITY_ORDER.high) : priority;
+}
 
-  let delivery;
-  if (deliveryId){
-    delivery = db.deliveries.find(d => d.id === deliveryId);
-    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
-    if (delivery.status !== 'pending') return res.status(400).json({ error: 'Delivery not pending' });
-  } else {
-    const ordered = getSortedPendingDeliveries(db);
-    if (ordered.length === 0) return res.status(400).json({ error: 'No pending deliveries' });
-    // escolhe a primeira que tenha ao menos um drone viável
-    for (const d of ordered){
-      const testCandidates = db.drones.filter(dr => dr.maxWeightKg >= d.weightKg);
-      if (testCandidates.length === 0) continue;
-      const distanceKmTest = haversineKm(d.pickup, d.dropoff);
-      const feasibleTest = testCandidates.filter(dr => distanceKmTest <= dr.maxRangeKm);
-      if (feasibleTest.length === 0) continue;
-      delivery = d; break;
-    }
-    if (!delivery) return res.status(400).json({ error: 'No feasible delivery for any drone' });
+// Estado do SLA da entrega (ver sla.js); a bordo de um voo ativo usa a chegada prevista ao destino
+function deliverySla(db, delivery, nowMs) {
+  if (!delivery.latestAt) return null;
+  // voo voltando após abortar não vai ao destino: a entrega conta como ainda sem voo
+  const flight = delivery.status === 'in_transit' ? db.flights.find(f => isActiveFlight(f) && f.status !== 'returning' && flightDeliveryIds(f).includes(delivery.id)) : null;
+  let etaMs;
+  if (flight) {
+    const { start, end } = flightWindow(flight, nowMs);
+    const stop = (flight.stops || []).find(s => s.type === 'dropoff' && s.deliveryId === delivery.id);
+    const drone = db.drones.find(d => d.id === flight.droneId);
+    etaMs = stop && end !== Infinity ? start + elapsedSecAtKm(flight, drone, stop.atKm) * 1000 : end;
   }
+  return slaStatus(delivery, { nowMs, etaMs, atRiskMs: SLA_AT_RISK_MS });
+}
 
-  // candidatos que suportam o peso da entrega
-  const candidates = db.drones.filter((dr) => dr.maxWeightKg >= delivery.weightKg);
-  if (candidates.length === 0) return res.status(400).json({ error: 'No drone can carry this weight' });
+// Traça as paradas desviando só das zonas ativas durante o voo (partindo em `departMs`).
+// A janela depende da duração, que depende dos desvios: recalcula até o conjunto de zonas
+// parar de crescer. Retorna { stops, waypoints } ou null (ver routeAround).
+function routeDuringFlight(stops, origin, db, departMs, drone) {
+  let zones = [];
+  let routed = routeAround(stops, origin, zones);
+  for (let i = 0; i < 5 && routed; i++) {
+    const untilMs = departMs + flightDurationSec(routed.stops, drone, routeTailwinds(db, origin, routed.stops)) * 1000;
+    const active = activeObstacles(db.obstacles, departMs, untilMs);
+    if (active.length === zones.length) break;
+    zones = active;
+    routed = routeAround(stops, origin, zones);
+  }
+  return routed;
+}
 
-  const distanceKm = haversineKm(delivery.pickup, delivery.dropoff);
+// Rota de um drone para as entregas: trecho de posicionamento da posição atual do drone
+// até a primeira coleta, as paradas e, se o drone tiver base, o retorno a ela.
+// Drone sem posição conhecida começa na primeira coleta.
+// Trechos que cruzam zonas ativas durante o voo são desviados; retorna null se algum trecho não tem desvio.
+function planFlightRoute(deliveries, drone, db, departMs = Date.now()) {
+  const hasPosition = typeof drone.currentLat === 'number' && typeof drone.currentLon === 'number';
+  const origin = hasPosition ? { lat: drone.currentLat, lon: drone.currentLon } : null;
+  const home = drone.homeDepotId ? db.depots.find(d => d.id === drone.homeDepotId) || null : null;
+  const routed = routeDuringFlight(planStops(deliveries, origin, home), origin, db, departMs, drone);
+  if (!routed) return null;
+  const { stops, waypoints } = routed;
+  const last = stops[stops.length - 1];
+  const returnKm = home ? last.atKm - stops[stops.length - 2].atKm : 0;
+  const tailwinds = routeTailwinds(db, origin, stops);
+  return { origin, stops, waypoints, tailwinds, distanceKm: routeLengthKm(stops), positioningKm: origin ? stops[0].atKm : 0, returnKm };
+}
 
-  const feasible = candidates
-    .map((dr) => {
-      if (typeof dr.reservedBatteryPercent !== 'number') dr.reservedBatteryPercent = 0;
-      const withinRange = distanceKm <= dr.maxRangeKm;
-      const requiredBattery = Math.min(100, Math.ceil((distanceKm / dr.maxRangeKm) * 100 * 1.2));
-      const availableBattery = dr.batteryPercent - dr.reservedBatteryPercent;
-      const hasBattery = availableBattery >= requiredBattery;
-      return { dr, withinRange, requiredBattery, hasBattery, availableBattery };
-    })
-    .filter((x) => x.withinRange && x.hasBattery);
+// Janela (ms) em que o voo ocupa o drone. Voo agendado começa no horário de partida, ou agora
+// se o horário já passou e ele ainda não decolou; voo em espera ocupa o drone sem previsão de término.
+function flightWindow(flight, nowMs) {
+  const scheduledMs = Date.parse(flight.scheduledAt);
+  const start = flight.startedAt ? Date.parse(flight.startedAt) : Math.max(Number.isNaN(scheduledMs) ? nowMs : scheduledMs, nowMs);
+  const end = flight.status === 'holding' ? Infinity : start + (flight.estimatedDurationSec || flightDurationSec(flight.stops, null, flight.tailwinds)) * 1000;
+  return { start, end };
+}
 
-  if (feasible.length === 0) {
-    return res.status(400).json({ error: 'No feasible drone available (range/battery)' });
-  }
+// Voos ativos (agendados, em voo ou em espera) do drone com as janelas, em ordem de partida
+function droneBookings(db, droneId, nowMs, exceptFlightId = null) {
+  return db.flights
+    .filter(f => f.droneId === droneId && f.id !== exceptFlightId && isActiveFlight(f))
+    .map(f => ({ flight: f, ...flightWindow(f, nowMs) }))
+    .sort((a, b) => a.start - b.start);
+}
 
-  feasible.sort((a, b) => (b.dr.batteryPercent - b.requiredBattery) - (a.dr.batteryPercent - a.requiredBattery));
-  const chosen = feasible[0];
+// O voo de `startMs` a `endMs` cabe na agenda do drone? Retorna o motivo se não couber.
+// O voo seguinte precisa partir de onde este termina (`lastStop`) quando tem origem definida.
+const BOOKING_REASONS = ['Drone already booked for that time', 'Drone has a later booking starting elsewhere'];
 
-  // Verifica bloqueio por obstáculos
-  if (routeBlockedByObstacles(delivery.pickup, delivery.dropoff, db.obstacles)){
-    return res.status(400).json({ error: 'Route blocked by obstacle' });
-  }
+function bookingConflict(bookings, startMs, endMs, lastStop) {
+  if (bookings.some(b => b.start < endMs && b.end > startMs)) return 'Drone already booked for that time';
+  const next = bookings.find(b => b.start >= endMs);
+  const origin = next && next.flight.origin;
+  if (origin && lastStop && (origin.lat !== lastStop.lat || origin.lon !== lastStop.lon)) return 'Drone has a later booking starting elsewhere';
+  return null;
+}
+
+// Avalia se o drone pode fazer o voo com as entregas: peso somado, tempo dentro dos limites
+// do drone, alcance e bateria sobre a rota completa (posicionamento, desvios de obstáculos,
+// vento e retorno à base incluídos).
+// Com partida futura (`departMs`), o drone sai de onde termina o voo anterior da sua agenda
+// e o voo não pode se sobrepor a outra reserva do mesmo drone.
+// A bateria reservada soma todas as reservas do drone (futuras inclusive): a recarga até a
+// partida não é contada. Retorna { ok, reason } ou { ok: true, ...rota, requiredBattery }.
+function evaluateDrone(drone, deliveries, db, departMs = Date.now()) {
+  const totalWeightKg = deliveries.reduce((sum, d) => sum + d.weightKg, 0);
+  if (drone.maxWeightKg < totalWeightKg) return { ok: false, reason: 'Exceeds drone max weight' };
+  const bookings = droneBookings(db, drone.id, Date.now());
+  const previous = bookings.filter(b => b.start <= departMs).pop();
+  if (previous && previous.end > departMs) return { ok: false, reason: 'Drone already booked for that time' };
+  // partida imediata: o drone precisa poder passar a 'loading' (voo anterior além da estimativa)
+  if (departMs <= Date.now() && transitionError('drone', drone, 'loading')) return { ok: false, reason: 'Drone already booked for that time' };
+  const lastOfPrevious = previous && previous.flight.stops[previous.flight.stops.length - 1];
+  const from = lastOfPrevious ? { ...drone, currentLat: lastOfPrevious.lat, currentLon: lastOfPrevious.lon } : drone;
+  const route = planFlightRoute(deliveries, from, db, departMs);
+  if (!route) return { ok: false, reason: 'Route blocked by obstacle' };
+  const weather = routeWeatherViolation(db, drone, route.origin, route.stops);
+  if (weather) return { ok: false, reason: weather };
+  const legs = flightLegs(db, route.stops, route.tailwinds);
+  if (energyForLegs(drone, legs) > 100) return { ok: false, reason: 'Out of range' };
+  const conflict = bookingConflict(bookings, departMs, departMs + flightDurationSec(route.stops, drone, route.tailwinds) * 1000, route.stops[route.stops.length - 1]);
+  if (conflict) return { ok: false, reason: conflict };
+  const requiredBattery = requiredBatteryPercent(drone, legs);
+  if (drone.batteryPercent - (drone.reservedBatteryPercent || 0) < requiredBattery) return { ok: false, reason: 'Insufficient battery' };
+  return { ok: true, ...route, requiredBattery };
+}
+
+function newFlightId(db) {
+  let id = `flight-${Date.now()}`;
+  // vários voos no mesmo milissegundo (despacho em lote): sufixo sequencial
+  for (let n = 2; db.flights.some(f => f.id === id); n++) id = `flight-${Date.now()}-${n}`;
+  return id;
+}
 
+// Cria o voo para as entregas com o drone escolhido: reserva bateria, marca entregas como
+// `in_transit` e consome um número de ordem de serviço. Com partida imediata o drone passa a
+// `loading`; com partida futura (`scheduledAt`) o loop de simulação decola na hora marcada.
+// `deliveryId` (primeira entrega) é mantido para clientes que só conhecem voos de uma entrega.
+// Quem chama já validou peso/alcance/bateria/obstáculos (ver evaluateDrone).
+function createFlight(db, deliveries, drone, { origin, stops, waypoints, tailwinds, distanceKm, positioningKm, returnKm, requiredBattery }, scheduledAt = null) {
+  const departsNow = !scheduledAt || Date.parse(scheduledAt) <= Date.now();
   const flight = {
-    id: `flight-${Date.now()}`,
-    deliveryId: delivery.id,
-    droneId: chosen.dr.id,
+    id: newFlightId(db),
+    kind: 'delivery',
+    deliveryId: deliveries[0].id,
+    deliveryIds: deliveries.map(d => d.id),
+    droneId: drone.id,
+    origin,
+    stops,
+    waypoints,
+    tailwinds: tailwinds || [],
     distanceKm: Number(distanceKm.toFixed(3)),
-    requiredBattery: chosen.requiredBattery,
+    positioningKm: Number((positioningKm || 0).toFixed(3)),
+    returnKm: Number((returnKm || 0).toFixed(3)),
+    requiredBattery,
     batteryConsumed: 0,
     progress: 0,
-    estimatedDurationSec: Math.max(5, Math.round((distanceKm / CRUISE_SPEED_KMH) * 3600)),
+    estimatedDurationSec: flightDurationSec(stops, drone, tailwinds),
     status: 'scheduled',
-    scheduledAt: new Date().toISOString(),
+    scheduledAt: departsNow ? new Date().toISOString() : new Date(scheduledAt).toISOString(),
     startedAt: null,
     completedAt: null,
     orderNumber: (db.nextOrderNumber || 1),
     displayId: `Ordem de serviço ${db.nextOrderNumber || 1}`,
   };
 
-  const droneIndex = db.drones.findIndex((d) => d.id === chosen.dr.id);
+  const droneIndex = db.drones.findIndex((d) => d.id === drone.id);
   if (typeof db.drones[droneIndex].reservedBatteryPercent !== 'number') db.drones[droneIndex].reservedBatteryPercent = 0;
-  db.drones[droneIndex].reservedBatteryPercent = Math.min(100, db.drones[droneIndex].reservedBatteryPercent + chosen.requiredBattery);
-  // estado e posição inicial do drone (simplificado: assume pickup como origem de voo)
-  db.drones[droneIndex].state = 'loading';
-  db.drones[droneIndex].currentLat = delivery.pickup.lat;
-  db.drones[droneIndex].currentLon = delivery.pickup.lon;
-  const deliveryIndex = db.deliveries.findIndex((d) => d.id === delivery.id);
-  db.deliveries[deliveryIndex].status = 'in_transit';
+  db.drones[droneIndex].reservedBatteryPercent = Math.min(100, db.drones[droneIndex].reservedBatteryPercent + requiredBattery);
+  // o drone parte de onde está; sem posição conhecida, assume a primeira coleta
+  if (departsNow) setState('drone', db.drones[droneIndex], 'loading');
+  if (departsNow && !origin) {
+    db.drones[droneIndex].currentLat = stops[0].lat;
+    db.drones[droneIndex].currentLon = stops[0].lon;
+  }
+  for (const delivery of deliveries) {
+    setState('delivery', db.deliveries.find((d) => d.id === delivery.id), 'in_transit');
+  }
   db.flights.push(flight);
   if (typeof db.nextOrderNumber === 'undefined') db.nextOrderNumber = 1;
   db.nextOrderNumber = db.nextOrderNumber + 1;
-  writeDB(db);
+  return flight;
+}
 
-  return res.status(201).json({ ok: true, flight });
-});
+// Voo de retorno à base (sem entregas, não consome ordem de serviço). Usado quando um drone
+// ocioso está fora da base: voo cancelado no caminho, troca de base, voos anteriores às bases.
+// Reserva a bateria necessária até o limite do que o drone tem: voltar é sempre permitido,
+// com qualquer tempo. Sem desvio das zonas ativas até a base, retorna null e o drone continua
+// parado onde está (o loop de simulação tenta de novo no ciclo seguinte).
+function createReturnFlight(db, drone, depot) {
+  const origin = { lat: drone.currentLat, lon: drone.currentLon };
+  const routed = routeDuringFlight(returnStops(origin, depot), origin, db, Date.now(), drone);
+  if (!routed) return null;
+  const { stops, waypoints } = routed;
+  const distanceKm = routeLengthKm(stops);
+  const tailwinds = routeTailwinds(db, origin, stops);
+  const available = Math.max(0, drone.batteryPercent - (drone.reservedBatteryPercent || 0));
+  const requiredBattery = Math.min(available, requiredBatteryPercent(drone, flightLegs(db, stops, tailwinds)));
+  const flight = {
+    id: newFlightId(db),
+    kind: 'return-to-base',
+    deliveryId: null,
+    deliveryIds: [],
+    droneId: drone.id,
+    origin,
+    stops,
+    waypoints,
+    tailwinds,
+    distanceKm: Number(distanceKm.toFixed(3)),
+    positioningKm: 0,
+    returnKm: Number(distanceKm.toFixed(3)),
+    requiredBattery,
+    batteryConsumed: 0,
+    progress: 0,
+    estimatedDurationSec: flightDurationSec(stops, drone, tailwinds),
+    status: 'scheduled',
+    scheduledAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    orderNumber: null,
+    displayId: `Retorno à base ${depot.name || depot.id}`,
+  };
+  drone.reservedBatteryPercent = (drone.reservedBatteryPercent || 0) + requiredBattery;
+  setState('drone', drone, 'loading');
+  db.flights.push(flight);
+  return flight;
+}
 
-// Avançar estado de um voo (simulação simples): POST /flights/:id/advance
-// Transições:
-//  scheduled -> in_progress -> completed
-// Ajusta estado do drone e localização final.
-app.post('/flights/:id/advance', (req,res) => {
-  const db = readDB();
-  const id = req.params.id;
-  const idx = db.flights.findIndex(f => f.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Flight not found' });
-  const flight = db.flights[idx];
-  const droneIdx = db.drones.findIndex(d => d.id === flight.droneId);
-  const deliveryIdx = db.deliveries.findIndex(d => d.id === flight.deliveryId);
-  if (droneIdx === -1 || deliveryIdx === -1) return res.status(500).json({ error: 'Related drone or delivery missing' });
-
-  if (flight.status === 'scheduled'){
-    flight.status = 'in_progress';
-    flight.startedAt = new Date().toISOString();
-    db.drones[droneIdx].state = 'in_flight';
-  } else if (flight.status === 'in_progress'){
-    flight.status = 'completed';
-    flight.completedAt = new Date().toISOString();
-    db.deliveries[deliveryIdx].status = 'delivered';
-    db.drones[droneIdx].state = 'idle';
-    db.drones[droneIdx].currentLat = db.deliveries[deliveryIdx].dropoff.lat;
-    db.drones[droneIdx].currentLon = db.deliveries[deliveryIdx].dropoff.lon;
-    // consumir bateria restante (se não foi toda consumida na simulação)
-    const remaining = (flight.requiredBattery || 0) - (flight.batteryConsumed || 0);
-    if (remaining > 0){
-      if (typeof db.drones[droneIdx].reservedBatteryPercent === 'number'){
-        db.drones[droneIdx].reservedBatteryPercent = Math.max(0, db.drones[droneIdx].reservedBatteryPercent - remaining);
+// Voo que ainda ocupa o drone (não concluído nem cancelado)
+const ACTIVE_FLIGHT_STATUSES = ['scheduled', 'in_progress', 'holding', 'returning'];
+const isActiveFlight = (f) => ACTIVE_FLIGHT_STATUSES.includes(f.status);
+
+// Distância já percorrida pelo voo (voos agendados ainda não saíram do lugar)
+function traveledKmOf(flight) {
+  return flight.startedAt ? routeLengthKm(flight.stops) * (flight.progress || 0) : 0;
+}
+
+// A rota ainda não percorrida cruza algum dos obstáculos ativos até o fim do voo?
+function remainingRouteBlocked(flight, obstacles, nowMs) {
+  const traveledKm = traveledKmOf(flight);
+  const remainingSec = (flight.estimatedDurationSec || flightDurationSec(flight.stops, null, flight.tailwinds)) * (1 - (flight.startedAt ? flight.progress || 0 : 0));
+  const zones = activeObstacles(obstacles, nowMs, nowMs + remainingSec * 1000);
+  const { rest } = splitRoute(flight, traveledKm);
+  return zones.length > 0 && rest.some((p, i) => i > 0 && segmentBlocked(rest[i - 1], p, zones));
+}
+
+// Recalcula a rota restante (paradas pendentes) a partir da posição atual, desviando das
+// zonas ativas. O trecho já percorrido é mantido em waypoints e a bateria reservada é ajustada.
+// `pending`: paradas pendentes a visitar (padrão: as do voo; o redirecionamento troca um destino).
+// A rota nova passa pela mesma checagem do tempo do despacho (exceto na volta à base).
+// Retorna { ok: true, distanceKm } ou { ok: false, reason } sem alterar o voo.
+function rerouteFlight(db, flight, drone, pending = flight.stops.filter(s => s.status === 'pending')) {
+  const traveledKm = traveledKmOf(flight);
+  const { done } = splitRoute(flight, traveledKm);
+  const here = done[done.length - 1];
+  const completed = flight.stops.filter(s => s.status !== 'pending');
+  const routed = routeDuringFlight(pending, here, db, Date.now(), drone);
+  if (!routed) return { ok: false, reason: 'No detour around obstacle' };
+  // mesmo critério do despacho (evaluateDrone), a partir da posição atual; a volta voa com qualquer tempo
+  const weather = flight.status !== 'returning' && routeWeatherViolation(db, drone, here, routed.stops);
+  if (weather) return { ok: false, reason: weather };
+  const distanceKm = traveledKm + routeLengthKm(routed.stops);
+  const stops = [...completed, ...routed.stops.map(s => ({ ...s, atKm: Number((traveledKm + s.atKm).toFixed(3)) }))];
+  const tailwinds = routeTailwinds(db, flight.origin, stops);
+  const legs = flightLegs(db, stops, tailwinds);
+  if (energyForLegs(drone, legs) > 100) return { ok: false, reason: 'Out of range' };
+  const requiredBattery = requiredBatteryPercent(drone, legs);
+  const extra = requiredBattery - (flight.requiredBattery || 0);
+  if (extra > drone.batteryPercent - (drone.reservedBatteryPercent || 0)) return { ok: false, reason: 'Insufficient battery' };
+
+  const last = stops[stops.length - 1];
+  flight.stops = stops;
+  flight.waypoints = [...done, ...routed.waypoints.slice(1)];
+  flight.tailwinds = tailwinds;
+  flight.distanceKm = Number(distanceKm.toFixed(3));
+  if (stops[0].status === 'pending' && flight.origin) flight.positioningKm = stops[0].atKm;
+  if (last.type === 'depot' && stops.length > 1) flight.returnKm = Number((last.atKm - stops[stops.length - 2].atKm).toFixed(3));
+  flight.requiredBattery = requiredBattery;
+  drone.reservedBatteryPercent = Math.max(0, (drone.reservedBatteryPercent || 0) + extra);
+  flight.estimatedDurationSec = flightDurationSec(stops, drone, tailwinds);
+  if (flight.startedAt) {
+    flight.progress = traveledKm / distanceKm;
+    // realinha a partida com a nova linha do tempo: o drone continua no mesmo ponto e o ETA
+    // passa a contar a rota nova (em espera, a partir do início da espera)
+    const anchorMs = flight.status === 'holding' ? Date.parse(flight.hold.since) : Date.now();
+    flight.startedAt = new Date(anchorMs - elapsedSecAtKm(flight, drone, traveledKm) * 1000).toISOString();
+  }
+  return { ok: true, distanceKm: flight.distanceKm };
+}
+
+// Aborta um voo no ar: ele vira um trecho de volta ('returning') da posição atual até o ponto
+// de partida ou a base mais próxima, desviando das zonas ativas (se o destino mais próximo não
+// tem desvio, tenta os seguintes). As entregas a bordo voltam com o drone; o voo só vai para o
+// histórico depois do pouso. Sem nenhuma volta fora das zonas ativas, o voo fica em espera
+// pairando (hold 'return-blocked', com o motivo do abort em `abortReason`) e o loop de simulação
+// tenta de novo a cada ciclo; nunca é planejada uma volta atravessando uma restrição.
+function returnToLaunch(db, flight, reason) {
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  const traveledKm = traveledKmOf(flight);
+  const here = positionAt(flight, traveledKm);
+  const launch = launchPoint(flight);
+  // bases antes do ponto de partida no empate (sort estável)
+  const destinations = [
+    ...db.depots.map(d => ({ km: haversineKm(here, d), stops: returnStops(here, d) })),
+    { km: haversineKm(here, launch), stops: launchStops(here, launch) }
+  ].sort((a, b) => a.km - b.km);
+  let routed = null;
+  for (const destination of destinations) {
+    routed = routeDuringFlight(destination.stops, here, db, Date.now(), drone);
+    if (routed) break;
+  }
+  if (!routed) {
+    const details = { abortReason: reason };
+    if (flight.status !== 'holding') holdFlight(flight, 'return-blocked', details);
+    else if (flight.hold.reason !== 'return-blocked' || flight.hold.abortReason !== reason) {
+      // já pairando: mantém o início da espera e o dreno já contado, troca só o motivo
+      const { since, previousStatus, batteryConsumed } = flight.hold;
+      flight.hold = { since, previousStatus, batteryConsumed, reason: 'return-blocked', ...details };
+      recordFlightAction(flight, 'hold', { reason: 'return-blocked', ...details });
+    }
+    return flight;
+  }
+  // carga a bordo: coletas concluídas com destino ainda pendente entram no km 0 da volta
+  const onBoard = flight.stops
+    .filter(s => s.type === 'pickup' && s.status === 'completed'
+      && flight.stops.some(d => d.type === 'dropoff' && d.deliveryId === s.deliveryId && d.status === 'pending'))
+    .map(s => ({ ...s, lat: here.lat, lon: here.lon, atKm: 0 }));
+  const stops = [...onBoard, ...routed.stops].map((s, i) => ({ ...s, seq: i + 1 }));
+  const tailwinds = routeTailwinds(db, here, stops);
+  const distanceKm = Number(routeLengthKm(stops).toFixed(3));
+  const leg = { origin: here, stops, waypoints: routed.waypoints, tailwinds, distanceKm, estimatedDurationSec: flightDurationSec(stops, drone, tailwinds) };
+  startReturn(db, flight, leg, traveledKm, reason);
+  return flight;
+}
+
+// Aplica a política aos voos ativos cuja rota restante cruza o obstáculo novo.
+// Retorna [{ flightId, droneId, status, action, reason? }] (status = antes da ação).
+function resolveObstacleConflicts(db, obstacle, policy) {
+  const now = Date.now();
+  const conflicts = [];
+  for (const flight of db.flights.filter(isActiveFlight)) {
+    if (!remainingRouteBlocked(flight, [obstacle], now)) continue;
+    const drone = db.drones.find(d => d.id === flight.droneId);
+    const conflict = { flightId: flight.id, droneId: flight.droneId, status: flight.status };
+    const details = { obstacleId: obstacle.id };
+    if (flight.hold && flight.hold.reason === 'return-blocked') {
+      // já abortado, esperando uma volta livre: a rota original não conta mais
+      conflicts.push({ ...conflict, action: 'held' });
+      continue;
+    }
+    if (flight.status === 'returning') {
+      // a volta sempre segue: desvia se possível, senão continua a rota atual
+      const rerouted = drone ? rerouteFlight(db, flight, drone) : { ok: false };
+      if (rerouted.ok) recordFlightAction(flight, 'reroute', { reason: 'obstacle-conflict', ...details, distanceKm: rerouted.distanceKm });
+      conflicts.push({ ...conflict, action: rerouted.ok ? 'rerouted' : 'returning', ...(rerouted.ok ? { distanceKm: rerouted.distanceKm } : {}) });
+      continue;
+    }
+    if (drone && policy === 'abort' && isAirborne(flight)) {
+      returnToLaunch(db, flight, `obstacle-conflict:${obstacle.id}`);
+      conflicts.push({ ...conflict, action: flight.status === 'returning' ? 'returning' : 'held' });
+      continue;
+    }
+    if (policy === 'abort' || !drone) {
+      recordFlightAction(flight, 'abort', { reason: 'obstacle-conflict', ...details });
+      abortFlight(db, flight, `obstacle-conflict:${obstacle.id}`);
+      conflicts.push({ ...conflict, action: 'aborted' });
+      continue;
+    }
+    if (policy === 'reroute') {
+      const rerouted = rerouteFlight(db, flight, drone);
+      if (rerouted.ok) {
+        recordFlightAction(flight, 'reroute', { reason: 'obstacle-conflict', ...details, distanceKm: rerouted.distanceKm });
+        conflicts.push({ ...conflict, action: 'rerouted', distanceKm: rerouted.distanceKm });
+        continue;
       }
-      db.drones[droneIdx].batteryPercent = Math.max(0, db.drones[droneIdx].batteryPercent - remaining);
-      flight.batteryConsumed = flight.requiredBattery;
-      flight.progress = 1;
+      conflict.reason = rerouted.reason;
+    }
+    // voo já em espera continua em espera (só registra o novo motivo)
+    if (flight.status === 'holding') recordFlightAction(flight, 'hold', { reason: 'obstacle-conflict', ...details });
+    else holdFlight(flight, 'obstacle-conflict', details);
+    conflicts.push({ ...conflict, action: 'held' });
+  }
+  return conflicts;
+}
+
+// Agendar um voo: POST /flights { deliveryId? } ou { deliveryIds: [...] }, com `scheduledAt` opcional
+// Com deliveryIds o voo é multi-parada: leva todas as entregas de uma vez (peso somado),
+// visitando as coletas e depois os destinos na ordem calculada por planStops.
+// Se nenhuma entrega for enviada, seleciona automaticamente a melhor entrega seguindo fila de prioridade.
+// `scheduledAt` (ISO) no futuro reserva o drone para aquele horário; ausente ou no passado, parte já.
+app.post('/flights', (req, res) => store.transaction(db => {
+  let { deliveryId, deliveryIds, scheduledAt } = req.body || {};
+
+  if (typeof scheduledAt !== 'undefined' && scheduledAt !== null && !isIsoDate(scheduledAt)) {
+    return res.status(400).json({ error: 'scheduledAt must be an ISO date' });
+  }
+  const departMs = scheduledAt ? Math.max(Date.parse(scheduledAt), Date.now()) : Date.now();
+
+  if (typeof deliveryIds !== 'undefined') {
+    if (!Array.isArray(deliveryIds) || deliveryIds.length === 0) return res.status(400).json({ error: 'deliveryIds must be a non-empty array' });
+    if (new Set(deliveryIds).size !== deliveryIds.length) return res.status(400).json({ error: 'deliveryIds must not repeat deliveries' });
+  } else if (deliveryId) {
+    deliveryIds = [deliveryId];
+  }
+
+  let deliveries;
+  if (deliveryIds){
+    deliveries = [];
+    for (const id of deliveryIds) {
+      const delivery = db.deliveries.find(d => d.id === id);
+      if (!delivery) return res.status(404).json({ error: 'Delivery not found', deliveryId: id });
+      if (delivery.status !== 'pending') return res.status(400).json({ error: 'Delivery not pending', deliveryId: id });
+      deliveries.push(delivery);
     }
   } else {
-    return res.status(400).json({ error: 'Cannot advance from current status' });
+    const ordered = getSortedPendingDeliveries(db);
+    if (ordered.length === 0) return res.status(400).json({ error: 'No pending deliveries' });
+    // escolhe a primeira que tenha ao menos um drone capaz (peso e alcance a partir da posição do drone)
+    for (const d of ordered){
+      const capable = db.drones.filter(isDispatchable).some(dr => {
+        if (dr.maxWeightKg < d.weightKg) return false;
+        const route = planFlightRoute([d], dr, db, departMs);
+        // rota sem desvio possível segue para a avaliação abaixo, que responde o motivo
+        return !route || energyForLegs(dr, flightLegs(db, route.stops, route.tailwinds)) <= 100;
+      });
+      if (!capable) continue;
+      deliveries = [d]; break;
+    }
+    if (!deliveries) return res.status(400).json({ error: 'No feasible delivery for any drone' });
   }
 
-  db.flights[idx] = flight;
-  writeDB(db);
-  return res.json({ ok: true, flight, drone: db.drones[droneIdx] });
-});
+  const totalWeightKg = deliveries.reduce((sum, d) => sum + d.weightKg, 0);
+
+  // candidatos em operação (fora de manutenção/desligados) que suportam o peso somado das entregas
+  const dispatchable = db.drones.filter(isDispatchable);
+  if (dispatchable.length === 0) return res.status(400).json({ error: 'No dispatchable drone' });
+  const candidates = dispatchable.filter((dr) => dr.maxWeightKg >= totalWeightKg);
+  if (candidates.length === 0) return res.status(400).json({ error: 'No drone can carry this weight' });
+
+  // alcance, bateria e obstáculos consideram a rota de cada drone a partir da sua posição atual
+  // e o retorno à base
+  const evaluated = candidates.map((dr) => ({ dr, ...evaluateDrone(dr, deliveries, db, departMs) }));
+  const feasible = evaluated.filter((x) => x.ok);
+  if (feasible.length === 0) {
+    if (evaluated.some((x) => x.reason === 'Route blocked by obstacle')) {
+      return res.status(400).json({ error: 'Route blocked by obstacle' });
+    }
+    if (evaluated.every((x) => BOOKING_REASONS.includes(x.reason))) {
+      return res.status(400).json({ error: 'No drone available at that time' });
+    }
+    const weatherBlocked = evaluated.find((x) => WEATHER_REASONS.includes(x.reason));
+    if (weatherBlocked) {
+      return res.status(400).json({ error: 'Weather exceeds drone limits', reason: weatherBlocked.reason });
+    }
+    return res.status(400).json({ error: 'No feasible drone available (range/battery)' });
+  }
+
+  feasible.sort((a, b) => (b.dr.batteryPercent - b.requiredBattery) - (a.dr.batteryPercent - a.requiredBattery));
+  const chosen = feasible[0];
+
+  const flight = createFlight(db, deliveries, chosen.dr, chosen, scheduledAt);
+
+  return res.status(201).json({ ok: true, flight });
+}));
+
+// Despacho em lote: POST /flights/batch { objective?, deliveryIds?, droneIds?, dryRun? } (ou ?dryRun=true)
+// Atribui drones livres (sem voo ativo, em operação) a todas as entregas pendentes viáveis de uma vez,
+// opcionalmente restrito às entregas/drones informados,
+// otimizando o objetivo escolhido (ver dispatch.js). Com dryRun só devolve o plano.
+app.post('/flights/batch', (req, res) => store.transaction(db => {
+  const body = req.body || {};
+  const objective = body.objective || 'priority';
+  if (!OBJECTIVES.includes(objective)) {
+    return res.status(400).json({ error: `objective must be one of: ${OBJECTIVES.join(', ')}` });
+  }
+  for (const field of ['deliveryIds', 'droneIds']) {
+    if (typeof body[field] !== 'undefined' && !Array.isArray(body[field])) {
+      return res.status(400).json({ error: `${field} must be an array` });
+    }
+  }
+  const dryRun = body.dryRun === true || req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  let deliveries = getSortedPendingDeliveries(db);
+  if (body.deliveryIds) {
+    const wanted = new Set(body.deliveryIds);
+    deliveries = deliveries.filter(d => wanted.has(d.id));
+  }
+  if (deliveries.length === 0) return res.status(400).json({ error: 'No pending deliveries' });
+
+  const busy = new Set(db.flights.filter(isActiveFlight).map(f => f.droneId));
+  let drones = db.drones.filter(dr => !busy.has(dr.id) && isDispatchable(dr));
+  if (body.droneIds) drones = drones.filter(dr => body.droneIds.includes(dr.id));
+
+  // Mesmas restrições de POST /flights: peso, alcance e bateria (com posicionamento) e obstáculos.
+  // As avaliações ficam guardadas: cada voo é criado com a mesma rota e energia que o plano escolheu
+  const evaluations = new Map();
+  const evaluate = (delivery, dr) => {
+    const evaluation = evaluateDrone(dr, [delivery], db);
+    evaluations.set(`${delivery.id}|${dr.id}`, evaluation);
+    return evaluation;
+  };
+
+  const plan = planDispatch({ deliveries, drones, evaluate, objective, priorityWeight: d => dispatchPriority(d, Date.now()) });
+
+  if (!dryRun) {
+    for (const a of plan.assignments) {
+      const delivery = db.deliveries.find(d => d.id === a.deliveryId);
+      const drone = db.drones.find(d => d.id === a.droneId);
+      a.flightId = createFlight(db, [delivery], drone, evaluations.get(`${a.deliveryId}|${a.droneId}`)).id;
+    }
+  }
+
+  return res.status(!dryRun && plan.assignments.length > 0 ? 201 : 200).json({ ok: true, dryRun, objective, ...plan });
+}));
+
+// Avançar estado de um voo (simulação simples): POST /flights/:id/advance
+// Transições (ver stateMachine.js):
+//  scheduled -> in_progress -> completed (conclui todas as paradas pendentes)
+//  decolar exige a hora de partida alcançada e o drone livre (sem outro voo no ar): senão 409
+//  returning -> pouso no destino da volta (voo vai para o histórico)
+// Ajusta estado do drone, localização final e bateria. Outros status: 409.
+app.post('/flights/:id/advance', (req,res) => store.transaction(db => {
+  const id = req.params.id;
+  const flight = db.flights.find(f => f.id === id);
+  if (!flight) return res.status(404).json({ error: 'Flight not found' });
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  const hasDeliveries = flightDeliveryIds(flight).every(id => db.deliveries.some(d => d.id === id));
+  if (!drone || !hasDeliveries) return res.status(500).json({ error: 'Related drone or delivery missing' });
+
+  if (flight.status === 'scheduled') {
+    const launch = manualLaunchError(db, flight, Date.now());
+    if (launch) return res.status(409).json({ error: launch });
+    launchFlight(db, flight);
+  } else if (flight.status === 'in_progress') completeFlight(db, flight);
+  else if (flight.status === 'returning') landReturnedFlight(db, flight);
+  else return res.status(409).json({ error: `Cannot advance flight from status '${flight.status}'` });
+
+  return res.json({ ok: true, flight, drone });
+}));
+
+// Espera e retomada manuais: POST /flights/:id/hold { note? } e POST /flights/:id/resume
+// Em espera (holding) o progresso congela; no ar, o drone paira e gasta bateria (hoverFactor do
+// perfil de energia). Só voos agendados ou em andamento entram em espera (senão 409); retomar
+// volta ao status anterior, exceto se a rota restante ainda cruza um obstáculo ativo (409).
+app.post('/flights/:id/hold', (req, res) => store.transaction(db => {
+  const flight = db.flights.find(f => f.id === req.params.id);
+  if (!flight) return res.status(404).json({ error: 'Flight not found' });
+  const { note } = req.body || {};
+  if (typeof note !== 'undefined' && typeof note !== 'string') return res.status(400).json({ error: 'note must be a string' });
+  if (flight.status === 'holding') return res.status(409).json({ error: 'Flight already on hold' });
+  const statusError = transitionError('flight', flight, 'holding');
+  if (statusError) return res.status(409).json({ error: statusError });
+  holdFlight(flight, 'manual', note ? { note } : {});
+  return res.json({ ok: true, flight });
+}));
+
+app.post('/flights/:id/resume', (req, res) => store.transaction(db => {
+  const flight = db.flights.find(f => f.id === req.params.id);
+  if (!flight) return res.status(404).json({ error: 'Flight not found' });
+  if (flight.status !== 'holding') return res.status(409).json({ error: 'Flight is not on hold' });
+  const resume = manualResumeError(db, flight, Date.now());
+  if (resume) return res.status(409).json({ error: resume });
+  resumeFlight(db, flight, { reason: 'manual' });
+  return res.json({ ok: true, flight });
+}));
 
 // Endpoint de status consolidado dos drones
 app.get('/drones/status', (req,res) => {
-  const db = readDB();
-  return res.json(db.drones.map(d => ({ id: d.id, model: d.model, batteryPercent: d.batteryPercent, reservedBatteryPercent: d.reservedBatteryPercent || 0, state: d.state || 'idle', currentLat: d.currentLat || null, currentLon: d.currentLon || null })));
+  const db = store.state;
+  return res.json(db.drones.map(d => ({ id: d.id, model: d.model, batteryPercent: d.batteryPercent, reservedBatteryPercent: d.reservedBatteryPercent || 0, state: d.state || 'idle', currentLat: d.currentLat || null, currentLon: d.currentLon || null, homeDepotId: d.homeDepotId || null, dockedDepotId: d.dockedDepotId || null })));
 });
 
 // Atualizar um voo: permite alterar status (scheduled, in_progress, completed, cancelled)
-// - ao cancelar, tenta reverter o estado da entrega para 'pending' e devolver a bateria ao drone
-// - ao completar, marca a entrega como 'delivered'
-app.put('/flights/:id', (req, res) => {
-  const db = readDB();
+// e o horário de partida (scheduledAt) enquanto o voo não decolou.
+// Só transições permitidas pela máquina de estados (stateMachine.js); as demais dão 409.
+// - in_progress: o drone decola (só na hora marcada e com o drone livre, senão 409)
+// - completed: conclui as paradas, marca as entregas como 'delivered' e pousa o drone
+// - cancelled: devolve as entregas a bordo para 'pending' e a bateria não consumida ao drone
+// - voo em espera (holding) retoma para o status que tinha antes, com as mesmas regras de /resume (409)
+app.put('/flights/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
   const idx = db.flights.findIndex(f => f.id === id);
   if (idx === -1) return res.status(404).json({ error: 'Flight not found' });
   const flight = db.flights[idx];
   const body = req.body || {};
 
-  const allowed = ['status', 'scheduledAt'];
-  for (const k of Object.keys(body)){
-    if (!allowed.includes(k)) continue;
-    // validate status
-    if (k === 'status'){
-      const newStatus = body.status;
-      const valid = ['scheduled','in_progress','completed','cancelled'];
-      if (!valid.includes(newStatus)) return res.status(400).json({ error: 'Invalid status' });
-
-      // handle transitions
-      const prev = flight.status;
-      if (newStatus === 'cancelled' && prev !== 'cancelled'){
-        // liberar somente bateria não consumida
-        const di = db.drones.findIndex(d => d.id === flight.droneId);
-        if (di !== -1){
-          const consumed = flight.batteryConsumed || 0;
-          const remaining = (flight.requiredBattery || 0) - consumed;
-          if (remaining > 0){
-            if (typeof db.drones[di].reservedBatteryPercent === 'number'){
-              db.drones[di].reservedBatteryPercent = Math.max(0, db.drones[di].reservedBatteryPercent - remaining);
-            }
-          }
-        }
-        // revert delivery state if in_transit
-        const deli = db.deliveries.findIndex(d => d.id === flight.deliveryId);
-        if (deli !== -1 && db.deliveries[deli].status === 'in_transit') db.deliveries[deli].status = 'pending';
-      }
-
-      if (newStatus === 'completed'){
-        const deli = db.deliveries.findIndex(d => d.id === flight.deliveryId);
-        if (deli !== -1) db.deliveries[deli].status = 'delivered';
-      }
-
-      flight.status = newStatus;
-    } else if (k === 'scheduledAt'){
-      flight.scheduledAt = body.scheduledAt;
+  // valida antes de alterar qualquer campo (a transação não desfaz alterações parciais)
+  const valid = ['scheduled','in_progress','completed','cancelled'];
+  if (typeof body.status !== 'undefined' && !valid.includes(body.status)) return res.status(400).json({ error: 'Invalid status' });
+  if (flight.status === 'returning' && typeof body.status !== 'undefined') {
+    return res.status(409).json({ error: 'Flight is returning to launch' });
+  }
+  const statusError = typeof body.status !== 'undefined' && transitionError('flight', flight, body.status);
+  if (statusError) return res.status(409).json({ error: statusError });
+  const launch = body.status === 'in_progress' && flight.status === 'scheduled' && manualLaunchError(db, flight, Date.now());
+  if (launch) return res.status(409).json({ error: launch });
+  const resume = flight.status === 'holding' && typeof body.status !== 'undefined' && body.status !== 'cancelled' && manualResumeError(db, flight, Date.now());
+  if (resume) return res.status(409).json({ error: resume });
+  let scheduledAt = flight.scheduledAt;
+  if (typeof body.scheduledAt !== 'undefined') {
+    if (!isIsoDate(body.scheduledAt)) return res.status(400).json({ error: 'scheduledAt must be an ISO date' });
+    scheduledAt = new Date(body.scheduledAt).toISOString();
+  }
+  if (scheduledAt !== flight.scheduledAt) {
+    // novo horário de partida: só antes da decolagem e sem sobrepor outras reservas do drone
+    if (flight.status !== 'scheduled' || (body.status && body.status !== 'scheduled')) {
+      return res.status(400).json({ error: 'scheduledAt can only change while the flight is scheduled' });
+    }
+    const departMs = Math.max(Date.parse(scheduledAt), Date.now());
+    const bookings = droneBookings(db, flight.droneId, Date.now(), flight.id);
+    const previous = bookings.filter(b => b.start <= departMs).pop();
+    const lastOfPrevious = previous && previous.flight.stops[previous.flight.stops.length - 1];
+    if (flight.origin && lastOfPrevious && (lastOfPrevious.lat !== flight.origin.lat || lastOfPrevious.lon !== flight.origin.lon)) {
+      return res.status(400).json({ error: 'Drone has an earlier booking ending elsewhere' });
     }
+    const conflict = bookingConflict(bookings, departMs, departMs + flight.estimatedDurationSec * 1000, flight.stops[flight.stops.length - 1]);
+    if (conflict) return res.status(400).json({ error: conflict });
+  }
+
+  flight.scheduledAt = scheduledAt;
+  const newStatus = body.status;
+  if (typeof newStatus !== 'undefined' && newStatus !== flight.status) {
+    if (newStatus === 'cancelled' && isAirborne(flight)) returnToLaunch(db, flight, `manual-cancel:${id}`);
+    else if (newStatus === 'cancelled') cancelFlight(db, flight);
+    else if (flight.status === 'holding') resumeFlight(db, flight, { reason: 'manual' });
+    else if (newStatus === 'in_progress') launchFlight(db, flight);
+    else completeFlight(db, flight);
   }
 
-  db.flights[idx] = flight;
-  writeDB(db);
   return res.json({ ok: true, flight });
-});
+}));
 
 // Remover um voo (DELETE /flights/:id)
-// Arquiva o voo em flightHistory com removedAt e removedReason
-// Tenta também reverter o estado da entrega e devolver bateria ao drone quando aplicável
-app.delete('/flights/:id', (req, res) => {
-  const db = readDB();
+// Arquiva o voo em flightHistory com removedAt e removedReason.
+// Voo ativo é cancelado antes (entregas a bordo voltam para 'pending', bateria não consumida
+// volta ao drone); voo concluído ou cancelado é só arquivado.
+// Voo no ar é abortado: volta ao ponto de partida ou à base mais próxima (`returning`) e só vai
+// para o histórico depois do pouso. Voo já voltando: 409.
+app.delete('/flights/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
-  const idx = db.flights.findIndex(f => f.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Flight not found' });
-  const flight = db.flights.splice(idx, 1)[0];
-
-  if (!db.flightHistory) db.flightHistory = [];
-  const now = new Date().toISOString();
-  db.flightHistory.push({ ...flight, removedAt: now, removedReason: `manual-delete:${id}` });
-
-  // Reverter entrega para pending se estava in_transit
-  const di = db.deliveries.findIndex(d => d.id === flight.deliveryId);
-  if (di !== -1 && db.deliveries[di].status === 'in_transit') db.deliveries[di].status = 'pending';
-
-  // Liberar bateria não consumida
-  const dri = db.drones.findIndex(d => d.id === flight.droneId);
-  if (dri !== -1 && typeof flight.requiredBattery !== 'undefined'){
-    const consumed = flight.batteryConsumed || 0;
-    const remaining = flight.requiredBattery - consumed;
-    if (remaining > 0){
-      if (typeof db.drones[dri].reservedBatteryPercent === 'number'){
-        db.drones[dri].reservedBatteryPercent = Math.max(0, db.drones[dri].reservedBatteryPercent - remaining);
-      }
-    }
+  const flight = db.flights.find(f => f.id === id);
+  if (!flight) return res.status(404).json({ error: 'Flight not found' });
+  if (flight.status === 'returning') return res.status(409).json({ error: 'Flight is returning to launch' });
+  if (isAirborne(flight)) return res.json({ ok: true, removed: null, returning: returnToLaunch(db, flight, `manual-delete:${id}`) });
+  if (isActiveFlight(flight)) cancelFlight(db, flight);
+  const removed = archiveFlight(db, flight, `manual-delete:${id}`);
+  return res.json({ ok: true, removed });
+}));
+
+// Redirecionar uma entrega em trânsito para um novo destino: POST /deliveries/:id/redirect
+// { dropoff: { lat, lon, address? } }. A rota restante do voo é recalculada da posição atual do
+// drone (desvio de obstáculos, alcance e bateria) e o ETA é atualizado; sem rota viável, 400 com
+// o motivo (`reason`) e nada muda. Tempo acima dos limites do drone na rota nova: 409. Cada troca fica em delivery.redirects ({ at, flightId, from, to })
+// e em flight.history (action 'redirect').
+app.post('/deliveries/:id/redirect', (req, res) => store.transaction(db => {
+  const id = req.params.id;
+  const delivery = db.deliveries.find(d => d.id === id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  const { dropoff } = req.body || {};
+  if (!dropoff || typeof dropoff.lat !== 'number' || typeof dropoff.lon !== 'number') return res.status(400).json({ error: 'dropoff { lat, lon } (number) required' });
+  if (typeof dropoff.address !== 'undefined' && typeof dropoff.address !== 'string') return res.status(400).json({ error: 'dropoff.address must be a string' });
+  if (delivery.status !== 'in_transit') return res.status(409).json({ error: `Only in-transit deliveries can be redirected (status '${delivery.status || 'pending'}')` });
+
+  const flight = db.flights.find(f => isActiveFlight(f) && flightDeliveryIds(f).includes(id));
+  if (!flight) return res.status(409).json({ error: 'Delivery has no active flight' });
+  if (flight.status === 'returning') return res.status(409).json({ error: 'Flight is returning to launch' });
+  const stop = flight.stops.find(s => s.type === 'dropoff' && s.deliveryId === id && s.status === 'pending');
+  if (!stop) return res.status(409).json({ error: 'Delivery dropoff already reached' });
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (!drone) return res.status(500).json({ error: 'Related drone missing' });
+
+  const to = { lat: dropoff.lat, lon: dropoff.lon, ...(dropoff.address ? { address: dropoff.address } : {}) };
+  const pending = flight.stops
+    .filter(s => s.status === 'pending')
+    .map(s => s === stop ? { ...s, lat: to.lat, lon: to.lon } : s);
+  const rerouted = rerouteFlight(db, flight, drone, pending);
+  if (!rerouted.ok && WEATHER_REASONS.includes(rerouted.reason)) {
+    return res.status(409).json({ error: 'Weather exceeds drone limits', reason: rerouted.reason });
   }
+  if (!rerouted.ok) return res.status(400).json({ error: 'Redirect not feasible', reason: rerouted.reason });
 
-  writeDB(db);
-  return res.json({ ok: true, removed: flight });
-});
+  const from = delivery.dropoff;
+  delivery.dropoff = to;
+  if (!Array.isArray(delivery.redirects)) delivery.redirects = [];
+  delivery.redirects.push({ at: new Date().toISOString(), flightId: flight.id, from, to });
+  recordFlightAction(flight, 'redirect', { deliveryId: id, from, to, distanceKm: rerouted.distanceKm });
+  return res.json({ ok: true, delivery, flight });
+}));
 
 // Remover uma entrega (DELETE /deliveries/:id)
 // Só permitimos remover entregas que estejam em status 'pending' para evitar inconsistências.
-app.delete('/deliveries/:id', (req, res) => {
-  const db = readDB();
+app.delete('/deliveries/:id', (req, res) => store.transaction(db => {
   const id = req.params.id;
   const idx = db.deliveries.findIndex(d => d.id === id);
   if (idx === -1) return res.status(404).json({ error: 'Delivery not found' });
@@ -629,218 +1594,410 @@ app.delete('/deliveries/:id', (req, res) => {
   }
 
   // Verifica se existe algum voo ativo associado — não permitimos remoção neste caso
-  const relatedFlight = db.flights.find(f => f.deliveryId === id);
+  const relatedFlight = db.flights.find(f => flightDeliveryIds(f).includes(id));
   if (relatedFlight) return res.status(400).json({ error: 'Cannot remove delivery with active flight' });
 
   const removed = db.deliveries.splice(idx, 1)[0];
-  writeDB(db);
   return res.json({ ok: true, removed });
-});
+}));
 
 // Remover em lote todas as entregas canceladas: DELETE /deliveries/cancelled
 // Útil para limpar visual da UI. Não mexe em flightHistory.
 // Endpoint de limpeza em lote separado para evitar conflito com /deliveries/:id
-app.delete('/deliveries-bulk/purge-cancelled', (req, res) => {
-  const db = readDB();
+app.delete('/deliveries-bulk/purge-cancelled', (req, res) => store.transaction(db => {
   const before = db.deliveries.length;
   db.deliveries = db.deliveries.filter(d => d.status !== 'cancelled');
   const removed = before - db.deliveries.length;
-  writeDB(db);
   return res.json({ ok: true, removed });
-});
+}));
 
 // Cancelar uma entrega (POST /deliveries/:id/cancel)
-// Se houver um voo ativo para esta entrega, o voo é cancelado/arquivado e a bateria é reembolsada.
-app.post('/deliveries/:id/cancel', (req, res) => {
-  const db = readDB();
+// Se houver um voo ativo só para esta entrega, o voo é cancelado/arquivado e a bateria é reembolsada;
+// se ele já decolou, volta ao ponto de partida ou à base mais próxima trazendo a carga (`returning`).
+// Num voo multi-parada com outras entregas ainda a bordo, o voo continua e as paradas
+// pendentes desta entrega são marcadas como 'skipped'. Entrega já entregue não cancela (409).
+app.post('/deliveries/:id/cancel', (req, res) => store.transaction(db => {
   const id = req.params.id;
-  const di = db.deliveries.findIndex(d => d.id === id);
-  if (di === -1) return res.status(404).json({ error: 'Delivery not found' });
-  const delivery = db.deliveries[di];
+  const delivery = db.deliveries.find(d => d.id === id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
   if (delivery.status === 'cancelled') return res.status(400).json({ error: 'Delivery already cancelled' });
+  const statusError = transitionError('delivery', delivery, 'cancelled');
+  if (statusError) return res.status(409).json({ error: statusError });
 
   // procura voo ativo associado
-  const fi = db.flights.findIndex(f => f.deliveryId === id);
+  const flight = db.flights.find(f => isActiveFlight(f) && flightDeliveryIds(f).includes(id));
   let archived = null;
-  if (fi !== -1){
-    // remove e arquiva o voo
-    const flight = db.flights.splice(fi, 1)[0];
-    if (!db.flightHistory) db.flightHistory = [];
-    const now = new Date().toISOString();
-    archived = { ...flight, removedAt: now, removedReason: `delivery-cancelled:${id}` };
-    db.flightHistory.push(archived);
-
-    // reembolsar bateria do drone se aplicável
-    const dri = db.drones.findIndex(d => d.id === flight.droneId);
-    if (dri !== -1 && typeof flight.requiredBattery !== 'undefined'){
-      const consumed = flight.batteryConsumed || 0;
-      const remaining = flight.requiredBattery - consumed;
-      if (remaining > 0){
-        if (typeof db.drones[dri].reservedBatteryPercent === 'number'){
-          db.drones[dri].reservedBatteryPercent = Math.max(0, db.drones[dri].reservedBatteryPercent - remaining);
-        }
-      }
+  let returning = null;
+  const othersOnBoard = flight && flightDeliveryIds(flight).some(other => {
+    if (other === id) return false;
+    const d = db.deliveries.find(x => x.id === other);
+    return d && d.status === 'in_transit';
+  });
+  if (othersOnBoard){
+    for (const stop of flight.stops || []) {
+      if (stop.deliveryId === id && stop.status === 'pending') stop.status = 'skipped';
     }
+  } else if (flight && isAirborne(flight)){
+    // voo no ar volta trazendo a carga (se já estava voltando, segue a volta)
+    returning = flight.status === 'returning' ? flight : returnToLaunch(db, flight, `delivery-cancelled:${id}`);
+  } else if (flight){
+    // cancela e arquiva o voo (reembolsa a bateria não consumida)
+    archived = abortFlight(db, flight, `delivery-cancelled:${id}`);
   }
 
-  // marca entrega como cancelled
-  db.deliveries[di].status = 'cancelled';
-  writeDB(db);
+  setState('delivery', delivery, 'cancelled');
 
-  return res.json({ ok: true, delivery: db.deliveries[di], archived });
+  return res.json({ ok: true, delivery, archived, returning });
+}));
+
+// ===================== Log de eventos =====================
+// Consulta: GET /events?entity=delivery&entityId=...&type=...&actor=...&since=...&until=...&limit=...
+// Uma página por vez (limit padrão 100, máximo 1000): afterSeq acompanha o log para frente,
+// beforeSeq (seq do primeiro evento da página anterior) volta no histórico.
+app.get('/events', async (req, res) => {
+  const q = req.query;
+  const limit = q.limit ? Number(q.limit) : undefined;
+  if (typeof limit !== 'undefined' && (!Number.isInteger(limit) || limit <= 0 || limit > MAX_QUERY_LIMIT)) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_QUERY_LIMIT}` });
+  }
+  const afterSeq = q.afterSeq ? Number(q.afterSeq) : undefined;
+  const beforeSeq = q.beforeSeq ? Number(q.beforeSeq) : undefined;
+  if ([afterSeq, beforeSeq].some(v => typeof v !== 'undefined' && !Number.isInteger(v))) {
+    return res.status(400).json({ error: 'afterSeq and beforeSeq must be integers' });
+  }
+  try {
+    return res.json(await eventLog.query({ entity: q.entity, entityId: q.entityId, type: q.type, actor: q.actor, since: q.since, until: q.until, afterSeq, beforeSeq, limit }));
+  } catch (e) {
+    return res.status(500).json({ error: 'Cannot read event log', reason: e && e.message });
+  }
 });
 
-const PORT = process.env.PORT || 4000;
-// On startup: ensure there is a nextOrderNumber and migrate existing flights to have orderNumber/displayId
-try{
-  const db0 = readDB();
-  if (typeof db0.nextOrderNumber === 'undefined') db0.nextOrderNumber = 1;
-
-  // assign order numbers to flights that are missing one (preserve existing orderNumber if present)
-  const allFlights = (db0.flights || []).concat(db0.flightHistory || []);
-  let maxOrder = 0;
-  for (const f of allFlights){
-    if (typeof f.orderNumber === 'number') maxOrder = Math.max(maxOrder, f.orderNumber);
-  }
-  // if nextOrderNumber is lower than maxOrder+1, bump it
-  if (db0.nextOrderNumber <= maxOrder) db0.nextOrderNumber = maxOrder + 1;
-
-  // migrate current flights (only those missing orderNumber)
-  for (const f of db0.flights || []){
-    if (typeof f.orderNumber === 'undefined'){
-      f.orderNumber = db0.nextOrderNumber++;
-      f.displayId = `Ordem de serviço ${f.orderNumber}`;
-    } else if (!f.displayId){
-      f.displayId = `Ordem de serviço ${f.orderNumber}`;
-    }
+// ===================== Importação / exportação em lote =====================
+// Mesmas regras das rotas individuais, aplicadas linha a linha
+const BULK_BUILDERS = {
+  drones: (item, db) => { const r = buildDrone(item, db); return r.error ? r : { item: r.drone }; },
+  deliveries: (item, db) => { const r = buildDelivery(item, db); return r.error ? r : { item: r.delivery }; },
+  obstacles: (item, db) => { const r = buildObstacle(item, db); return r.error ? r : { item: r.obstacle }; }
+};
+
+// Importa: POST /import/:collection (drones | deliveries | obstacles)
+// Corpo: CSV (Content-Type text/csv), array JSON ou { items: [...] }. ?dryRun=true só valida.
+// Linhas válidas são inseridas mesmo que outras falhem; `results` traz o resultado de cada linha
+// (row começa em 1 = primeira linha de dados).
+// Obstáculos aceitam ?onConflict=hold|reroute|abort (padrão OBSTACLE_CONFLICT_POLICY).
+app.post('/import/:collection', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => store.transaction(db => {
+  const { collection } = req.params;
+  if (!bulk.BULK_COLLECTIONS.includes(collection)) {
+    return res.status(404).json({ error: `Unknown collection (use: ${bulk.BULK_COLLECTIONS.join(', ')})` });
+  }
+  let items;
+  try {
+    items = bulk.parseImportBody(collection, req.body);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid import body: ${e.message}` });
   }
-  // migrate flightHistory
-  for (const f of db0.flightHistory || []){
-    if (typeof f.orderNumber === 'undefined'){
-      f.orderNumber = db0.nextOrderNumber++;
-      f.displayId = `Ordem de serviço ${f.orderNumber}`;
-    } else if (!f.displayId){
-      f.displayId = `Ordem de serviço ${f.orderNumber}`;
+  if (items.length === 0) return res.status(400).json({ error: 'No rows to import' });
+
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+  const policy = typeof req.query.onConflict === 'undefined' ? OBSTACLE_CONFLICT_POLICY : req.query.onConflict;
+  if (collection === 'obstacles' && !CONFLICT_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+  }
+  // Valida contra uma cópia da coleção para que ids repetidos dentro do próprio lote também sejam detectados
+  const scratch = { ...db, [collection]: [...(db[collection] || [])] };
+  const results = items.map((item, i) => {
+    const built = BULK_BUILDERS[collection](item, scratch);
+    if (built.error) return { row: i + 1, ok: false, id: item.id, error: built.error };
+    scratch[collection].push(built.item);
+    return { row: i + 1, ok: true, id: built.item.id };
+  });
+  const imported = scratch[collection].slice((db[collection] || []).length);
+  if (!dryRun) db[collection] = scratch[collection];
+  // Obstáculos importados passam pela mesma política de conflito do POST /obstacles, na ordem das
+  // linhas; os voos afetados e a ação aplicada vão no resultado de cada linha
+  if (collection === 'obstacles' && !dryRun) {
+    for (const result of results) {
+      if (!result.ok) continue;
+      const obstacle = db.obstacles.find(o => o.id === result.id);
+      result.conflicts = resolveObstacleConflicts(db, obstacle, policy);
     }
   }
-//
-  writeDB(db0);
-  console.log('Migration: ensured nextOrderNumber and migrated flights. nextOrderNumber=', db0.nextOrderNumber);
-}catch(e){
-  console.error('Migration error', e && e.message);
-}
 
-// Inicializa campo de reserva se ausente antes de iniciar
-try {
-  const dbInit = readDB();
-  for (const dr of dbInit.drones || []){
-    if (typeof dr.reservedBatteryPercent !== 'number') dr.reservedBatteryPercent = 0;
+  return res.status(!dryRun && imported.length > 0 ? 201 : 200).json({
+    ok: imported.length === items.length,
+    collection,
+    dryRun,
+    ...(collection === 'obstacles' ? { policy } : {}),
+    total: items.length,
+    imported: imported.length,
+    failed: items.length - imported.length,
+    results
+  });
+}));
+
+// Exporta: GET /export/:collection?format=json|csv (download como anexo)
+app.get('/export/:collection', (req, res) => {
+  const { collection } = req.params;
+  if (!bulk.BULK_COLLECTIONS.includes(collection)) {
+    return res.status(404).json({ error: `Unknown collection (use: ${bulk.BULK_COLLECTIONS.join(', ')})` });
   }
-  writeDB(dbInit);
-} catch(e){
-  console.error('Init reservedBatteryPercent error', e && e.message);
-}
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format !== 'json' && format !== 'csv') return res.status(400).json({ error: 'format must be json or csv' });
+  const items = store.state[collection] || [];
+  res.setHeader('Content-Disposition', `attachment; filename="${collection}.${format}"`);
+  if (format === 'csv') return res.type('text/csv').send(bulk.exportCsv(collection, items));
+  return res.json(items);
+});
 
-// Migração adicional: garantir que todos drones tenham state e reservedBatteryPercent
-try {
-  const dbMig = readDB();
-  let migChanged = false;
-  for (const dr of dbMig.drones || []) {
-    if (!dr.state) { dr.state = 'idle'; migChanged = true; }
-    if (typeof dr.reservedBatteryPercent !== 'number') { dr.reservedBatteryPercent = 0; migChanged = true; }
+// ===================== Snapshots (backup/restore) =====================
+// O restore (backup do estado atual + store.replace) roda inteiro de forma síncrona: os loops de
+// simulação e recarga são callbacks de setInterval e o event loop do Node não os executa no meio
+// dele, então nenhum ciclo vê ou altera um estado pela metade. Os loops voltam a rodar, já sobre
+// o estado restaurado, no próximo ciclo.
+
+// Lista snapshots disponíveis (metadados e contagens)
+app.get('/snapshots', (req, res) => res.json(snapshots.listSnapshots()));
+
+// Cria snapshot do estado atual: POST /snapshots { name? }
+app.post('/snapshots', (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'undefined' && !snapshots.isValidName(name)) {
+    return res.status(400).json({ error: 'Invalid snapshot name (use letters, digits, "-" or "_", up to 64 chars)' });
   }
-  if (migChanged) {
-    writeDB(dbMig);
-    console.log('Migration: normalized drones state and reservedBatteryPercent');
+  try {
+    const snapshot = snapshots.createSnapshot(store.raw, name);
+    return res.status(201).json({ ok: true, snapshot });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-} catch(e){
-  console.error('Drone state migration error', e && e.message);
+});
+
+// Download do snapshot completo em JSON
+app.get('/snapshots/:name', (req, res) => {
+  const { name } = req.params;
+  if (!snapshots.isValidName(name)) return res.status(400).json({ error: 'Invalid snapshot name' });
+  const snapshot = snapshots.readSnapshot(name);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.json"`);
+  return res.json(snapshot);
+});
+
+// Restaura um snapshot: POST /snapshots/:name/restore
+// Antes de substituir o estado, grava automaticamente um snapshot `pre-restore-<data>`
+// para que o próprio restore possa ser desfeito.
+app.post('/snapshots/:name/restore', (req, res) => {
+  const { name } = req.params;
+  if (!snapshots.isValidName(name)) return res.status(400).json({ error: 'Invalid snapshot name' });
+  let next;
+  try {
+    next = snapshots.loadForRestore(name);
+  } catch (e) {
+    return res.status(400).json({ error: `Cannot restore snapshot: ${e.message}` });
+  }
+  if (!next) return res.status(404).json({ error: 'Snapshot not found' });
+
+  try {
+    const backup = snapshots.createSnapshot(store.raw, `pre-restore-${Date.now()}`);
+    store.replace(next, { ...requestContext.getStore(), source: `snapshot-restore:${name}` });
+    return res.json({ ok: true, restored: name, backup: backup.name });
+  } catch (e) {
+    return res.status(500).json({ error: 'Restore failed', details: e.message });
+  }
+});
+
+const PORT = process.env.PORT || 4000;
+// Na inicialização: aplica migrações de esquema pendentes (ver migrations/).
+// Falha aqui impede o servidor de subir, como na recuperação do armazenamento.
+try {
+  const result = store.transaction(db => runMigrations(db), { actor: 'system', source: 'migration' });
+  for (const m of result.applied) console.log(`Migration ${m.version} (${m.name}): ${m.summary}`);
+  console.log(`Schema version ${result.toVersion}`);
+  store.flush();
+} catch (e) {
+  console.error('FATAL: schema migration failed, refusing to start.', e && e.message);
+  process.exit(1);
+}
+
+// Condições do tempo do arquivo local (WEATHER_FILE), se existir: substituem as áreas do banco.
+// Arquivo inválido não impede o servidor de subir; as áreas atuais são mantidas.
+{
+  const result = readWeatherFile(WEATHER_FILE);
+  if (result.areas) {
+    store.transaction(db => { db.weatherAreas = result.areas; }, { actor: 'system', source: 'weather-file' });
+    console.log(`Weather: ${result.areas.length} area(s) loaded from ${WEATHER_FILE}`);
+  } else if (!result.missing) {
+    console.warn(`Weather file ignored: ${result.error}`);
+  }
+}
+
+// grava alterações pendentes antes de encerrar (Ctrl+C, kill)
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, () => {
+    store.flush();
+    storage.close();
+    process.exit(0);
+  });
 }
 
-app.listen(PORT, () => console.log(`Drone backend running on http://localhost:${PORT}`));
+app.listen(PORT, () => console.log(`Drone backend running on http://localhost:${PORT} (storage: ${storage.driver})`));
+
+// Voo agendado pode decolar: horário de partida alcançado, drone sem outro voo em andamento
+// e sem outro agendamento anterior ainda pendente
+function isDueForLaunch(db, flight, nowMs) {
+  const departMs = Date.parse(flight.scheduledAt);
+  if (departMs > nowMs) return false;
+  return !db.flights.some(f => f !== flight && f.droneId === flight.droneId && (
+    f.status === 'in_progress' || f.status === 'holding' || f.status === 'returning'
+    || (f.status === 'scheduled' && Date.parse(f.scheduledAt) < departMs)
+  ));
+}
+
+// Decolagem manual (POST /flights/:id/advance, PUT /flights/:id): mesmas condições do loop de
+// simulação. Retorna o motivo da recusa ou null.
+function manualLaunchError(db, flight, nowMs) {
+  const error = launchError(db, flight);
+  if (error) return error;
+  if (Date.parse(flight.scheduledAt) > nowMs) return 'Flight is scheduled for later';
+  if (!isDueForLaunch(db, flight, nowMs)) return 'Drone is busy with another flight';
+  return null;
+}
 
-// Loop de simulação: inicia voos e avança progresso/bateria/posição
+// Retomada manual de um voo em espera (POST /flights/:id/resume, PUT /flights/:id): a rota restante
+// precisa estar livre e o voo não pode estar esperando uma volta. Retorna o motivo da recusa ou null.
+function manualResumeError(db, flight, nowMs) {
+  if (flight.hold && flight.hold.reason === 'return-blocked') return 'Flight is waiting for a clear return route';
+  if (remainingRouteBlocked(flight, db.obstacles, nowMs)) return 'Route still blocked by obstacle';
+  return null;
+}
+
+// Loop de simulação: inicia voos na hora marcada e avança progresso/bateria/posição
 setInterval(() => {
-  let db;
-  try { db = readDB(); } catch { return; }
+  const db = store.state;
   let changed = false;
   const now = Date.now();
+  // restrições temporárias vencidas saem da lista de obstáculos
+  const expired = (db.obstacles || []).filter(o => isExpired(o, now));
+  if (expired.length) {
+    db.obstacles = db.obstacles.filter(o => !expired.includes(o));
+    changed = true;
+  }
   for (const flight of db.flights || []){
-    const drone = db.drones.find(d => d.id === flight.droneId);
-    const delivery = db.deliveries.find(d => d.id === flight.deliveryId);
-    if (!drone || !delivery) continue;
-    if (flight.status === 'scheduled'){
-      flight.status = 'in_progress';
-      flight.startedAt = new Date().toISOString();
-      drone.state = 'in_flight';
-      changed = true;
-    }
-    if (flight.status === 'in_progress'){
-      const startedMs = new Date(flight.startedAt).getTime();
-      const totalSec = flight.estimatedDurationSec || Math.max(5, Math.round((flight.distanceKm / CRUISE_SPEED_KMH) * 3600));
-      const elapsedSec = Math.max(0, (now - startedMs)/1000);
-      const progress = Math.min(1, elapsedSec / totalSec);
-      flight.progress = progress;
-      const { pickup, dropoff } = delivery;
-      if (pickup && dropoff){
-        drone.currentLat = pickup.lat + (dropoff.lat - pickup.lat) * progress;
-        drone.currentLon = pickup.lon + (dropoff.lon - pickup.lon) * progress;
+    // um registro inconsistente não derruba o loop: o voo é pulado neste ciclo e o erro registrado
+    try {
+      const drone = db.drones.find(d => d.id === flight.droneId);
+      if (!drone) continue;
+      if (!Array.isArray(flight.stops) || flight.stops.length === 0){
+        // voo sem plano de paradas (criado fora da API): monta a partir das entregas
+        const deliveries = flightDeliveryIds(flight).map(id => db.deliveries.find(d => d.id === id));
+        if (deliveries.length === 0 || deliveries.some(d => !d || !d.pickup || !d.dropoff)) continue;
+        flight.stops = planStops(deliveries);
+        changed = true;
       }
-      if (typeof flight.batteryConsumed !== 'number') flight.batteryConsumed = 0;
-      if (typeof drone.reservedBatteryPercent !== 'number') drone.reservedBatteryPercent = 0;
-      const targetConsumed = Math.round(flight.requiredBattery * progress);
-      const delta = targetConsumed - flight.batteryConsumed;
-      if (delta > 0){
-        drone.batteryPercent = Math.max(0, drone.batteryPercent - delta);
-        drone.reservedBatteryPercent = Math.max(0, drone.reservedBatteryPercent - delta);
-        flight.batteryConsumed = targetConsumed;
+      if (flight.status === 'holding' && isAirborne(flight)){
+        // pairando: desconta a bateria da espera; sem bateria livre para continuar, aborta e volta
+        drainHover(db, flight, now);
+        changed = true;
+        if (drone.batteryPercent - (drone.reservedBatteryPercent || 0) <= 0) returnToLaunch(db, flight, `hover-battery-low:${flight.id}`);
       }
-      if (progress >= 1){
-        flight.status = 'completed';
-        flight.completedAt = new Date().toISOString();
-        drone.state = 'idle';
-        drone.currentLat = dropoff.lat;
-        drone.currentLon = dropoff.lon;
-        if (delivery.status !== 'delivered') delivery.status = 'delivered';
-        const remaining = flight.requiredBattery - flight.batteryConsumed;
-        if (remaining > 0){
-          drone.reservedBatteryPercent = Math.max(0, drone.reservedBatteryPercent - remaining);
-          drone.batteryPercent = Math.max(0, drone.batteryPercent - remaining);
-          flight.batteryConsumed = flight.requiredBattery;
+      if (flight.status === 'holding'){
+        // voo em espera por obstáculo retoma quando a rota restante libera
+        if (flight.hold && flight.hold.reason === 'obstacle-conflict' && !remainingRouteBlocked(flight, db.obstacles, now)){
+          resumeFlight(db, flight, { reason: 'route-clear' });
+          changed = true;
+        }
+        // voo abortado sem volta livre: tenta planejar a volta de novo
+        if (flight.hold && flight.hold.reason === 'return-blocked'){
+          returnToLaunch(db, flight, flight.hold.abortReason);
+          if (flight.status === 'returning') changed = true;
         }
+        if (flight.status === 'holding') continue;
       }
-      changed = true;
+      if (flight.status === 'scheduled'){
+        // decola na hora marcada, depois que o voo anterior do drone terminar
+        if (!isDueForLaunch(db, flight, now) || launchError(db, flight)) continue;
+        launchFlight(db, flight);
+        changed = true;
+      }
+      if (flight.status === 'in_progress' || flight.status === 'returning'){
+        const startedMs = new Date(flight.startedAt).getTime();
+        const totalSec = flight.estimatedDurationSec || flightDurationSec(flight.stops, drone, flight.tailwinds);
+        const elapsedSec = Math.max(0, (now - startedMs)/1000);
+        // posição ao longo da rota (posicionamento + paradas) pelo perfil de desempenho do drone;
+        // paradas alcançadas são concluídas. O progresso é a fração da distância percorrida.
+        const routeKm = routeLengthKm(flight.stops);
+        const traveledKm = elapsedSec >= totalSec ? routeKm : Math.min(routeKm, traveledKmAt(flight, drone, elapsedSec));
+        flight.progress = routeKm > 0 ? traveledKm / routeKm : Math.min(1, elapsedSec / totalSec);
+        const pos = positionAt(flight, traveledKm);
+        drone.currentLat = pos.lat;
+        drone.currentLon = pos.lon;
+        completeStopsUpTo(db, flight, traveledKm);
+        if (typeof flight.batteryConsumed !== 'number') flight.batteryConsumed = 0;
+        if (typeof drone.reservedBatteryPercent !== 'number') drone.reservedBatteryPercent = 0;
+        // dreno pelo modelo de energia: km percorridos com a carga a bordo e o vento de cada trecho
+        const targetConsumed = Number(energyForLegs(drone, flightLegs(db, flight.stops, flight.tailwinds), traveledKm).toFixed(1));
+        const delta = targetConsumed - flight.batteryConsumed;
+        if (delta > 0){
+          drone.batteryPercent = Math.max(0, Number((drone.batteryPercent - delta).toFixed(1)));
+          // a reserva do voo cobre o consumo até o limite reservado
+          const reservedLeft = Math.max(0, flight.requiredBattery - flight.batteryConsumed);
+          drone.reservedBatteryPercent = Math.max(0, Number((drone.reservedBatteryPercent - Math.min(delta, reservedLeft)).toFixed(1)));
+          flight.batteryConsumed = targetConsumed;
+        }
+        if (elapsedSec >= totalSec && flight.status === 'returning') landReturnedFlight(db, flight);
+        else if (elapsedSec >= totalSec) completeFlight(db, flight);
+        changed = true;
+      }
+    } catch (e) {
+      console.error(`simulation-loop: flight ${flight.id} skipped:`, e && e.message);
     }
   }
-  if (changed){
-    try { writeDB(db); } catch {}
+  // drones parados fora da base voltam para ela
+  for (const drone of db.drones){
+    if (!drone.homeDepotId || drone.dockedDepotId === drone.homeDepotId || !canDepartNow(drone)) continue;
+    if (db.flights.some(f => f.droneId === drone.id && isActiveFlight(f))) continue;
+    const home = db.depots.find(d => d.id === drone.homeDepotId);
+    if (!home) continue;
+    try {
+      if (typeof drone.currentLat !== 'number') {
+        drone.currentLat = home.lat;
+        drone.currentLon = home.lon;
+        drone.dockedDepotId = home.id;
+        changed = true;
+      } else if (createReturnFlight(db, drone, home)) {
+        changed = true;
+      }
+    } catch (e) {
+      console.error(`simulation-loop: return of drone ${drone.id} skipped:`, e && e.message);
+    }
   }
+  if (changed) store.commit({ actor: 'system', source: 'simulation-loop' });
 }, 5000);
 
-// Loop de recarga automática: drones idle recarregam bateria gradualmente
+// Loop de recarga automática: drones estacionados numa base recarregam nos pontos de recarga
+// (até `chargingPads` por base, ver assignChargingPads) na taxa da base. Fora da base não há recarga.
+const RECHARGE_INTERVAL_MS = 5000;
 setInterval(() => {
-  let db;
-  try { db = readDB(); } catch { return; }
+  const db = store.state;
   let changed = false;
-  const RECHARGE_RATE_PER_CYCLE = 5; // 5% a cada 5 segundos = taxa de ~60%/min
-  
-  for (const drone of db.drones || []) {
-    // Considera drones sem state explícito como 'idle'
-    const droneState = drone.state || 'idle';
-    if (droneState === 'idle' && typeof drone.batteryPercent === 'number' && drone.batteryPercent < 100) {
-      const previousBattery = drone.batteryPercent;
-      drone.batteryPercent = Math.min(100, drone.batteryPercent + RECHARGE_RATE_PER_CYCLE);
-      
+
+  for (const depot of db.depots || []) {
+    try {
+      if (assignChargingPads(db, depot)) changed = true;
+    } catch (e) {
+      console.error(`recharge-loop: charging pads of depot ${depot.id} not reassigned:`, e && e.message);
+    }
+    const perCycle = depot.chargeRatePercentPerMin * RECHARGE_INTERVAL_MS / 60000;
+    for (const drone of depotOccupancy(db, depot).charging) {
+      drone.batteryPercent = Math.min(100, Number((drone.batteryPercent + perCycle).toFixed(1)));
+
       // Garantir que reservedBatteryPercent não exceda batteryPercent
       if (drone.reservedBatteryPercent > drone.batteryPercent) {
         drone.reservedBatteryPercent = drone.batteryPercent;
       }
-      
+
       changed = true;
     }
   }
-  
-  if (changed) {
-    try { writeDB(db); } catch {}
-  }
-}, 5000);
+
+  if (changed) store.commit({ actor: 'system', source: 'recharge-loop' });
+}, RECHARGE_INTERVAL_MS);
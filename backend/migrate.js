@@ -0,0 +1,56 @@
+// migrate.js - Aplica migrações de esquema no banco configurado (DB_DRIVER=json|sqlite)
+// Uso:
+//   node migrate.js             aplica as migrações pendentes
+//   node migrate.js --dry-run   mostra o que seria aplicado, sem gravar
+//   node migrate.js status      lista migrações aplicadas e pendentes
+// Rode com o servidor parado (ele também migra ao iniciar).
+const { createStorage } = require('./storage');
+const { migrationStatus, runMigrations } = require('./migrations');
+
+function printStatus(db) {
+  const st = migrationStatus(db);
+  console.log(`📦 schemaVersion: ${st.currentVersion} (última disponível: ${st.latestVersion})\n`);
+  for (const m of st.applied) console.log(`  ✓ ${String(m.version).padStart(3, '0')} ${m.name} - ${m.description}`);
+  for (const m of st.pending) console.log(`  • ${String(m.version).padStart(3, '0')} ${m.name} - ${m.description} (pendente)`);
+  if (st.pending.length === 0) console.log('\n✅ Banco atualizado, nenhuma migração pendente.');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(a => !a.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+
+  const storage = createStorage();
+  storage.recover();
+  const db = storage.load();
+  console.log(`🗄️  Armazenamento: ${storage.driver} (${storage.file})`);
+
+  if (command === 'status') {
+    printStatus(db);
+  } else if (command === 'up') {
+    const result = runMigrations(db, { dryRun });
+    if (result.applied.length === 0) {
+      console.log(`✅ Nenhuma migração pendente (schemaVersion ${result.fromVersion}).`);
+    } else {
+      console.log(`${dryRun ? '🔍 [dry-run] ' : ''}schemaVersion ${result.fromVersion} → ${result.toVersion}`);
+      for (const m of result.applied) console.log(`  → ${String(m.version).padStart(3, '0')} ${m.name}: ${m.summary}`);
+      if (!dryRun) {
+        storage.save(db);
+        console.log('\n✅ Migrações aplicadas.');
+      } else {
+        console.log('\nNada foi gravado (dry-run).');
+      }
+    }
+  } else {
+    console.error(`Comando desconhecido: ${command} (use: up, status, --dry-run)`);
+    process.exitCode = 1;
+  }
+  storage.close();
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('❌ Erro na migração:', e && e.message);
+  process.exit(1);
+}
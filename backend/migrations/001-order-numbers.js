@@ -0,0 +1,31 @@
+// Garante nextOrderNumber e atribui orderNumber/displayId sequenciais a voos
+// (ativos e arquivados) criados antes da numeração de ordens de serviço.
+module.exports = {
+  version: 1,
+  name: 'order-numbers',
+  description: 'nextOrderNumber + orderNumber/displayId em flights e flightHistory',
+
+  up(db) {
+    let changed = 0;
+    if (typeof db.nextOrderNumber === 'undefined') db.nextOrderNumber = 1;
+
+    // preserva orderNumber existente; nextOrderNumber nunca fica abaixo do maior já usado
+    let maxOrder = 0;
+    for (const f of db.flights.concat(db.flightHistory)) {
+      if (typeof f.orderNumber === 'number') maxOrder = Math.max(maxOrder, f.orderNumber);
+    }
+    if (db.nextOrderNumber <= maxOrder) db.nextOrderNumber = maxOrder + 1;
+
+    for (const f of db.flights.concat(db.flightHistory)) {
+      if (typeof f.orderNumber === 'undefined') {
+        f.orderNumber = db.nextOrderNumber++;
+        f.displayId = `Ordem de serviço ${f.orderNumber}`;
+        changed++;
+      } else if (!f.displayId) {
+        f.displayId = `Ordem de serviço ${f.orderNumber}`;
+        changed++;
+      }
+    }
+    return `${changed} flight(s) numbered, nextOrderNumber=${db.nextOrderNumber}`;
+  }
+};
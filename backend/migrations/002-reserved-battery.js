@@ -0,0 +1,17 @@
+// Inicializa reservedBatteryPercent em drones cadastrados antes da reserva de bateria.
+module.exports = {
+  version: 2,
+  name: 'reserved-battery',
+  description: 'reservedBatteryPercent = 0 em drones sem o campo',
+
+  up(db) {
+    let changed = 0;
+    for (const dr of db.drones) {
+      if (typeof dr.reservedBatteryPercent !== 'number') {
+        dr.reservedBatteryPercent = 0;
+        changed++;
+      }
+    }
+    return `${changed} drone(s) updated`;
+  }
+};
@@ -0,0 +1,17 @@
+// Drones sem estado explícito passam a ser 'idle'.
+module.exports = {
+  version: 3,
+  name: 'drone-state',
+  description: "state = 'idle' em drones sem estado",
+
+  up(db) {
+    let changed = 0;
+    for (const dr of db.drones) {
+      if (!dr.state) {
+        dr.state = 'idle';
+        changed++;
+      }
+    }
+    return `${changed} drone(s) updated`;
+  }
+};
@@ -0,0 +1,33 @@
+// Voos passam a carregar várias entregas: deliveryIds e lista ordenada de paradas.
+// Voos existentes (uma entrega) recebem deliveryIds = [deliveryId] e as paradas
+// coleta/destino da entrega, com o status coerente com o do voo.
+const { haversineKm } = require('../geo');
+
+function stopsFor(flight, delivery) {
+  const started = flight.status !== 'scheduled';
+  const done = flight.status === 'completed';
+  return [
+    { seq: 1, type: 'pickup', deliveryId: delivery.id, lat: delivery.pickup.lat, lon: delivery.pickup.lon, atKm: 0, status: started ? 'completed' : 'pending', completedAt: started ? flight.startedAt || null : null },
+    { seq: 2, type: 'dropoff', deliveryId: delivery.id, lat: delivery.dropoff.lat, lon: delivery.dropoff.lon, atKm: Number(haversineKm(delivery.pickup, delivery.dropoff).toFixed(3)), status: done ? 'completed' : 'pending', completedAt: done ? flight.completedAt || null : null }
+  ];
+}
+
+module.exports = {
+  version: 4,
+  name: 'multi-stop-flights',
+  description: 'deliveryIds e paradas (stops) em voos de uma entrega',
+
+  up(db) {
+    let changed = 0;
+    for (const flight of [...db.flights, ...db.flightHistory]) {
+      if (Array.isArray(flight.deliveryIds) || !flight.deliveryId) continue;
+      flight.deliveryIds = [flight.deliveryId];
+      const delivery = db.deliveries.find(d => d.id === flight.deliveryId);
+      if (delivery && delivery.pickup && delivery.dropoff) {
+        flight.stops = stopsFor(flight, delivery);
+      }
+      changed++;
+    }
+    return `${changed} flight(s) updated`;
+  }
+};
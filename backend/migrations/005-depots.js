@@ -0,0 +1,46 @@
+// Bases (depots) com pontos de recarga. A recarga passa a acontecer só com o drone na base,
+// então bancos que já têm drones ganham uma base padrão para não ficarem sem recarga:
+// localizada na posição média dos drones conhecidos, com um ponto de recarga por drone e a
+// mesma taxa da recarga antiga (60%/min). Todos os drones passam a tê-la como base;
+// os ociosos são considerados estacionados nela.
+const DEFAULT_LOCATION = { lat: -23.55, lon: -46.63 }; // centro de SP, mesmo padrão do frontend
+
+module.exports = {
+  version: 5,
+  name: 'depots',
+  description: 'coleção depots; base padrão, homeDepotId e dockedDepotId nos drones',
+
+  up(db) {
+    if (!Array.isArray(db.depots)) db.depots = [];
+    if (db.depots.length > 0 || db.drones.length === 0) return 'no default depot needed';
+
+    const known = db.drones.filter(d => typeof d.currentLat === 'number' && typeof d.currentLon === 'number');
+    const location = known.length
+      ? { lat: known.reduce((s, d) => s + d.currentLat, 0) / known.length, lon: known.reduce((s, d) => s + d.currentLon, 0) / known.length }
+      : DEFAULT_LOCATION;
+    const depot = {
+      id: 'base-principal',
+      name: 'Base principal',
+      lat: Number(location.lat.toFixed(6)),
+      lon: Number(location.lon.toFixed(6)),
+      chargingPads: db.drones.length,
+      chargeRatePercentPerMin: 60,
+      createdAt: new Date().toISOString()
+    };
+    db.depots.push(depot);
+
+    let docked = 0;
+    for (const drone of db.drones) {
+      drone.homeDepotId = depot.id;
+      if ((drone.state || 'idle') === 'idle') {
+        drone.currentLat = depot.lat;
+        drone.currentLon = depot.lon;
+        drone.dockedDepotId = depot.id;
+        docked++;
+      } else {
+        drone.dockedDepotId = null;
+      }
+    }
+    return `default depot created, ${db.drones.length} drone(s) assigned, ${docked} docked`;
+  }
+};
@@ -0,0 +1,25 @@
+// Perfil de desempenho dos drones (ver shared/flightProfile.mjs). A velocidade de cruzeiro
+// ficava em `energyProfile.cruiseSpeedKmh`; passa para `performanceProfile.cruiseSpeedKmh`,
+// junto com os tempos de subida/descida e de decolagem/pouso. Drones sem perfil ficam com null
+// (valores padrão: mesma velocidade de antes e sem sobrecarga de decolagem/pouso).
+module.exports = {
+  version: 6,
+  name: 'performance-profiles',
+  description: 'performanceProfile nos drones; cruiseSpeedKmh sai do energyProfile',
+
+  up(db) {
+    let moved = 0;
+    for (const drone of db.drones) {
+      const energy = drone.energyProfile;
+      if (energy && typeof energy.cruiseSpeedKmh === 'number') {
+        const { cruiseSpeedKmh, ...rest } = energy;
+        drone.performanceProfile = { ...(drone.performanceProfile || {}), cruiseSpeedKmh };
+        drone.energyProfile = Object.keys(rest).length ? rest : null;
+        moved++;
+      } else if (typeof drone.performanceProfile === 'undefined') {
+        drone.performanceProfile = null;
+      }
+    }
+    return `${moved} cruise speed(s) moved to performanceProfile`;
+  }
+};
@@ -0,0 +1,62 @@
+// Framework de migrações de esquema versionadas.
+// Cada arquivo `NNN-nome.js` nesta pasta exporta { version, name, description, up(db) }.
+// `up` altera o banco recebido e retorna um resumo curto do que mudou.
+// A versão aplicada fica em `db.schemaVersion` (ausente = 0, arquivos anteriores ao framework).
+//
+// Para uma nova mudança de modelo: crie o próximo arquivo numerado com a versão seguinte.
+// Nunca altere uma migração já publicada; bancos existentes não a executarão de novo.
+const fs = require('fs');
+const path = require('path');
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(__dirname)
+    .filter(n => /^\d+-.+\.js$/.test(n))
+    .sort()
+    .map(n => ({ file: n, ...require(path.join(__dirname, n)) }));
+
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1 || typeof m.up !== 'function') {
+      throw new Error(`Invalid migration ${m.file}: expected version ${i + 1} with an up(db) function`);
+    }
+  });
+  return migrations;
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST_VERSION = MIGRATIONS.length;
+
+function currentVersion(db) {
+  return typeof db.schemaVersion === 'number' ? db.schemaVersion : 0;
+}
+
+// Situação do banco: versão atual, última conhecida e migrações pendentes
+function migrationStatus(db) {
+  const version = currentVersion(db);
+  return {
+    currentVersion: version,
+    latestVersion: LATEST_VERSION,
+    applied: MIGRATIONS.filter(m => m.version <= version),
+    pending: MIGRATIONS.filter(m => m.version > version)
+  };
+}
+
+// Aplica as migrações pendentes em ordem, atualizando schemaVersion após cada uma.
+// Com { dryRun: true } trabalha sobre uma cópia e não altera `db`.
+// Um banco com versão maior que a conhecida (gerado por código mais novo) é recusado.
+function runMigrations(db, { dryRun = false } = {}) {
+  const version = currentVersion(db);
+  if (version > LATEST_VERSION) {
+    throw new Error(`Database schemaVersion ${version} is newer than this code supports (${LATEST_VERSION})`);
+  }
+  const target = dryRun ? structuredClone(db) : db;
+  const results = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= version) continue;
+    const summary = m.up(target);
+    target.schemaVersion = m.version;
+    results.push({ version: m.version, name: m.name, summary: summary || '' });
+  }
+  return { fromVersion: version, toVersion: currentVersion(target), applied: results, dryRun };
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrationStatus, runMigrations };
@@ -0,0 +1,207 @@
+// Planejamento de trajetos desviando das zonas de exclusão aérea (obstáculos).
+// Os cálculos são feitos num plano local (projeção equiretangular em km, centrada no trecho):
+// para distâncias de poucas dezenas de km o erro é desprezível.
+//
+// Tipos de obstáculo:
+//  - circle:       { type: 'circle', lat, lon, radiusKm }
+//  - polygon:      { type: 'polygon', geometry: { type: 'Polygon', coordinates } }
+//  - multipolygon: { type: 'multipolygon', geometry: { type: 'MultiPolygon', coordinates } }
+// (geometrias GeoJSON: posições [lon, lat], anel externo seguido de buracos)
+//
+// Cada obstáculo circular é contornado por um polígono regular um pouco maior que o círculo
+// (VERTICES_PER_CIRCLE lados, arestas sempre fora da zona); polígonos são contornados pelos
+// vértices do anel externo afastados POLYGON_CLEARANCE_KM para fora. Esses vértices, mais a
+// origem e o destino do trecho, formam um grafo de visibilidade: dois nós são ligados quando
+// o segmento entre eles não atravessa nenhum obstáculo. O caminho mais curto é encontrado com A*
+// (heurística = distância em linha reta).
+
+const R = 6371; // raio da Terra em km
+const VERTICES_PER_CIRCLE = 16;
+// folga do contorno em relação ao raio do obstáculo
+const CLEARANCE = 1.02;
+// folga do contorno de polígonos (km)
+const POLYGON_CLEARANCE_KM = 0.02;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Projeção equiretangular em torno da latitude `refLat`: { lat, lon } <-> { x, y } em km
+function projection(refLat) {
+  const k = Math.cos(toRad(refLat));
+  return {
+    toXY: (p) => ({ x: toRad(p.lon) * R * k, y: toRad(p.lat) * R }),
+    toLatLon: (q) => ({ lat: toDeg(q.y / R), lon: toDeg(q.x / (R * k)) })
+  };
+}
+
+// Distância (km, no plano) do ponto C ao segmento AB
+function segmentPointDistance(A, B, C) {
+  const ABx = B.x - A.x; const ABy = B.y - A.y;
+  const len2 = ABx * ABx + ABy * ABy;
+  let t = len2 === 0 ? 0 : ((C.x - A.x) * ABx + (C.y - A.y) * ABy) / len2;
+  t = Math.max(0, Math.min(1, t));
+  const dx = A.x + t * ABx - C.x; const dy = A.y + t * ABy - C.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Obstáculo com geometria que o planejador entende (tipos inválidos são ignorados)
+function isSupported(o) {
+  if (!o) return false;
+  if (o.type === 'circle') return typeof o.radiusKm === 'number';
+  if (o.type === 'polygon') return !!o.geometry && o.geometry.type === 'Polygon';
+  if (o.type === 'multipolygon') return !!o.geometry && o.geometry.type === 'MultiPolygon';
+  return false;
+}
+
+// Polígonos do obstáculo como lista de anéis [[lon, lat], ...] (o primeiro é o externo)
+function polygonsOf(o) {
+  return o.type === 'multipolygon' ? o.geometry.coordinates : [o.geometry.coordinates];
+}
+
+// Ponto dentro do anel (ray casting)
+function pointInRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i]; const b = ring[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Os segmentos pq e ab se tocam (inclusive em uma ponta)?
+function segmentsIntersect(p, q, a, b) {
+  const d1 = cross(a, b, p); const d2 = cross(a, b, q);
+  const d3 = cross(p, q, a); const d4 = cross(p, q, b);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+  const onSegment = (s, t, r) => Math.min(s.x, t.x) <= r.x && r.x <= Math.max(s.x, t.x) && Math.min(s.y, t.y) <= r.y && r.y <= Math.max(s.y, t.y);
+  return (d1 === 0 && onSegment(a, b, p)) || (d2 === 0 && onSegment(a, b, q))
+    || (d3 === 0 && onSegment(p, q, a)) || (d4 === 0 && onSegment(p, q, b));
+}
+
+// Vértices do anel afastados `clearance` km para fora, na bissetriz das normais das arestas
+function offsetRing(ring, clearance) {
+  const pts = ring.slice(0, -1); // anel GeoJSON repete o primeiro ponto no fim
+  let area = 0;
+  pts.forEach((a, i) => { const b = pts[(i + 1) % pts.length]; area += a.x * b.y - b.x * a.y; });
+  const outward = area > 0 ? 1 : -1; // anti-horário: normal externa à direita das arestas
+  const normal = (a, b) => {
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: (outward * (b.y - a.y)) / len, y: (-outward * (b.x - a.x)) / len };
+  };
+  return pts.map((v, i) => {
+    const n1 = normal(pts[(i - 1 + pts.length) % pts.length], v);
+    const n2 = normal(v, pts[(i + 1) % pts.length]);
+    const len = Math.hypot(n1.x + n2.x, n1.y + n2.y) || 1;
+    return { x: v.x + ((n1.x + n2.x) / len) * clearance, y: v.y + ((n1.y + n2.y) / len) * clearance };
+  });
+}
+
+// Converte o obstáculo para o plano da projeção:
+// { contains(p), blocks(p, q), contour() -> vértices para o grafo de visibilidade }
+function toShape(o, toXY) {
+  if (o.type === 'circle') {
+    const c = toXY(o);
+    return {
+      contains: (p) => planeDistance(p, c) <= o.radiusKm,
+      blocks: (p, q) => segmentPointDistance(p, q, c) <= o.radiusKm,
+      contour: () => contourVertices(c, o.radiusKm)
+    };
+  }
+  const polygons = polygonsOf(o).map(rings => rings.map(ring => ring.map(([lon, lat]) => toXY({ lat, lon }))));
+  const contains = (p) => polygons.some(([outer, ...holes]) => pointInRing(p, outer) && !holes.some(h => pointInRing(p, h)));
+  return {
+    contains,
+    // sem cruzar nenhuma aresta, o segmento está todo dentro ou todo fora da zona
+    blocks: (p, q) => contains(p) || contains(q) || polygons.some(rings => rings.some(ring =>
+      ring.some((a, i) => i > 0 && segmentsIntersect(p, q, ring[i - 1], a)))),
+    contour: () => polygons.flatMap(([outer]) => offsetRing(outer, POLYGON_CLEARANCE_KM))
+  };
+}
+
+// O segmento p1-p2 ({ lat, lon }) passa pelo círculo { lat, lon, radiusKm }?
+function lineIntersectsCircle(p1, p2, circle) {
+  const { toXY } = projection((p1.lat + p2.lat) / 2);
+  return segmentPointDistance(toXY(p1), toXY(p2), toXY(circle)) <= circle.radiusKm;
+}
+
+// Algum obstáculo (círculo ou polígono) bloqueia o trecho em linha reta de `a` até `b`?
+function segmentBlocked(a, b, obstacles) {
+  if (!Array.isArray(obstacles)) return false;
+  const { toXY } = projection((a.lat + b.lat) / 2);
+  const A = toXY(a); const B = toXY(b);
+  return obstacles.some(o => isSupported(o) && toShape(o, toXY).blocks(A, B));
+}
+
+// Vértices (no plano) do polígono que contorna o círculo por fora
+function contourVertices(center, radiusKm) {
+  const r = (radiusKm * CLEARANCE) / Math.cos(Math.PI / VERTICES_PER_CIRCLE);
+  const vertices = [];
+  for (let i = 0; i < VERTICES_PER_CIRCLE; i++) {
+    const angle = (2 * Math.PI * i) / VERTICES_PER_CIRCLE;
+    vertices.push({ x: center.x + r * Math.cos(angle), y: center.y + r * Math.sin(angle) });
+  }
+  return vertices;
+}
+
+const planeDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Caminho mais curto de `a` até `b` ({ lat, lon }) sem atravessar obstáculos.
+// Retorna a lista de pontos [a, ...desvios, b], ou null quando não há caminho
+// (origem ou destino dentro de uma zona de exclusão, ou passagem totalmente fechada).
+function planPath(a, b, obstacles) {
+  if (!segmentBlocked(a, b, obstacles)) return [{ lat: a.lat, lon: a.lon }, { lat: b.lat, lon: b.lon }];
+
+  const { toXY, toLatLon } = projection((a.lat + b.lat) / 2);
+  const shapes = obstacles.filter(isSupported).map(o => toShape(o, toXY));
+  const inside = (p) => shapes.some(s => s.contains(p));
+  const visible = (p, q) => !shapes.some(s => s.blocks(p, q));
+
+  const start = toXY(a);
+  const goal = toXY(b);
+  if (inside(start) || inside(goal)) return null;
+
+  // nós: 0 = origem, 1 = destino, demais = vértices dos contornos que não caem em outra zona
+  const nodes = [start, goal];
+  for (const shape of shapes) {
+    for (const v of shape.contour()) if (!inside(v)) nodes.push(v);
+  }
+
+  // A* com vizinhos calculados sob demanda (o grafo completo raramente é necessário)
+  const g = new Array(nodes.length).fill(Infinity);
+  const f = new Array(nodes.length).fill(Infinity);
+  const cameFrom = new Array(nodes.length).fill(-1);
+  const closed = new Array(nodes.length).fill(false);
+  const open = new Set([0]);
+  g[0] = 0;
+  f[0] = planeDistance(start, goal);
+  while (open.size) {
+    let current = -1;
+    for (const i of open) if (current === -1 || f[i] < f[current]) current = i;
+    if (current === 1) break;
+    open.delete(current);
+    closed[current] = true;
+    for (let next = 1; next < nodes.length; next++) {
+      if (closed[next] || next === current) continue;
+      const tentative = g[current] + planeDistance(nodes[current], nodes[next]);
+      if (tentative >= g[next] || !visible(nodes[current], nodes[next])) continue;
+      cameFrom[next] = current;
+      g[next] = tentative;
+      f[next] = tentative + planeDistance(nodes[next], goal);
+      open.add(next);
+    }
+  }
+  if (g[1] === Infinity) return null;
+
+  const path = [];
+  for (let i = 1; i !== -1; i = cameFrom[i]) path.unshift(i);
+  return path.map((i) => {
+    if (i === 0) return { lat: a.lat, lon: a.lon };
+    if (i === 1) return { lat: b.lat, lon: b.lon };
+    const p = toLatLon(nodes[i]);
+    return { lat: Number(p.lat.toFixed(6)), lon: Number(p.lon.toFixed(6)) };
+  });
+}
+
+module.exports = { lineIntersectsCircle, segmentBlocked, planPath, polygonsOf };
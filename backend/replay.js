@@ -0,0 +1,68 @@
+// replay.js - Reconstrói o estado a partir do log de eventos (EVENT_LOG_PATH)
+// Uso:
+//   node replay.js                         resumo do estado reconstruído
+//   node replay.js --until 2025-11-25T12:00:00Z   estado como estava nesse instante
+//   node replay.js --until-seq 1500        estado após o evento 1500
+//   node replay.js --out estado.json       grava o estado reconstruído em arquivo
+//   node replay.js --compare               compara com o banco atual (DB_DRIVER/DB_PATH)
+// Útil para investigar disputas ("qual era o status da entrega às 14h?") e
+// divergências de reserva de bateria.
+const fs = require('fs');
+const { readEventsFile, replay, diffState, indexState, DEFAULT_FILE } = require('./events');
+const { createStorage, COLLECTIONS } = require('./storage');
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const file = argValue(args, '--log') || DEFAULT_FILE;
+  const untilTs = argValue(args, '--until');
+  const untilSeqArg = argValue(args, '--until-seq');
+  const untilSeq = typeof untilSeqArg !== 'undefined' ? Number(untilSeqArg) : undefined;
+  if (untilTs && Number.isNaN(new Date(untilTs).getTime())) throw new Error(`Invalid --until date: ${untilTs}`);
+  if (typeof untilSeq !== 'undefined' && !Number.isInteger(untilSeq)) throw new Error(`Invalid --until-seq: ${untilSeqArg}`);
+
+  const events = readEventsFile(file);
+  const db = replay(events, { untilSeq, untilTs: untilTs && new Date(untilTs).toISOString() });
+  const applied = events.filter(ev => (typeof untilSeq !== 'number' || ev.seq <= untilSeq) && (!untilTs || ev.ts <= new Date(untilTs).toISOString()));
+  const last = applied[applied.length - 1];
+
+  console.log(`📜 Log: ${file} (${events.length} eventos)`);
+  console.log(`🔁 Eventos aplicados: ${applied.length}${last ? ` (até seq ${last.seq}, ${last.ts})` : ''}\n`);
+  for (const c of COLLECTIONS) console.log(`   ${c}: ${db[c].length}`);
+  if (typeof db.nextOrderNumber !== 'undefined') console.log(`   nextOrderNumber: ${db.nextOrderNumber}`);
+
+  const out = argValue(args, '--out');
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(db, null, 2));
+    console.log(`\n💾 Estado reconstruído gravado em ${out}`);
+  }
+
+  if (args.includes('--compare')) {
+    const storage = createStorage();
+    const current = storage.load();
+    storage.close();
+    const { events: diffs } = diffState(indexState(db), current);
+    if (diffs.length === 0) {
+      console.log('\n✅ O banco atual corresponde ao estado reconstruído.');
+    } else {
+      console.log(`\n⚠️ ${diffs.length} diferença(s) entre o estado reconstruído e o banco atual:`);
+      for (const d of diffs.slice(0, 50)) {
+        const fields = d.changes ? ` [${Object.keys(d.changes).join(', ')}]` : '';
+        console.log(`   ${d.type} ${d.entityId}${fields}`);
+      }
+      if (diffs.length > 50) console.log(`   ... e mais ${diffs.length - 50}`);
+      process.exitCode = 2;
+    }
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('❌', e && e.message);
+  process.exit(1);
+}
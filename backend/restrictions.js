@@ -0,0 +1,52 @@
+// Restrições temporárias de voo: obstáculos com janela de validade e/ou horário recorrente.
+//  - activeFrom / activeUntil (ISO, opcionais): fora desse intervalo a zona não existe
+//  - schedule (opcional): { daysOfWeek: [0-6] (0 = domingo), startTime: 'HH:MM', endTime: 'HH:MM',
+//    utcOffsetMinutes } — a zona só vale nesses dias e horários (no fuso informado, padrão UTC).
+//    endTime menor que startTime atravessa a meia-noite (a janela pertence ao dia em que começa).
+// Obstáculos sem esses campos são permanentes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// O horário recorrente tem alguma janela que cruza [fromMs, untilMs]?
+function scheduleOverlaps(schedule, fromMs, untilMs) {
+  const offsetMs = (schedule.utcOffsetMinutes || 0) * 60000;
+  const startMin = minutesOf(schedule.startTime);
+  let endMin = minutesOf(schedule.endTime);
+  if (endMin <= startMin) endMin += 24 * 60;
+  // dias (no fuso do horário) desde a véspera do início até o fim do intervalo
+  const firstDay = Math.floor((fromMs + offsetMs) / DAY_MS) - 1;
+  const lastDay = Math.floor((untilMs + offsetMs) / DAY_MS);
+  for (let day = firstDay; day <= lastDay; day++) {
+    const weekday = (((day + 4) % 7) + 7) % 7; // 01/01/1970 foi quinta-feira
+    if (!schedule.daysOfWeek.includes(weekday)) continue;
+    const windowStart = day * DAY_MS - offsetMs + startMin * 60000;
+    const windowEnd = day * DAY_MS - offsetMs + endMin * 60000;
+    if (windowStart <= untilMs && windowEnd >= fromMs) return true;
+  }
+  return false;
+}
+
+// O obstáculo está ativo em algum instante de [fromMs, untilMs]?
+function isActiveDuring(obstacle, fromMs, untilMs = fromMs) {
+  const from = obstacle.activeFrom ? Math.max(fromMs, new Date(obstacle.activeFrom).getTime()) : fromMs;
+  const until = obstacle.activeUntil ? Math.min(untilMs, new Date(obstacle.activeUntil).getTime()) : untilMs;
+  if (from > until) return false;
+  return obstacle.schedule ? scheduleOverlaps(obstacle.schedule, from, until) : true;
+}
+
+// Restrição que já terminou e não volta mais
+function isExpired(obstacle, nowMs) {
+  return !!obstacle.activeUntil && new Date(obstacle.activeUntil).getTime() <= nowMs;
+}
+
+// Obstáculos que valem durante a janela de um voo
+function activeObstacles(obstacles, fromMs, untilMs) {
+  return (obstacles || []).filter(o => isActiveDuring(o, fromMs, untilMs));
+}
+
+module.exports = { isActiveDuring, isExpired, activeObstacles };
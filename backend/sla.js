@@ -0,0 +1,37 @@
+// Janelas de entrega e prazos (SLA).
+//  - earliestAt (ISO, opcional): início da janela, a entrega não deve chegar antes
+//  - latestAt (ISO, opcional): prazo do SLA ("entregar até")
+// Entregas sem esses campos não têm janela nem prazo.
+//
+// Estado do SLA (calculado a cada consulta, não é gravado):
+//  - null:       sem prazo (ou entrega cancelada)
+//  - 'on-track': dentro do prazo
+//  - 'at-risk':  a bordo de um voo com chegada prevista depois do prazo (ou em espera),
+//                ou ainda sem voo e com o prazo a menos de `atRiskMs`
+//  - 'missed':   prazo vencido sem entrega, ou entregue depois do prazo
+//  - 'met':      entregue dentro do prazo
+
+// Prazo da entrega em ms (sem prazo = Infinity, vai para o fim da fila)
+function deadlineOf(delivery) {
+  return delivery.latestAt ? new Date(delivery.latestAt).getTime() : Infinity;
+}
+
+// A janela da entrega já abriu?
+function windowOpen(delivery, nowMs) {
+  return !delivery.earliestAt || new Date(delivery.earliestAt).getTime() <= nowMs;
+}
+
+// `etaMs`: chegada prevista ao destino quando a entrega está a bordo de um voo ativo
+// (Infinity se o voo está em espera), undefined sem voo
+function slaStatus(delivery, { nowMs, etaMs, atRiskMs }) {
+  if (!delivery.latestAt || delivery.status === 'cancelled') return null;
+  const deadline = deadlineOf(delivery);
+  if (delivery.status === 'delivered') {
+    return delivery.deliveredAt && new Date(delivery.deliveredAt).getTime() > deadline ? 'missed' : 'met';
+  }
+  if (nowMs > deadline) return 'missed';
+  if (typeof etaMs === 'number') return etaMs > deadline ? 'at-risk' : 'on-track';
+  return deadline - nowMs <= atRiskMs ? 'at-risk' : 'on-track';
+}
+
+module.exports = { deadlineOf, windowOpen, slaStatus };
@@ -0,0 +1,53 @@
+// snapshot.js - Backup e restauração do banco configurado (DB_DRIVER=json|sqlite)
+// Uso:
+//   node snapshot.js list
+//   node snapshot.js create [nome]
+//   node snapshot.js restore <nome>
+// `restore` deve ser usado com o servidor parado (ele mantém o estado em memória).
+// Com o servidor rodando, use a API: POST /snapshots/:nome/restore
+const { createStorage } = require('./storage');
+const snapshots = require('./snapshots');
+
+function printSummary(s) {
+  const c = s.counts;
+  console.log(`  ${s.name}  (${s.createdAt}, schema ${s.schemaVersion})`);
+  console.log(`     drones ${c.drones} · entregas ${c.deliveries} · voos ${c.flights} · histórico ${c.flightHistory} · obstáculos ${c.obstacles} · bases ${c.depots} · áreas de tempo ${c.weatherAreas}`);
+}
+
+function main() {
+  const [command, name] = process.argv.slice(2);
+
+  if (command === 'list') {
+    const list = snapshots.listSnapshots();
+    console.log(`📸 Snapshots em ${snapshots.SNAPSHOT_DIR}: ${list.length}\n`);
+    list.forEach(printSummary);
+    return;
+  }
+
+  const storage = createStorage();
+  storage.recover();
+
+  if (command === 'create') {
+    const summary = snapshots.createSnapshot(storage.load(), name);
+    console.log('✅ Snapshot criado:');
+    printSummary(summary);
+  } else if (command === 'restore') {
+    if (!name) throw new Error('Informe o nome do snapshot: node snapshot.js restore <nome>');
+    const next = snapshots.loadForRestore(name);
+    if (!next) throw new Error(`Snapshot "${name}" não encontrado`);
+    const backup = snapshots.createSnapshot(storage.load(), `pre-restore-${Date.now()}`);
+    storage.save(next);
+    console.log(`✅ Snapshot "${name}" restaurado (estado anterior salvo como "${backup.name}").`);
+  } else {
+    console.error('Uso: node snapshot.js list | create [nome] | restore <nome>');
+    process.exitCode = 1;
+  }
+  storage.close();
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('❌', e && e.message);
+  process.exit(1);
+}
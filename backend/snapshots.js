@@ -0,0 +1,75 @@
+// Snapshots nomeados do estado operacional completo (backup/restore).
+// Cada snapshot é um arquivo `<nome>.json` em SNAPSHOT_DIR (padrão: backend/snapshots/)
+// com metadados e o banco inteiro em `data` (coleções, nextOrderNumber, schemaVersion).
+// Independe do adaptador de armazenamento: um snapshot tirado com JSON pode ser
+// restaurado com SQLite e vice-versa.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./storage/jsonStorage');
+const { normalizeDB, COLLECTIONS } = require('./storage');
+const { runMigrations } = require('./migrations');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'snapshots');
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+function snapshotFile(name) {
+  if (!isValidName(name)) throw new Error('Invalid snapshot name (use letters, digits, "-" or "_", up to 64 chars)');
+  return path.join(SNAPSHOT_DIR, `${name}.json`);
+}
+
+// Resumo exibido nas listagens (evita ler o banco inteiro no cliente)
+function summarize(snapshot) {
+  const counts = {};
+  for (const c of COLLECTIONS) counts[c] = (snapshot.data[c] || []).length;
+  return { name: snapshot.name, createdAt: snapshot.createdAt, schemaVersion: snapshot.data.schemaVersion || 0, nextOrderNumber: snapshot.data.nextOrderNumber, counts };
+}
+
+// Grava um snapshot do estado atual. Sem nome, usa a data/hora.
+function createSnapshot(state, name) {
+  const finalName = name || `snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const file = snapshotFile(finalName);
+  if (fs.existsSync(file)) throw new Error(`Snapshot "${finalName}" already exists`);
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const snapshot = { name: finalName, createdAt: new Date().toISOString(), data: structuredClone(state) };
+  writeFileAtomicSync(file, JSON.stringify(snapshot, null, 2));
+  return summarize(snapshot);
+}
+
+// Retorna o snapshot completo ou null se não existir
+function readSnapshot(name) {
+  const file = snapshotFile(name);
+  if (!fs.existsSync(file)) return null;
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  snapshot.data = normalizeDB(snapshot.data);
+  return snapshot;
+}
+
+// Banco pronto para substituir o estado atual: dados do snapshot migrados para o
+// esquema corrente (snapshots antigos continuam restauráveis). Null se não existir.
+function loadForRestore(name) {
+  const snapshot = readSnapshot(name);
+  if (!snapshot) return null;
+  runMigrations(snapshot.data);
+  return snapshot.data;
+}
+
+// Lista snapshots, do mais recente para o mais antigo. Arquivos ilegíveis são ignorados.
+function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+  const out = [];
+  for (const n of fs.readdirSync(SNAPSHOT_DIR)) {
+    if (!n.endsWith('.json')) continue;
+    const name = n.slice(0, -5);
+    if (!isValidName(name)) continue;
+    try {
+      out.push(summarize(readSnapshot(name)));
+    } catch {}
+  }
+  return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = { SNAPSHOT_DIR, isValidName, createSnapshot, readSnapshot, loadForRestore, listSnapshots };
@@ -0,0 +1,368 @@
+// Máquinas de estado de voos, entregas e drones: transições permitidas e seus efeitos
+// (bateria reservada, estado e posição do drone, status das entregas).
+// Rotas e loops de simulação só mudam `status`/`state` por aqui. Quem chama valida antes com
+// `transitionError` (rotas respondem 409 com a mensagem); as funções de transição lançam erro
+// se mesmo assim a transição for proibida, em vez de deixar o banco num estado impossível.
+//
+// Voo:     scheduled -> in_progress -> completed
+//          scheduled | in_progress -> holding -> (status de antes da espera)
+//          scheduled | in_progress | holding -> cancelled
+//          in_progress | holding (já decolado) -> returning (abortado, voltando) -> cancelled (pousou)
+// Entrega: pending -> in_transit -> delivered
+//          in_transit -> pending (voo cancelado)
+//          pending | in_transit -> cancelled
+// Drone:   idle | charging -> loading (voo partindo agora) -> in_flight -> idle
+//          idle | charging -> in_flight (partida agendada)
+//          loading -> returning (voo de retorno à base) -> idle
+//          in_flight -> returning (voo abortado, voltando) -> idle
+//          loading -> idle (voo cancelado antes de decolar)
+//          idle <-> charging (loop de recarga: ocupa um ponto de recarga da base até encher)
+//          idle | charging -> maintenance | offline -> idle (operador, sem voos ativos)
+// Permanecer no mesmo estado não é transição e é sempre permitido (nada muda).
+const { routeLegs, energyForLegs, requiredBatteryPercent, hoverEnergy } = require('../shared/energy.mjs');
+const { flightDeliveryIds } = require('./flightPlan');
+
+const MACHINES = {
+  flight: {
+    field: 'status',
+    initial: 'scheduled',
+    transitions: {
+      scheduled: ['in_progress', 'holding', 'cancelled'],
+      in_progress: ['holding', 'completed', 'returning', 'cancelled'],
+      holding: ['scheduled', 'in_progress', 'returning', 'cancelled'],
+      returning: ['cancelled'],
+      completed: [],
+      cancelled: []
+    },
+    // voo em espera só retoma para o status que tinha antes e só volta se já tinha decolado
+    guard(flight, from, to) {
+      if (from !== 'holding' || to === 'cancelled' || !flight.hold) return null;
+      const { previousStatus } = flight.hold;
+      if (to === 'returning') return previousStatus === 'in_progress' ? null : 'Flight on hold has not taken off';
+      return previousStatus === to ? null : `Flight on hold can only resume to '${previousStatus}'`;
+    }
+  },
+  delivery: {
+    field: 'status',
+    initial: 'pending',
+    transitions: {
+      pending: ['in_transit', 'cancelled'],
+      in_transit: ['pending', 'delivered', 'cancelled'],
+      delivered: [],
+      cancelled: []
+    }
+  },
+  drone: {
+    field: 'state',
+    initial: 'idle',
+    transitions: {
+      idle: ['loading', 'in_flight', 'charging', 'maintenance', 'offline'],
+      charging: ['loading', 'in_flight', 'idle', 'maintenance', 'offline'],
+      loading: ['in_flight', 'returning', 'idle'],
+      in_flight: ['returning', 'idle'],
+      returning: ['idle'],
+      maintenance: ['idle', 'offline'],
+      offline: ['idle', 'maintenance']
+    }
+  }
+};
+
+const stateOf = (kind, entity) => entity[MACHINES[kind].field] || MACHINES[kind].initial;
+
+// Motivo pelo qual `entity` não pode ir para `to`, ou null se a transição é permitida
+function transitionError(kind, entity, to) {
+  const machine = MACHINES[kind];
+  const from = stateOf(kind, entity);
+  if (from === to) return null;
+  if (!machine.transitions[to]) return `Unknown ${kind} ${machine.field} '${to}'`;
+  if (!(machine.transitions[from] || []).includes(to)) return `Cannot change ${kind} ${machine.field} from '${from}' to '${to}'`;
+  return machine.guard ? machine.guard(entity, from, to) : null;
+}
+
+function setState(kind, entity, to) {
+  const error = transitionError(kind, entity, to);
+  if (error) throw new Error(error);
+  entity[MACHINES[kind].field] = to;
+}
+
+// Drone ocioso: pode ocupar um ponto de recarga na base
+const isDroneIdle = (drone) => stateOf('drone', drone) === 'idle';
+
+// Drone parado (ocioso ou recarregando): pode receber voos partindo agora
+const canDepartNow = (drone) => ['idle', 'charging'].includes(stateOf('drone', drone));
+
+// Fora de operação (manutenção ou desligado): o despacho não escolhe o drone
+const OUT_OF_SERVICE_STATES = ['maintenance', 'offline'];
+const isDispatchable = (drone) => !OUT_OF_SERVICE_STATES.includes(stateOf('drone', drone));
+
+// Voo com o drone no ar (decolou e ainda não pousou): cancelar vira volta ('returning')
+const isAirborne = (flight) => ['in_progress', 'returning'].includes(flight.status)
+  || (flight.status === 'holding' && !!flight.hold && flight.hold.previousStatus === 'in_progress');
+
+// ---------- entregas ----------
+
+// Entregas de um voo interrompido que ainda estavam em trânsito voltam para 'pending'
+// (as já entregues em paradas anteriores continuam 'delivered')
+function revertFlightDeliveries(db, flight) {
+  for (const id of flightDeliveryIds(flight)) {
+    const delivery = db.deliveries.find(d => d.id === id);
+    if (delivery && stateOf('delivery', delivery) === 'in_transit') setState('delivery', delivery, 'pending');
+  }
+}
+
+// Conclui as paradas alcançadas até `km` da rota; cada destino concluído marca a entrega como 'delivered'
+function completeStopsUpTo(db, flight, km) {
+  const now = new Date().toISOString();
+  for (const stop of flight.stops || []) {
+    if (stop.status !== 'pending' || stop.atKm > km) continue;
+    stop.status = 'completed';
+    stop.completedAt = now;
+    if (stop.type === 'dropoff') {
+      const delivery = db.deliveries.find(d => d.id === stop.deliveryId);
+      if (delivery && stateOf('delivery', delivery) !== 'delivered' && !transitionError('delivery', delivery, 'delivered')) {
+        setState('delivery', delivery, 'delivered');
+        delivery.deliveredAt = now;
+      }
+    }
+  }
+}
+
+// ---------- bateria ----------
+
+// Trechos da rota com a carga a bordo e o vento em cada um, para o modelo de energia (shared/energy.mjs)
+function flightLegs(db, stops, tailwinds = []) {
+  return routeLegs(stops, id => {
+    const delivery = db.deliveries.find(d => d.id === id);
+    return delivery ? delivery.weightKg : 0;
+  }, tailwinds);
+}
+
+// Ao pousar: consome a energia restante do trajeto e libera a reserva de segurança não usada
+function settleFlightBattery(db, drone, flight) {
+  const used = Number(energyForLegs(drone, flightLegs(db, flight.stops, flight.tailwinds)).toFixed(1));
+  const consumed = flight.batteryConsumed || 0;
+  drone.batteryPercent = Math.max(0, Number((drone.batteryPercent - Math.max(0, used - consumed)).toFixed(1)));
+  drone.reservedBatteryPercent = Math.max(0, Number(((drone.reservedBatteryPercent || 0) - Math.max(0, (flight.requiredBattery || 0) - consumed)).toFixed(1)));
+  flight.batteryConsumed = used;
+  flight.progress = 1;
+}
+
+// Carga a bordo (kg): coletas concluídas cujo destino ainda não foi concluído
+function payloadOnBoard(db, flight) {
+  const done = (type, id) => (flight.stops || []).some(s => s.type === type && s.deliveryId === id && s.status === 'completed');
+  return flightDeliveryIds(flight)
+    .filter(id => done('pickup', id) && !done('dropoff', id))
+    .reduce((sum, id) => {
+      const delivery = db.deliveries.find(d => d.id === id);
+      return sum + (delivery ? delivery.weightKg : 0);
+    }, 0);
+}
+
+// Voo em espera no ar: o drone paira e gasta bateria fora da reserva do trajeto. Conta a energia
+// da espera inteira até `nowMs` e desconta só o que ainda não foi descontado (flight.hold.batteryConsumed);
+// o total pairado do voo fica em flight.hoverBatteryConsumed
+function drainHover(db, flight, nowMs = Date.now()) {
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (!drone || !isAirborne(flight) || flight.status !== 'holding') return;
+  const seconds = (nowMs - Date.parse(flight.hold.since)) / 1000;
+  const total = Number(hoverEnergy(drone, payloadOnBoard(db, flight), seconds).toFixed(1));
+  const delta = total - (flight.hold.batteryConsumed || 0);
+  if (delta <= 0) return;
+  drone.batteryPercent = Math.max(0, Number((drone.batteryPercent - delta).toFixed(1)));
+  flight.hold.batteryConsumed = total;
+  flight.hoverBatteryConsumed = Number(((flight.hoverBatteryConsumed || 0) + delta).toFixed(1));
+}
+
+// Voo interrompido: devolve a bateria reservada que não foi consumida
+function releaseUnusedBattery(drone, flight) {
+  const remaining = (flight.requiredBattery || 0) - (flight.batteryConsumed || 0);
+  if (remaining > 0) drone.reservedBatteryPercent = Math.max(0, (drone.reservedBatteryPercent || 0) - remaining);
+}
+
+// ---------- voos ----------
+
+// Registro das intervenções no voo (espera, desvio, cancelamento...): flight.history
+function recordFlightAction(flight, action, details = {}) {
+  if (!Array.isArray(flight.history)) flight.history = [];
+  flight.history.push({ at: new Date().toISOString(), action, ...details });
+}
+
+// Drone chega ao fim da rota: fica na última parada e, se ela for uma base, estaciona
+function landAtLastStop(drone, flight) {
+  const lastStop = flight.stops[flight.stops.length - 1];
+  drone.currentLat = lastStop.lat;
+  drone.currentLon = lastStop.lon;
+  drone.dockedDepotId = lastStop.type === 'depot' ? lastStop.depotId : null;
+}
+
+// Estado do drone no ar durante o voo: retorno à base voa como 'returning'
+const flyingState = (flight) => (flight.kind === 'return-to-base' ? 'returning' : 'in_flight');
+
+// Motivo pelo qual o voo não pode decolar agora, ou null: o drone precisa estar parado
+// (ou carregando para este voo), não em outro voo nem fora de operação
+function launchError(db, flight) {
+  const flightError = transitionError('flight', flight, 'in_progress');
+  if (flightError) return flightError;
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (!drone) return null;
+  const from = stateOf('drone', drone);
+  if (!['idle', 'charging', 'loading'].includes(from)) return `Drone is not ready to launch (state '${from}')`;
+  return transitionError('drone', drone, flyingState(flight));
+}
+
+// scheduled -> in_progress: o drone decola (sem posição conhecida, da primeira parada)
+function launchFlight(db, flight) {
+  const error = launchError(db, flight);
+  if (error) throw new Error(error);
+  setState('flight', flight, 'in_progress');
+  flight.startedAt = new Date().toISOString();
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (!drone) return;
+  if (!flight.origin && typeof drone.currentLat !== 'number' && flight.stops && flight.stops.length) {
+    drone.currentLat = flight.stops[0].lat;
+    drone.currentLon = flight.stops[0].lon;
+  }
+  setState('drone', drone, flyingState(flight));
+  drone.dockedDepotId = null;
+}
+
+// in_progress -> completed: conclui as paradas pendentes, pousa o drone na última parada
+// e acerta a bateria pelo trajeto completo
+function completeFlight(db, flight) {
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  const error = transitionError('flight', flight, 'completed') || (drone && transitionError('drone', drone, 'idle'));
+  if (error) throw new Error(error);
+  setState('flight', flight, 'completed');
+  flight.completedAt = new Date().toISOString();
+  completeStopsUpTo(db, flight, Infinity);
+  if (!drone) return;
+  setState('drone', drone, 'idle');
+  landAtLastStop(drone, flight);
+  settleFlightBattery(db, drone, flight);
+}
+
+// -> cancelled: libera a bateria não consumida e devolve as entregas a bordo para 'pending'.
+// O drone que estava saindo para o voo fica ocioso onde está, a menos que esteja no ar em outro
+// voo; um drone parado (recarregando, por exemplo) continua como está.
+function cancelFlight(db, flight) {
+  setState('flight', flight, 'cancelled');
+  revertFlightDeliveries(db, flight);
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (!drone) return;
+  releaseUnusedBattery(drone, flight);
+  const airborne = db.flights.some(f => f !== flight && f.droneId === drone.id && isAirborne(f));
+  if (!airborne && ['loading', 'in_flight', 'returning'].includes(stateOf('drone', drone))) setState('drone', drone, 'idle');
+}
+
+// Tira o voo da lista de voos e arquiva em flightHistory com o motivo
+function archiveFlight(db, flight, removedReason) {
+  db.flights = db.flights.filter(f => f.id !== flight.id);
+  if (!db.flightHistory) db.flightHistory = [];
+  const archived = { ...flight, removedAt: new Date().toISOString(), removedReason };
+  db.flightHistory.push(archived);
+  return archived;
+}
+
+// Cancela um voo ativo e arquiva (obstáculo, entrega cancelada, remoção manual)
+function abortFlight(db, flight, removedReason) {
+  cancelFlight(db, flight);
+  return archiveFlight(db, flight, removedReason);
+}
+
+// Voo no ar -> returning: vira o trecho de volta `leg` ({ origin, stops, waypoints, tailwinds,
+// distanceKm, estimatedDurationSec }) a partir da posição atual, a `traveledKm` da rota original.
+// A rota original fica em flight.abort. A reserva não usada é trocada pela da volta, limitada ao
+// que o drone tem (voltar é sempre permitido). Entregas a bordo (coletas concluídas no km 0 da
+// volta) seguem em trânsito até o pouso; as que ainda não foram coletadas voltam para 'pending'.
+function startReturn(db, flight, leg, traveledKm, reason) {
+  drainHover(db, flight);
+  setState('flight', flight, 'returning');
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (drone) setState('drone', drone, 'returning');
+  const onBoard = leg.stops.filter(s => s.type === 'pickup').map(s => s.deliveryId);
+  for (const id of flightDeliveryIds(flight)) {
+    const delivery = db.deliveries.find(d => d.id === id);
+    if (delivery && !onBoard.includes(id) && stateOf('delivery', delivery) === 'in_transit') setState('delivery', delivery, 'pending');
+  }
+  const destination = leg.stops[leg.stops.length - 1];
+  flight.abort = {
+    at: new Date().toISOString(),
+    reason,
+    traveledKm: Number(traveledKm.toFixed(3)),
+    batteryConsumed: flight.batteryConsumed || 0,
+    route: { origin: flight.origin, stops: flight.stops, waypoints: flight.waypoints, tailwinds: flight.tailwinds, distanceKm: flight.distanceKm },
+    destination: { type: destination.type, depotId: destination.depotId || null, lat: destination.lat, lon: destination.lon }
+  };
+  flight.hold = null;
+  if (drone) releaseUnusedBattery(drone, flight);
+  const available = drone ? Math.max(0, drone.batteryPercent - (drone.reservedBatteryPercent || 0)) : 0;
+  flight.requiredBattery = drone ? Math.min(available, requiredBatteryPercent(drone, flightLegs(db, leg.stops, leg.tailwinds))) : 0;
+  if (drone) drone.reservedBatteryPercent = (drone.reservedBatteryPercent || 0) + flight.requiredBattery;
+  Object.assign(flight, leg, { positioningKm: 0, returnKm: leg.distanceKm, batteryConsumed: 0, progress: 0, startedAt: new Date().toISOString() });
+  recordFlightAction(flight, 'abort', { reason, destination: flight.abort.destination.depotId || destination.type });
+}
+
+// returning -> cancelled: o drone pousou no destino da volta; as entregas trazidas de volta
+// ficam 'pending' e o voo vai para o histórico
+function landReturnedFlight(db, flight) {
+  setState('flight', flight, 'cancelled');
+  flight.completedAt = new Date().toISOString();
+  completeStopsUpTo(db, flight, Infinity);
+  revertFlightDeliveries(db, flight);
+  const drone = db.drones.find(d => d.id === flight.droneId);
+  if (drone) {
+    setState('drone', drone, 'idle');
+    landAtLastStop(drone, flight);
+    settleFlightBattery(db, drone, flight);
+  }
+  return archiveFlight(db, flight, flight.abort.reason);
+}
+
+// scheduled | in_progress -> holding; o loop de simulação congela o progresso até retomar
+// (no ar, o drone paira: ver drainHover)
+function holdFlight(flight, reason, details = {}) {
+  const previousStatus = stateOf('flight', flight);
+  setState('flight', flight, 'holding');
+  flight.hold = { since: new Date().toISOString(), previousStatus, reason, ...details };
+  recordFlightAction(flight, 'hold', { reason, ...details });
+}
+
+// holding -> status anterior; o tempo parado não conta para o progresso (mas a bateria gasta
+// pairando, sim)
+function resumeFlight(db, flight, details = {}) {
+  drainHover(db, flight);
+  const { since, previousStatus } = flight.hold;
+  setState('flight', flight, previousStatus);
+  if (previousStatus === 'in_progress' && flight.startedAt) {
+    const heldMs = Date.now() - new Date(since).getTime();
+    flight.startedAt = new Date(new Date(flight.startedAt).getTime() + heldMs).toISOString();
+  }
+  flight.hold = null;
+  recordFlightAction(flight, 'resume', details);
+}
+
+module.exports = {
+  transitionError,
+  setState,
+  isDroneIdle,
+  canDepartNow,
+  OUT_OF_SERVICE_STATES,
+  isDispatchable,
+  isAirborne,
+  revertFlightDeliveries,
+  completeStopsUpTo,
+  flightLegs,
+  settleFlightBattery,
+  recordFlightAction,
+  launchError,
+  launchFlight,
+  completeFlight,
+  cancelFlight,
+  archiveFlight,
+  abortFlight,
+  drainHover,
+  startReturn,
+  landReturnedFlight,
+  holdFlight,
+  resumeFlight
+};
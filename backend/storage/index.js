@@ -0,0 +1,47 @@
+// Camada de armazenamento plugável.
+// Todas as rotas enxergam o banco como um objeto único com as coleções abaixo
+// e os contadores (ex.: nextOrderNumber) como chaves de topo. Cada adaptador
+// sabe carregar (`load`) e persistir (`save`) esse objeto no seu meio, e
+// verificar/recuperar o arquivo na inicialização (`recover`).
+//
+// Seleção por configuração (variáveis de ambiente):
+//  - DB_DRIVER: 'json' (padrão) ou 'sqlite'
+//  - DB_PATH:   caminho do arquivo (padrão: db.json ou db.sqlite ao lado do backend)
+const path = require('path');
+
+const COLLECTIONS = ['drones', 'deliveries', 'flights', 'flightHistory', 'obstacles', 'depots', 'weatherAreas'];
+
+// Estrutura de um banco vazio (mesma forma de db.example.json)
+function emptyDB() {
+  const db = {};
+  for (const c of COLLECTIONS) db[c] = [];
+  db.nextOrderNumber = 1;
+  return db;
+}
+
+// Garante que todas as coleções existam como arrays, mesmo em arquivos antigos
+function normalizeDB(db) {
+  const out = db && typeof db === 'object' ? db : {};
+  for (const c of COLLECTIONS) {
+    if (!Array.isArray(out[c])) out[c] = [];
+  }
+  return out;
+}
+
+const DEFAULT_FILES = {
+  json: 'db.json',
+  sqlite: 'db.sqlite'
+};
+
+// Cria o adaptador configurado. `options` sobrescreve as variáveis de ambiente.
+function createStorage(options = {}) {
+  const driver = (options.driver || process.env.DB_DRIVER || 'json').toLowerCase();
+  if (!DEFAULT_FILES[driver]) {
+    throw new Error(`Unknown DB_DRIVER "${driver}" (expected: ${Object.keys(DEFAULT_FILES).join(', ')})`);
+  }
+  const file = options.file || process.env.DB_PATH || path.join(__dirname, '..', DEFAULT_FILES[driver]);
+  if (driver === 'sqlite') return require('./sqliteStorage').createSqliteStorage({ file });
+  return require('./jsonStorage').createJsonStorage({ file });
+}
+
+module.exports = { createStorage, emptyDB, normalizeDB, COLLECTIONS };
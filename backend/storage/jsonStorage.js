@@ -0,0 +1,124 @@
+// Adaptador de armazenamento em arquivo JSON único (comportamento original do demo).
+// Gravação atômica (arquivo temporário + rename) para que um processo morto no meio
+// da escrita nunca deixe `db.json` truncado, e cópias rotativas do último estado bom
+// em `.db-backups/` para recuperação automática na inicialização.
+const fs = require('fs');
+const path = require('path');
+const { emptyDB, normalizeDB } = require('./index');
+
+// Quantas cópias manter e intervalo mínimo entre elas (configuráveis por ambiente)
+const BACKUP_COUNT = Number(process.env.DB_BACKUPS || 5);
+const BACKUP_INTERVAL_MS = Number(process.env.DB_BACKUP_INTERVAL_MS || 60000);
+
+// Escreve em um temporário no mesmo diretório, força para o disco e só então
+// substitui o destino. rename() é atômico no mesmo sistema de arquivos.
+function writeFileAtomicSync(file, content) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function parseDB(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('database root is not an object');
+  return normalizeDB(data);
+}
+
+function createJsonStorage({ file }) {
+  const backupDir = path.join(path.dirname(file), '.db-backups');
+  const backupPrefix = path.basename(file, path.extname(file)) + '-';
+  let lastBackupAt = 0;
+
+  // Lista as cópias existentes, da mais recente para a mais antiga
+  function listBackups() {
+    if (!fs.existsSync(backupDir)) return [];
+    return fs.readdirSync(backupDir)
+      .filter(n => n.startsWith(backupPrefix) && n.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(n => path.join(backupDir, n));
+  }
+
+  function writeBackup(content) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    writeFileAtomicSync(path.join(backupDir, `${backupPrefix}${stamp}.json`), content);
+    lastBackupAt = Date.now();
+    for (const old of listBackups().slice(BACKUP_COUNT)) {
+      try { fs.unlinkSync(old); } catch {}
+    }
+  }
+
+  return {
+    driver: 'json',
+    file,
+
+    // Leitura síncrona do arquivo inteiro. Se o arquivo ainda não existe, começa vazio.
+    load() {
+      if (!fs.existsSync(file)) return emptyDB();
+      return parseDB(fs.readFileSync(file, 'utf8'));
+    },
+
+    // Escrita atômica. Formata com identação para facilitar inspeção.
+    // O conteúdo recém-gravado é, por definição, um estado bom: vira cópia de segurança
+    // se a última tiver mais de BACKUP_INTERVAL_MS.
+    save(data) {
+      const content = JSON.stringify(data, null, 2);
+      writeFileAtomicSync(file, content);
+      if (BACKUP_COUNT > 0 && Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) writeBackup(content);
+    },
+
+    // Chamado na inicialização, antes de qualquer leitura das rotas.
+    // - remove temporários órfãos de uma escrita interrompida
+    // - se o arquivo principal não abre, restaura a cópia válida mais recente
+    //   (o arquivo corrompido é preservado como `<arquivo>.corrupt-<data>`)
+    // - sem cópia válida, lança erro: o servidor não deve rodar sobre dados corrompidos
+    recover() {
+      const dir = path.dirname(file);
+      const base = path.basename(file);
+      for (const n of fs.readdirSync(dir)) {
+        if (n.startsWith(`${base}.tmp-`)) {
+          try { fs.unlinkSync(path.join(dir, n)); } catch {}
+        }
+      }
+      if (!fs.existsSync(file)) return { recovered: false };
+
+      let mainError;
+      try {
+        const content = fs.readFileSync(file, 'utf8');
+        parseDB(content);
+        if (BACKUP_COUNT > 0 && listBackups().length === 0) writeBackup(content);
+        return { recovered: false };
+      } catch (e) {
+        mainError = e;
+      }
+
+      for (const backup of listBackups()) {
+        let content;
+        try {
+          content = fs.readFileSync(backup, 'utf8');
+          parseDB(content);
+        } catch {
+          continue;
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const corruptCopy = `${file}.corrupt-${stamp}`;
+        fs.renameSync(file, corruptCopy);
+        writeFileAtomicSync(file, content);
+        return { recovered: true, from: backup, corruptCopy, reason: mainError.message };
+      }
+
+      throw new Error(`Database file ${file} is unreadable (${mainError.message}) and no valid backup was found in ${backupDir}`);
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonStorage, writeFileAtomicSync };
@@ -0,0 +1,117 @@
+// Adaptador de armazenamento em SQLite embarcado (better-sqlite3, API síncrona).
+// Cada coleção vira uma tabela (pos, id, data) onde `data` é o registro em JSON e
+// `pos` preserva a ordem de inserção. Contadores de topo (nextOrderNumber, ...)
+// ficam na tabela `counters` como pares chave/valor JSON.
+const { emptyDB, normalizeDB, COLLECTIONS } = require('./index');
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('DB_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+  const sqlite = new Database(file);
+  sqlite.pragma('journal_mode = WAL');
+  for (const c of COLLECTIONS) {
+    sqlite.exec(`CREATE TABLE IF NOT EXISTS "${c}" (pos INTEGER PRIMARY KEY, id TEXT, data TEXT NOT NULL)`);
+    sqlite.exec(`CREATE INDEX IF NOT EXISTS "${c}_id" ON "${c}" (id)`);
+  }
+  sqlite.exec('CREATE TABLE IF NOT EXISTS counters (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  return sqlite;
+}
+
+function createSqliteStorage({ file }) {
+  const sqlite = openDatabase(file);
+
+  const stmts = {};
+  for (const c of COLLECTIONS) {
+    stmts[c] = {
+      all: sqlite.prepare(`SELECT pos, data FROM "${c}" ORDER BY pos`),
+      upsert: sqlite.prepare(`INSERT INTO "${c}" (pos, id, data) VALUES (?, ?, ?) ON CONFLICT(pos) DO UPDATE SET id = excluded.id, data = excluded.data`),
+      truncate: sqlite.prepare(`DELETE FROM "${c}" WHERE pos >= ?`)
+    };
+  }
+  const counterAll = sqlite.prepare('SELECT key, value FROM counters');
+  const counterUpsert = sqlite.prepare('INSERT INTO counters (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  const counterDelete = sqlite.prepare('DELETE FROM counters WHERE key = ?');
+
+  // Última versão serializada de cada linha: evita regravar registros que não mudaram
+  const cache = {};
+  for (const c of COLLECTIONS) cache[c] = [];
+  let cachedCounters = new Map();
+
+  const writeAll = sqlite.transaction((data) => {
+    for (const c of COLLECTIONS) {
+      const items = Array.isArray(data[c]) ? data[c] : [];
+      const prev = cache[c];
+      const next = new Array(items.length);
+      for (let pos = 0; pos < items.length; pos++) {
+        const json = JSON.stringify(items[pos]);
+        next[pos] = json;
+        if (prev[pos] !== json) stmts[c].upsert.run(pos, items[pos] && items[pos].id != null ? String(items[pos].id) : null, json);
+      }
+      if (prev.length > items.length) stmts[c].truncate.run(items.length);
+      cache[c] = next;
+    }
+    const counters = new Map();
+    for (const key of Object.keys(data)) {
+      if (COLLECTIONS.includes(key)) continue;
+      const json = JSON.stringify(data[key]);
+      if (typeof json === 'undefined') continue;
+      counters.set(key, json);
+      if (cachedCounters.get(key) !== json) counterUpsert.run(key, json);
+    }
+    for (const key of cachedCounters.keys()) {
+      if (!counters.has(key)) counterDelete.run(key);
+    }
+    cachedCounters = counters;
+  });
+
+  return {
+    driver: 'sqlite',
+    file,
+
+    load() {
+      const rows = counterAll.all();
+      const hasData = rows.length > 0 || COLLECTIONS.some(c => stmts[c].all.get());
+      if (!hasData) return emptyDB();
+
+      const db = {};
+      for (const c of COLLECTIONS) {
+        const list = [];
+        const serialized = [];
+        for (const row of stmts[c].all.all()) {
+          list.push(JSON.parse(row.data));
+          serialized.push(row.data);
+        }
+        db[c] = list;
+        cache[c] = serialized;
+      }
+      cachedCounters = new Map();
+      for (const { key, value } of rows) {
+        db[key] = JSON.parse(value);
+        cachedCounters.set(key, value);
+      }
+      return normalizeDB(db);
+    },
+
+    save(data) {
+      writeAll(data);
+    },
+
+    // SQLite já grava de forma transacional; na inicialização apenas confirmamos
+    // que o arquivo está íntegro e recusamos seguir caso contrário.
+    recover() {
+      const result = sqlite.pragma('integrity_check', { simple: true });
+      if (result !== 'ok') throw new Error(`SQLite integrity check failed for ${file}: ${result}`);
+      return { recovered: false };
+    },
+
+    close() {
+      sqlite.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
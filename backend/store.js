@@ -0,0 +1,113 @@
+// Estado em memória autoritativo do servidor.
+// O banco é carregado uma única vez do armazenamento (storage/) e todas as rotas e
+// loops de simulação leem e alteram este mesmo objeto. Alterações passam por
+// `transaction(fn)`, que roda de forma síncrona e exclusiva (o event loop do Node
+// nunca intercala duas transações), e a persistência acontece em segundo plano
+// (write-behind), agrupando várias alterações numa única gravação.
+//
+// Regra para quem escreve transações: validar antes de alterar. Uma transação que
+// retorna cedo (ex.: 400) depois de já ter mexido no estado deixaria a alteração
+// parcial visível para as próximas requisições.
+//
+// O estado entregue (`state`, transações) registra quais registros foram escritos
+// (ver changeTracker.js); os ouvintes recebem essas alterações a cada commit.
+const { createChangeTracker } = require('./changeTracker');
+const { COLLECTIONS } = require('./storage');
+
+// Atraso padrão entre a primeira alteração pendente e a gravação
+const DEFAULT_FLUSH_DELAY_MS = Number(process.env.DB_FLUSH_MS || 200);
+
+// `getContext()` informa quem está alterando (ator/origem) quando a transação não diz;
+// os ouvintes registrados com `subscribe` recebem (state, context, changes) após cada commit.
+function createStore(storage, { flushDelayMs = DEFAULT_FLUSH_DELAY_MS, getContext = () => ({}) } = {}) {
+  let state = storage.load();
+  const tracker = createChangeTracker(COLLECTIONS);
+  let dirty = false;
+  let timer = null;
+  let depth = 0;
+  const listeners = [];
+
+  function notify(context) {
+    const changes = tracker.take();
+    for (const fn of listeners) {
+      try {
+        fn(state, context || getContext() || {}, changes);
+      } catch (e) {
+        console.error('Store: listener failed', e && e.message);
+      }
+    }
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!dirty) return false;
+    dirty = false;
+    try {
+      storage.save(state);
+    } catch (e) {
+      // mantém marcado como pendente para tentar novamente na próxima janela
+      dirty = true;
+      console.error('Store: failed to persist state', e && e.message);
+      scheduleFlush();
+      return false;
+    }
+    return true;
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    // não segura o processo vivo só por causa de uma gravação pendente
+    if (timer.unref) timer.unref();
+  }
+
+  return {
+    // Estado atual (somente leitura fora de transações)
+    get state() {
+      return tracker.wrap(state);
+    },
+
+    // Estado sem rastreamento, para copiar (snapshots); nunca alterar por aqui
+    get raw() {
+      return state;
+    },
+
+    // Executa `fn(state)` como uma transação e agenda a persistência.
+    // Transações aninhadas participam da transação externa.
+    transaction(fn, context) {
+      depth++;
+      try {
+        return fn(tracker.wrap(state));
+      } finally {
+        depth--;
+        if (depth === 0) this.commit(context);
+      }
+    },
+
+    // Marca o estado como alterado e agenda a gravação. Útil para código síncrono
+    // que só sabe no final se mudou algo (ex.: loops de simulação).
+    commit(context) {
+      dirty = true;
+      scheduleFlush();
+      notify(context);
+    },
+
+    // Substitui o estado inteiro (restauração de snapshot) e grava imediatamente
+    replace(next, context) {
+      state = next;
+      tracker.markAll();
+      dirty = true;
+      flush();
+      notify(context);
+    },
+
+    subscribe(fn) {
+      listeners.push(fn);
+    },
+
+    // Grava agora o que estiver pendente (usado no encerramento do processo)
+    flush
+  };
+}
+
+module.exports = { createStore };
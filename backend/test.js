@@ -2,15 +2,23 @@
 // Execute com: TEST_PORT=4100 node test.js (PowerShell: $env:TEST_PORT=4100; node test.js)
 
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { spawn } = require('child_process');
 
 const TEST_PORT = process.env.TEST_PORT || 4100;
+// banco, snapshots e log de eventos criados pelos testes ficam fora da pasta do projeto
+const SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-snapshots-'));
+const DB_PATH = path.join(SNAPSHOT_DIR, 'db.json');
+const EVENT_LOG_PATH = path.join(SNAPSHOT_DIR, 'events.log');
+const WEATHER_FILE = path.join(SNAPSHOT_DIR, 'weather.json');
 const BASE_URL = `http://localhost:${TEST_PORT}`;
 let testesAprovados = 0;
 let testesFalharam = 0;
 
 // Helper para fazer requisições HTTP
-function request(method, path, body = null) {
+function request(method, path, body = null, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, BASE_URL);
     const options = {
@@ -18,7 +26,7 @@ function request(method, path, body = null) {
       port: url.port,
       path: url.pathname + url.search,
       method: method,
-      headers: body ? { 'Content-Type': 'application/json' } : {}
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...extraHeaders }
     };
 
     const req = http.request(options, (res) => {
@@ -35,7 +43,7 @@ function request(method, path, body = null) {
     });
 
     req.on('error', reject);
-    if (body) req.write(JSON.stringify(body));
+    if (body) req.write(typeof body === 'string' ? body : JSON.stringify(body));
     req.end();
   });
 }
@@ -84,6 +92,12 @@ async function limparDadosTeste() {
     for (const d of (drones.body || []).filter(x => x.id && x.id.startsWith('test-'))) {
       await request('DELETE', `/drones/${d.id}`);
     }
+
+    // Limpar bases de teste (depois dos drones que as usam)
+    const depots = await request('GET', '/depots');
+    for (const d of (depots.body || []).filter(x => x.id && x.id.startsWith('test-'))) {
+      await request('DELETE', `/depots/${d.id}`);
+    }
   } catch (e) {
     console.error('Erro ao limpar:', e.message);
   }
@@ -236,6 +250,719 @@ async function testarBloqueioRota() {
   assert(res.status === 400 && res.body.error.includes('obstacle'), 'Rota bloqueada por obstáculo previne voo');
 }
 
+async function testarDespachoLote() {
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+
+  // Cenário em que o guloso erra: a entrega leve (alta prioridade) ficaria com o único drone de carga pesada
+  const ts = Date.now();
+  const pesado = `test-drone-pesado-${ts}`;
+  const leve = `test-drone-leve-${ts}`;
+  await request('POST', '/drones', { id: pesado, model: 'Heavy', maxWeightKg: 10, maxRangeKm: 50, batteryPercent: 100 });
+  await request('POST', '/drones', { id: leve, model: 'Light', maxWeightKg: 2, maxRangeKm: 50, batteryPercent: 60 });
+  const ids = [`test-lote-leve-${ts}`, `test-lote-pesada-${ts}`, `test-lote-longe-${ts}`];
+  await request('POST', '/deliveries', { id: ids[0], weightKg: 1, priority: 'high', pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.91, lon: -43.21 } });
+  await request('POST', '/deliveries', { id: ids[1], weightKg: 8, priority: 'normal', pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.92, lon: -43.22 } });
+  await request('POST', '/deliveries', { id: ids[2], weightKg: 1, priority: 'low', pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -23.9, lon: -44.2 } });
+  const escopo = { deliveryIds: ids, droneIds: [pesado, leve] };
+
+  const plano = await request('POST', '/flights/batch', { ...escopo, dryRun: true });
+  const porEntrega = Object.fromEntries((plano.body.assignments || []).map(a => [a.deliveryId, a.droneId]));
+  assert(plano.status === 200 && porEntrega[ids[0]] === leve && porEntrega[ids[1]] === pesado, 'Lote reserva o drone pesado para a entrega pesada');
+  const fora = (plano.body.unassigned || []).find(u => u.deliveryId === ids[2]);
+  assert(fora && /Out of range/.test(fora.reason), 'Plano informa entregas não atribuídas com motivo');
+  const aindaPendente = (await request('GET', '/deliveries')).body.find(d => d.id === ids[0]);
+  assert(aindaPendente.status === 'pending', 'Dry-run do lote não altera o estado');
+
+  const invalido = await request('POST', '/flights/batch', { objective: 'lucro' });
+  assert(invalido.status === 400, 'Lote rejeita objetivo desconhecido');
+
+  const exec = await request('POST', '/flights/batch', escopo);
+  const flightIds = (exec.body.assignments || []).map(a => a.flightId);
+  const voos = (await request('GET', '/flights')).body.filter(f => flightIds.includes(f.id));
+  assert(exec.status === 201 && voos.length === 2 && new Set(flightIds).size === 2, 'Lote cria um voo por atribuição');
+  assert(exec.body.assignments.every(a => {
+    const v = voos.find(f => f.id === a.flightId);
+    return v && v.droneId === a.droneId && v.requiredBattery === a.requiredBattery && v.distanceKm === a.distanceKm;
+  }), 'Voo do lote usa a rota e a bateria avaliadas no plano');
+}
+
+async function testarVooMultiParada() {
+  const { planStops } = require('./flightPlan');
+  const a = { id: 'a', pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.95, lon: -43.25 } };
+  const b = { id: 'b', pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.91, lon: -43.21 } };
+  const paradas = planStops([a, b]);
+  assert(paradas.map(p => `${p.type}:${p.deliveryId}`).join(',') === 'pickup:a,pickup:b,dropoff:b,dropoff:a' && paradas[3].atKm > paradas[2].atKm, 'Paradas: coletas primeiro, destinos pelo mais próximo');
+
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  await request('POST', '/drones', { id: `test-drone-multi-${ts}`, model: 'Multi', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  const ids = [1, 2, 3].map(n => `test-multi-${ts}-${n}`);
+  for (const [i, id] of ids.entries()) {
+    await request('POST', '/deliveries', { id, weightKg: 3, pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.9 - 0.01 * (i + 1), lon: -43.2 } });
+  }
+
+  const repetidas = await request('POST', '/flights', { deliveryIds: [...ids, ids[0]] });
+  assert(repetidas.status === 400, 'Voo multi-parada rejeita entregas repetidas');
+
+  const res = await request('POST', '/flights', { deliveryIds: ids });
+  const voo = res.body.flight || {};
+  assert(res.status === 201 && voo.deliveryIds.length === 3 && voo.stops.length === 6, 'Voo multi-parada leva várias entregas');
+  assert(voo.distanceKm === voo.stops[5].atKm && voo.requiredBattery > 0, 'Distância e bateria cobrem a rota inteira');
+
+  // cancelar uma das entregas em voo não derruba o voo das outras
+  await request('POST', `/deliveries/${ids[1]}/cancel`);
+  const aposCancelar = (await request('GET', '/flights')).body.find(f => f.id === voo.id);
+  assert(aposCancelar && aposCancelar.stops.filter(s => s.deliveryId === ids[1]).every(s => s.status === 'skipped'), 'Cancelamento em voo multi-parada pula as paradas da entrega');
+
+  await request('POST', `/flights/${voo.id}/advance`);
+  await request('POST', `/flights/${voo.id}/advance`);
+  const entregas = (await request('GET', '/deliveries')).body.filter(d => ids.includes(d.id)).map(d => d.status);
+  assert(entregas.join(',') === 'delivered,cancelled,delivered', 'Cada entrega é concluída na sua parada');
+}
+
+async function testarTrechoPosicionamento() {
+  const { haversineKm } = require('./geo');
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  const droneId = `test-drone-ferry-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Ferry', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+
+  // primeiro voo deixa o drone no destino da entrega
+  const primeira = { id: `test-ferry-1-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.91, lon: -43.21 } };
+  await request('POST', '/deliveries', primeira);
+  const voo1 = await request('POST', '/flights/batch', { deliveryIds: [primeira.id], droneIds: [droneId] });
+  await request('POST', `/flights/${voo1.body.assignments[0].flightId}/advance`);
+  await request('POST', `/flights/${voo1.body.assignments[0].flightId}/advance`);
+
+  const segunda = { id: `test-ferry-2-${ts}`, weightKg: 1, pickup: { lat: -22.95, lon: -43.25 }, dropoff: { lat: -22.96, lon: -43.26 } };
+  await request('POST', '/deliveries', segunda);
+  const res = await request('POST', '/flights/batch', { deliveryIds: [segunda.id], droneIds: [droneId] });
+  const voo = (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  const posicionamento = haversineKm(primeira.dropoff, segunda.pickup);
+  const esperado = posicionamento + haversineKm(segunda.pickup, segunda.dropoff);
+  assert(voo && Math.abs(voo.positioningKm - posicionamento) < 0.01 && Math.abs(voo.distanceKm - esperado) < 0.01, 'Voo inclui trecho de posicionamento até a coleta');
+  const drone = (await request('GET', '/drones')).body.find(d => d.id === droneId);
+  assert(drone.currentLat === primeira.dropoff.lat && voo.origin.lat === primeira.dropoff.lat, 'Drone parte da posição real, sem teletransporte');
+}
+
+async function testarDesvioObstaculos() {
+  const { haversineKm } = require('./geo');
+  const { planPath, segmentBlocked } = require('./pathPlanner');
+  const { positionAt } = require('./flightPlan');
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  const zona = { id: `test-obs-desvio-${ts}`, type: 'circle', lat: -22.9, lon: -43.25, radiusKm: 1 };
+  await request('POST', '/obstacles', zona);
+
+  const pickup = { lat: -22.9, lon: -43.3 };
+  const dropoff = { lat: -22.9, lon: -43.2 };
+  const caminho = planPath(pickup, dropoff, [zona]);
+  const livre = caminho && caminho.every((p, i) => i === 0 || !segmentBlocked(caminho[i - 1], p, [zona]));
+  assert(caminho && caminho.length > 2 && livre, 'Planejador contorna o obstáculo');
+  assert(planPath({ lat: -22.9, lon: -43.251 }, dropoff, [zona]) === null, 'Sem caminho quando a origem está dentro da zona');
+
+  const droneId = `test-drone-desvio-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Desvio', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  const entrega = { id: `test-desvio-${ts}`, weightKg: 1, pickup, dropoff };
+  await request('POST', '/deliveries', entrega);
+  const res = await request('POST', '/flights', { deliveryId: entrega.id });
+  const voo = res.body.flight;
+  const reta = haversineKm(pickup, dropoff);
+  assert(res.status === 201 && voo.waypoints.length > 2 && voo.distanceKm > reta && voo.distanceKm < reta * 1.1, 'Voo desvia do obstáculo em vez de ser rejeitado');
+  assert(voo.stops[1].atKm === voo.distanceKm && voo.estimatedDurationSec === Math.round((voo.distanceKm / 36) * 3600), 'Distância e ETA seguem o trajeto com desvio');
+  const meio = positionAt(voo, voo.distanceKm / 2);
+  assert(haversineKm(meio, zona) > zona.radiusKm, 'Posição simulada segue os waypoints, fora da zona');
+  await request('DELETE', `/obstacles/${zona.id}`);
+}
+
+async function testarObstaculosPoligono() {
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  const anel = [[-43.26, -22.91], [-43.24, -22.91], [-43.24, -22.89], [-43.26, -22.89], [-43.26, -22.91]];
+  const poligono = { id: `test-obs-poly-${ts}`, type: 'polygon', geometry: { type: 'Polygon', coordinates: [anel] } };
+  const criado = await request('POST', '/obstacles', poligono);
+  const aberto = await request('POST', '/obstacles', { id: `test-obs-aberto-${ts}`, type: 'polygon', geometry: { type: 'Polygon', coordinates: [anel.slice(0, -1)] } });
+  const tipo = await request('POST', '/obstacles', { id: `test-obs-tipo-${ts}`, type: 'polygon', geometry: { type: 'MultiPolygon', coordinates: [[anel]] } });
+  const desconhecido = await request('POST', '/obstacles', { id: `test-obs-x-${ts}`, type: 'triangle' });
+  assert(criado.status === 201 && aberto.status === 400 && tipo.status === 400 && desconhecido.status === 400, 'Obstáculo polygon valida geometria GeoJSON');
+
+  const multi = { id: `test-obs-multi-${ts}`, type: 'multipolygon', geometry: { type: 'MultiPolygon', coordinates: [[[[-43.23, -22.95], [-43.22, -22.95], [-43.22, -22.94], [-43.23, -22.95]]]] } };
+  const csv = `id,type,geometry\n${multi.id},multipolygon,"${JSON.stringify(multi.geometry).replace(/"/g, '""')}"\n`;
+  const imp = await request('POST', '/import/obstacles', csv, { 'Content-Type': 'text/csv' });
+  const lista = (await request('GET', '/obstacles')).body;
+  const importado = lista.find(o => o.id === multi.id);
+  assert(imp.body.imported === 1 && importado && importado.geometry.type === 'MultiPolygon', 'Importação CSV de multipolygon com coluna geometry');
+
+  const droneId = `test-drone-poly-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Poly', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  const cruza = { id: `test-poly-cruza-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -43.3 }, dropoff: { lat: -22.9, lon: -43.2 } };
+  const dentro = { id: `test-poly-dentro-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -43.3 }, dropoff: { lat: -22.9, lon: -43.25 } };
+  await request('POST', '/deliveries', cruza);
+  await request('POST', '/deliveries', dentro);
+  const bloqueado = await request('POST', '/flights', { deliveryId: dentro.id });
+  assert(bloqueado.status === 400 && bloqueado.body.error === 'Route blocked by obstacle', 'Destino dentro do polígono bloqueia o voo');
+  const res = await request('POST', '/flights', { deliveryId: cruza.id });
+  assert(res.status === 201 && res.body.flight.waypoints.length > 2, 'Voo contorna obstáculo poligonal');
+  await request('DELETE', `/obstacles/${poligono.id}`);
+  await request('DELETE', `/obstacles/${multi.id}`);
+}
+
+async function testarRestricoesTemporarias() {
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  const zona = (id, extra) => ({ id: `test-tfr-${id}-${ts}`, type: 'circle', lat: -22.9, lon: -43.25, radiusKm: 1, ...extra });
+  const hora = 3600 * 1000;
+
+  const invertida = await request('POST', '/obstacles', zona('inv', { activeFrom: new Date(ts + hora).toISOString(), activeUntil: new Date(ts).toISOString() }));
+  const horario = await request('POST', '/obstacles', zona('hor', { schedule: { daysOfWeek: [7], startTime: '13:00', endTime: '18:00' } }));
+  assert(invertida.status === 400 && horario.status === 400, 'Restrição temporária valida janela e horário');
+
+  // outro dia da semana (UTC) e janela futura: nenhuma vale agora
+  const outroDia = (new Date().getUTCDay() + 3) % 7;
+  await request('POST', '/obstacles', zona('futura', { activeFrom: new Date(ts + 2 * hora).toISOString() }));
+  await request('POST', '/obstacles', zona('domingo', { schedule: { daysOfWeek: [outroDia], startTime: '00:00', endTime: '23:59' } }));
+  const lista = (await request('GET', '/obstacles')).body.filter(o => o.id.startsWith('test-tfr-'));
+  assert(lista.length === 2 && lista.every(o => o.activeNow === false), 'Zonas fora da janela aparecem como inativas');
+
+  // drones sem posição nem base: a rota é só coleta -> destino
+  const agendar = async (n) => {
+    const droneId = `test-drone-tfr-${n}-${ts}`;
+    const del = { id: `test-tfr-del-${n}-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -43.3 }, dropoff: { lat: -22.9, lon: -43.2 } };
+    await request('POST', '/drones', { id: droneId, model: 'TFR', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+    await request('POST', '/deliveries', del);
+    const res = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    return (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  };
+  const livre = await agendar(1);
+  assert(livre && livre.waypoints.length === 2, 'Zona inativa durante o voo não gera desvio');
+
+  await request('POST', '/obstacles', zona('agora', { activeUntil: new Date(ts + hora).toISOString() }));
+  const desvio = await agendar(2);
+  assert(desvio && desvio.waypoints.length > 2, 'Zona ativa durante o voo gera desvio');
+
+  const vencida = zona('vencida', { activeFrom: new Date(ts - 2 * hora).toISOString(), activeUntil: new Date(ts - 1000).toISOString() });
+  await request('POST', '/obstacles', vencida);
+  let removida = false;
+  for (let i = 0; i < 8 && !removida; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    removida = !(await request('GET', '/obstacles')).body.some(o => o.id === vencida.id);
+  }
+  assert(removida, 'Restrição vencida sai automaticamente da lista');
+  const restantes = (await request('GET', '/obstacles')).body;
+  for (const o of restantes.filter(o => o.id.startsWith('test-tfr-'))) await request('DELETE', `/obstacles/${o.id}`);
+}
+
+async function testarConflitoObstaculoNovo() {
+  const ts = Date.now();
+  // três corredores paralelos, um voo em cada, longe das rotas dos outros testes
+  const agendar = async (n, lat) => {
+    const droneId = `test-drone-conf-${n}-${ts}`;
+    const del = { id: `test-conf-${n}-${ts}`, weightKg: 1, pickup: { lat, lon: -44.3 }, dropoff: { lat, lon: -44.2 } };
+    await request('POST', '/drones', { id: droneId, model: 'Conflito', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+    await request('POST', '/deliveries', del);
+    const res = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    return { flightId: res.body.assignments[0].flightId, deliveryId: del.id };
+  };
+  const zona = (n, lat, onConflict) => ({ id: `test-obs-conf-${n}-${ts}`, type: 'circle', lat, lon: -44.25, radiusKm: 0.5, onConflict });
+  const voo = async (id) => (await request('GET', '/flights')).body.find(f => f.id === id);
+
+  const invalida = await request('POST', '/obstacles', zona('x', -22.9, 'ignore'));
+  assert(invalida.status === 400, 'Política de conflito desconhecida é rejeitada');
+
+  const desviado = await agendar(1, -22.9);
+  const antes = await voo(desviado.flightId);
+  const r1 = await request('POST', '/obstacles', zona(1, -22.9, 'reroute'));
+  const c1 = (r1.body.conflicts || []).find(c => c.flightId === desviado.flightId);
+  const depois = await voo(desviado.flightId);
+  assert(r1.status === 201 && c1 && c1.action === 'rerouted', 'Obstáculo novo informa o voo em conflito');
+  assert(depois.waypoints.length > 2 && depois.distanceKm > antes.distanceKm && depois.history.slice(-1)[0].action === 'reroute', 'Política reroute recalcula a rota e registra no voo');
+
+  const parado = await agendar(2, -22.95);
+  const z2 = zona(2, -22.95, 'hold');
+  const r2 = await request('POST', '/obstacles', z2);
+  const c2 = (r2.body.conflicts || []).find(c => c.flightId === parado.flightId);
+  assert(c2 && c2.action === 'held' && (await voo(parado.flightId)).status === 'holding', 'Política hold coloca o voo em espera');
+  const anterior = (await voo(parado.flightId)).hold.previousStatus;
+  const retomarBloqueado = await request('POST', `/flights/${parado.flightId}/resume`);
+  const putBloqueado = await request('PUT', `/flights/${parado.flightId}`, { status: anterior });
+  assert(retomarBloqueado.status === 409 && putBloqueado.status === 409 && putBloqueado.body.error === 'Route still blocked by obstacle' && (await voo(parado.flightId)).status === 'holding', 'Retomada manual (resume ou PUT) recusada com a rota bloqueada');
+  await request('DELETE', `/obstacles/${z2.id}`);
+  let retomado = null;
+  for (let i = 0; i < 8 && !retomado; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    const f = await voo(parado.flightId);
+    if (f.status !== 'holding') retomado = f;
+  }
+  assert(retomado && retomado.history.some(h => h.action === 'resume'), 'Voo em espera retoma quando a rota libera');
+
+  const cancelado = await agendar(3, -23.0);
+  const r3 = await request('POST', '/obstacles', zona(3, -23.0, 'abort'));
+  const c3 = (r3.body.conflicts || []).find(c => c.flightId === cancelado.flightId);
+  const historico = (await request('GET', '/flight-history')).body.find(f => f.id === cancelado.flightId);
+  const entrega = (await request('GET', '/deliveries')).body.find(d => d.id === cancelado.deliveryId);
+  assert(c3 && c3.action === 'aborted' && !(await voo(cancelado.flightId)), 'Política abort cancela o voo');
+  assert(historico && historico.removedReason === `obstacle-conflict:${zona(3).id}` && historico.history.slice(-1)[0].action === 'abort' && entrega.status === 'pending', 'Cancelamento vai para o histórico e a entrega volta para a fila');
+
+  // obstáculos importados em lote passam pela mesma política, com os conflitos por linha
+  const importado = await agendar(4, -23.05);
+  const z4 = zona(4, -23.05);
+  delete z4.onConflict;
+  const politicaRuim = await request('POST', '/import/obstacles?onConflict=ignore', [z4]);
+  assert(politicaRuim.status === 400, 'Importação rejeita política de conflito desconhecida');
+  const simulado = await request('POST', '/import/obstacles?dryRun=true&onConflict=hold', [z4]);
+  assert(simulado.status === 200 && !simulado.body.results[0].conflicts && (await voo(importado.flightId)).status === 'scheduled', 'Importação em dryRun não mexe nos voos');
+  const r4 = await request('POST', '/import/obstacles?onConflict=hold', [z4]);
+  const c4 = ((r4.body.results || [])[0] || {}).conflicts || [];
+  assert(r4.status === 201 && r4.body.policy === 'hold' && c4.some(c => c.flightId === importado.flightId && c.action === 'held'), 'Obstáculo importado informa o voo em conflito na linha');
+  assert((await voo(importado.flightId)).status === 'holding', 'Obstáculo importado aplica a política ao voo');
+  for (const n of [1, 3, 4]) await request('DELETE', `/obstacles/${zona(n).id}`);
+}
+
+async function testarAgendamentoFuturo() {
+  const ts = Date.now();
+  const hora = 3600 * 1000;
+  // peso que só o drone do teste carrega, para POST /flights escolher sempre ele
+  const droneId = `test-drone-agenda-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Agenda', maxWeightKg: 80, maxRangeKm: 100, batteryPercent: 100 });
+  const entrega = async (n, lonPickup, lonDropoff) => {
+    const del = { id: `test-agenda-${n}-${ts}`, weightKg: 77, pickup: { lat: -22.9, lon: lonPickup }, dropoff: { lat: -22.9, lon: lonDropoff } };
+    await request('POST', '/deliveries', del);
+    return del.id;
+  };
+  const a = await entrega('a', -45.3, -45.2);
+  const b = await entrega('b', -45.2, -45.1);
+  const voo = async (id) => (await request('GET', '/flights')).body.find(f => f.id === id);
+
+  const invalido = await request('POST', '/flights', { deliveryIds: [a], scheduledAt: 'amanhã cedo' });
+  assert(invalido.status === 400, 'Horário de partida inválido é rejeitado');
+
+  const partida = new Date(ts + hora).toISOString();
+  const r1 = await request('POST', '/flights', { deliveryIds: [a], scheduledAt: partida });
+  const drone = (await request('GET', '/drones')).body.find(d => d.id === droneId);
+  assert(r1.status === 201 && r1.body.flight.scheduledAt === partida && drone.state !== 'loading', 'Voo aceita partida futura sem ocupar o drone agora');
+
+  const sobreposto = await request('POST', '/flights', { deliveryIds: [b], scheduledAt: new Date(ts + hora + 60000).toISOString() });
+  assert(sobreposto.status === 400 && sobreposto.body.error === 'No drone available at that time', 'Reserva sobreposta no mesmo drone é rejeitada');
+
+  const r2 = await request('POST', '/flights', { deliveryIds: [b], scheduledAt: new Date(ts + 2 * hora).toISOString() });
+  const fimA = r1.body.flight.stops[r1.body.flight.stops.length - 1];
+  assert(r2.status === 201 && r2.body.flight.droneId === droneId && r2.body.flight.origin.lat === fimA.lat && r2.body.flight.origin.lon === fimA.lon, 'Reserva seguinte parte de onde termina a anterior');
+
+  const edicao = await request('PUT', `/flights/${r1.body.flight.id}`, { scheduledAt: new Date(ts + 2 * hora - 60000).toISOString() });
+  assert(edicao.status === 400, 'Novo horário que sobrepõe outra reserva é rejeitado');
+
+  await new Promise(r => setTimeout(r, 6000));
+  assert((await voo(r1.body.flight.id)).status === 'scheduled', 'Voo futuro não decola antes da hora');
+
+  await request('PUT', `/flights/${r1.body.flight.id}`, { scheduledAt: new Date().toISOString() });
+  let decolou = false;
+  for (let i = 0; i < 8 && !decolou; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    decolou = (await voo(r1.body.flight.id)).status === 'in_progress';
+  }
+  assert(decolou && (await voo(r2.body.flight.id)).status === 'scheduled', 'Voo decola quando chega a hora, o seguinte continua agendado');
+
+  await request('DELETE', `/flights/${r2.body.flight.id}`);
+  await request('DELETE', `/flights/${r1.body.flight.id}`);
+}
+
+async function testarJanelasSla() {
+  const ts = Date.now();
+  const min = 60 * 1000;
+  const em = (ms) => new Date(ts + ms).toISOString();
+  const entrega = async (n, extra) => request('POST', '/deliveries', {
+    id: `test-sla-${n}-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -46.3 }, dropoff: { lat: -22.9, lon: -46.29 }, ...extra
+  });
+
+  const invertida = await entrega('inv', { earliestAt: em(60 * min), latestAt: em(30 * min) });
+  const invalida = await entrega('txt', { latestAt: 'às 17h' });
+  assert(invertida.status === 400 && invalida.status === 400, 'Janela de entrega inválida é rejeitada');
+
+  await entrega('risco', { priority: 'normal', latestAt: em(10 * min) });
+  await entrega('folga', { latestAt: em(5 * 60 * min) });
+  await entrega('vencida', { latestAt: em(-min) });
+  await entrega('media', { priority: 'media' });
+  const sla = async (n) => (await request('GET', '/deliveries')).body.find(d => d.id === `test-sla-${n}-${ts}`).sla;
+  assert(await sla('risco') === 'at-risk' && await sla('folga') === 'on-track' && await sla('vencida') === 'missed' && await sla('media') === undefined, 'Entregas sinalizam SLA em risco, no prazo e perdido');
+
+  const filtro = (await request('GET', '/deliveries?sla=missed')).body;
+  assert(filtro.some(d => d.id === `test-sla-vencida-${ts}`) && filtro.every(d => d.sla === 'missed'), 'Filtro por estado do SLA');
+
+  // com um só drone, a entrega normal perto do prazo passa na frente da prioridade média
+  const droneId = `test-drone-sla-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'SLA', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  const lote = { deliveryIds: [`test-sla-media-${ts}`, `test-sla-risco-${ts}`], droneIds: [droneId] };
+  const plano = await request('POST', '/flights/batch', { ...lote, dryRun: true });
+  assert(plano.body.assignments.length === 1 && plano.body.assignments[0].deliveryId === `test-sla-risco-${ts}`, 'Prazo próximo eleva a prioridade no despacho');
+
+  // a bordo, o SLA segue a chegada prevista (voo de ~1 km, bem antes do prazo)
+  const despacho = await request('POST', '/flights/batch', lote);
+  assert(await sla('risco') === 'on-track', 'Entrega a bordo usa a chegada prevista no SLA');
+  await request('DELETE', `/flights/${despacho.body.assignments[0].flightId}`);
+  for (const n of ['risco', 'folga', 'vencida', 'media']) await request('DELETE', `/deliveries/test-sla-${n}-${ts}`);
+}
+
+async function testarModeloEnergia() {
+  const ts = Date.now();
+  const invalido = await request('POST', '/drones', { model: 'Energia', maxWeightKg: 10, maxRangeKm: 100, energyProfile: { reservePercent: 150 } });
+  assert(invalido.status === 400, 'Perfil de energia inválido é rejeitado');
+
+  // mesmo trajeto com carga leve e pesada, drones sem posição nem base
+  const agendar = async (n, weightKg, profiles) => {
+    const droneId = `test-drone-energia-${n}-${ts}`;
+    const del = { id: `test-energia-${n}-${ts}`, weightKg, pickup: { lat: -22.9, lon: -47.3 }, dropoff: { lat: -22.9, lon: -47.2 } };
+    await request('POST', '/drones', { id: droneId, model: 'Energia', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100, ...profiles });
+    await request('POST', '/deliveries', del);
+    const res = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    return (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  };
+  const leve = await agendar('leve', 0.1);
+  const pesado = await agendar('pesado', 9);
+  assert(leve.distanceKm === pesado.distanceKm && pesado.requiredBattery > leve.requiredBattery, 'Carga mais pesada exige mais bateria no mesmo trajeto');
+
+  const rapido = await agendar('rapido', 0.1, { energyProfile: { reservePercent: 0 }, performanceProfile: { cruiseSpeedKmh: 72 } });
+  assert(rapido.estimatedDurationSec < leve.estimatedDurationSec && rapido.requiredBattery !== leve.requiredBattery, 'Velocidade e reserva do perfil mudam duração e bateria');
+
+  // ao pousar, só a energia do trajeto é consumida: a reserva de segurança volta a ficar livre
+  await request('POST', `/flights/${pesado.id}/advance`);
+  const pouso = await request('POST', `/flights/${pesado.id}/advance`);
+  const drone = pouso.body.drone;
+  assert(drone.batteryPercent > 100 - pesado.requiredBattery && drone.batteryPercent < 100 && drone.reservedBatteryPercent === 0, 'Pouso consome a energia do trajeto e libera a reserva');
+  for (const f of [leve, rapido]) await request('DELETE', `/flights/${f.id}`);
+}
+
+async function testarPerfilDesempenho() {
+  const ts = Date.now();
+  const invalido = await request('POST', '/drones', { model: 'Desempenho', maxWeightKg: 10, maxRangeKm: 100, performanceProfile: { climbSec: -5 } });
+  const antigo = await request('POST', '/drones', { model: 'Desempenho', maxWeightKg: 10, maxRangeKm: 100, energyProfile: { cruiseSpeedKmh: 72 } });
+  assert(invalido.status === 400 && antigo.status === 400, 'Perfil de desempenho inválido é rejeitado');
+
+  // mesmo trajeto de ~10 km, drones sem posição nem base: decola na coleta e pousa no destino
+  const agendar = async (n, performanceProfile) => {
+    const droneId = `test-drone-desempenho-${n}-${ts}`;
+    const del = { id: `test-desempenho-${n}-${ts}`, weightKg: 1, pickup: { lat: -22.9, lon: -47.7 }, dropoff: { lat: -22.9, lon: -47.6 } };
+    await request('POST', '/drones', { id: droneId, model: 'Desempenho', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100, performanceProfile });
+    await request('POST', '/deliveries', del);
+    const res = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    return (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  };
+  const multirotor = await agendar('multirotor');
+  const asaFixa = await agendar('asa-fixa', { cruiseSpeedKmh: 72 });
+  const vertical = await agendar('vertical', { takeoffSec: 60, climbSec: 30, descentSec: 30, landingSec: 60 });
+  assert(Math.abs(asaFixa.estimatedDurationSec - multirotor.estimatedDurationSec / 2) <= 1, 'Velocidade de cruzeiro do drone define a duração do voo');
+  assert(Math.abs(vertical.estimatedDurationSec - multirotor.estimatedDurationSec - 180) <= 1, 'Subida, descida, decolagem e pouso somam à duração');
+
+  // durante a decolagem e a subida o drone ainda não avançou na rota
+  let voo = vertical;
+  for (let i = 0; i < 7 && voo.status !== 'in_progress'; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    voo = (await request('GET', '/flights')).body.find(f => f.id === vertical.id);
+  }
+  assert(voo.status === 'in_progress' && voo.progress === 0, 'Progresso fica parado na decolagem');
+  for (const f of [multirotor, asaFixa, vertical]) await request('DELETE', `/flights/${f.id}`);
+}
+
+async function testarClima() {
+  const ts = Date.now();
+  const area = { lat: -21.5, lon: -47.95, radiusKm: 20, windSpeedKmh: 15, windDirectionDeg: 270, precipitationMmH: 0, temperatureC: 25 };
+  const invalida = await request('PUT', `/weather/test-clima-${ts}`, { ...area, windDirectionDeg: 400 });
+  const semRaio = await request('PUT', `/weather/test-clima-${ts}`, { ...area, radiusKm: undefined });
+  assert(invalida.status === 400 && semRaio.status === 400, 'Área do tempo inválida é rejeitada');
+
+  // vento de oeste (sopra para leste) na área
+  const criada = await request('PUT', `/weather/test-clima-${ts}`, area);
+  const ponto = await request('GET', '/weather/at?lat=-21.5&lon=-47.95');
+  assert(criada.status === 201 && ponto.body.areaId === `test-clima-${ts}` && ponto.body.windSpeedKmh === 15, 'Condições do tempo por área');
+
+  // mesmo trajeto para leste (vento a favor) e para oeste (vento contra)
+  const agendar = async (n, pickupLon, dropoffLon) => {
+    const droneId = `test-drone-clima-${n}-${ts}`;
+    const del = { id: `test-clima-${n}-${ts}`, weightKg: 1, pickup: { lat: -21.5, lon: pickupLon }, dropoff: { lat: -21.5, lon: dropoffLon } };
+    await request('POST', '/drones', { id: droneId, model: 'Clima', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+    await request('POST', '/deliveries', del);
+    const res = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    return (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  };
+  const aFavor = await agendar('leste', -48.0, -47.9);
+  const contra = await agendar('oeste', -47.9, -48.0);
+  assert(aFavor.tailwinds[0].kmh > 0 && contra.tailwinds[0].kmh < 0, 'Vento a favor e contra em cada trecho');
+  assert(aFavor.estimatedDurationSec < contra.estimatedDurationSec && aFavor.requiredBattery < contra.requiredBattery, 'Vento contra aumenta a duração e o consumo');
+  for (const f of [aFavor, contra]) await request('DELETE', `/flights/${f.id}`);
+
+  // único drone capaz do peso, com limite de vento abaixo do vento da área
+  const droneId = `test-drone-clima-limite-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Clima', maxWeightKg: 50, maxRangeKm: 100, batteryPercent: 100, weatherLimits: { maxWindKmh: 10 } });
+  await request('POST', '/deliveries', { id: `test-clima-pesada-${ts}`, weightKg: 40, pickup: { lat: -21.5, lon: -48.0 }, dropoff: { lat: -21.5, lon: -47.99 } });
+  const recusado = await request('POST', '/flights', { deliveryIds: [`test-clima-pesada-${ts}`] });
+  assert(recusado.status === 400 && recusado.body.error === 'Weather exceeds drone limits' && recusado.body.reason === 'Wind above drone limit', 'Despacho recusa voo acima dos limites do drone');
+  await request('PUT', `/drones/${droneId}`, { weatherLimits: { maxWindKmh: 30 } });
+  const aceito = await request('POST', '/flights', { deliveryIds: [`test-clima-pesada-${ts}`] });
+  assert(aceito.status === 201, 'Voo aceito dentro dos limites do drone');
+  await request('DELETE', `/flights/${aceito.body.flight.id}`);
+
+  // desvio de obstáculo com o tempo acima do limite: o voo fica em espera em vez de desviar
+  const desvio = await agendar('desvio', -47.9, -47.89);
+  await request('PUT', `/weather/test-clima-${ts}`, { ...area, windSpeedKmh: 50 });
+  const obstaculo = { id: `test-clima-obs-${ts}`, type: 'circle', lat: -21.5, lon: -47.895, radiusKm: 0.3, onConflict: 'reroute' };
+  const conflito = (await request('POST', '/obstacles', obstaculo)).body.conflicts.find(c => c.flightId === desvio.id);
+  const emEspera = (await request('GET', '/flights')).body.find(f => f.id === desvio.id);
+  assert(conflito && conflito.action === 'held' && conflito.reason === 'Wind above drone limit' && emEspera.waypoints.length === 2, 'Desvio respeita os limites do tempo do drone');
+  await request('DELETE', `/obstacles/${obstaculo.id}`);
+  await request('DELETE', `/flights/${desvio.id}`);
+
+  // arquivo local substitui as áreas
+  const semArquivo = await request('POST', '/weather/reload');
+  fs.writeFileSync(WEATHER_FILE, JSON.stringify({ areas: [{ id: `test-clima-arquivo-${ts}`, windSpeedKmh: 5, windDirectionDeg: 90, precipitationMmH: 0, temperatureC: 18 }] }));
+  const recarga = await request('POST', '/weather/reload');
+  const areas = (await request('GET', '/weather')).body;
+  assert(semArquivo.status === 404 && recarga.status === 200 && areas.length === 1 && areas[0].id === `test-clima-arquivo-${ts}`, 'Áreas do tempo carregadas de arquivo local');
+  await request('DELETE', `/weather/test-clima-arquivo-${ts}`);
+}
+
+async function testarMaquinaEstados() {
+  const ts = Date.now();
+  const droneId = `test-drone-estados-${ts}`;
+  const del = { id: `test-estados-${ts}`, weightKg: 1, pickup: { lat: -21.6, lon: -48.2 }, dropoff: { lat: -21.6, lon: -48.19 } };
+  await request('POST', '/drones', { id: droneId, model: 'Estados', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  await request('POST', '/deliveries', del);
+  const lote = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+  const flightId = lote.body.assignments[0].flightId;
+  const droneDe = async () => (await request('GET', '/drones')).body.find(d => d.id === droneId);
+  const entrega = async () => (await request('GET', '/deliveries')).body.find(d => d.id === del.id);
+
+  const pulo = await request('PUT', `/flights/${flightId}`, { status: 'completed' });
+  assert(pulo.status === 409 && pulo.body.error === "Cannot change flight status from 'scheduled' to 'completed'", 'Transição proibida de voo retorna 409');
+
+  const decolagem = await request('PUT', `/flights/${flightId}`, { status: 'in_progress' });
+  assert(decolagem.status === 200 && (await droneDe()).state === 'in_flight', 'Decolagem pelo PUT atualiza o drone');
+
+  const pouso = await request('PUT', `/flights/${flightId}`, { status: 'completed' });
+  const drone = await droneDe();
+  assert(pouso.status === 200 && (await entrega()).status === 'delivered' && drone.state === 'idle' && drone.reservedBatteryPercent === 0, 'Conclusão pelo PUT entrega, pousa o drone e libera a reserva');
+
+  const volta = await request('PUT', `/flights/${flightId}`, { status: 'scheduled' });
+  const avanco = await request('POST', `/flights/${flightId}/advance`);
+  assert(volta.status === 409 && avanco.status === 409, 'Voo concluído não muda mais de status');
+
+  const cancelamento = await request('POST', `/deliveries/${del.id}/cancel`);
+  assert(cancelamento.status === 409 && (await entrega()).status === 'delivered', 'Entrega entregue não pode ser cancelada');
+
+  // decolagem manual só na hora marcada
+  const del2 = { ...del, id: `test-estados-2-${ts}` };
+  await request('POST', '/deliveries', del2);
+  const segundo = (await request('POST', '/flights/batch', { deliveryIds: [del2.id], droneIds: [droneId] })).body.assignments[0].flightId;
+  await request('PUT', `/flights/${segundo}`, { scheduledAt: new Date(Date.now() + 3600000).toISOString() });
+  const cedo = await request('POST', `/flights/${segundo}/advance`);
+  const cedoPut = await request('PUT', `/flights/${segundo}`, { status: 'in_progress' });
+  const agendado = (await request('GET', '/flights')).body.find(f => f.id === segundo);
+  assert(cedo.status === 409 && cedoPut.status === 409 && agendado.status === 'scheduled' && !agendado.startedAt, 'Voo agendado para depois não decola antes da hora');
+  await request('DELETE', `/flights/${segundo}`);
+
+  // transição de drone proibida: a decolagem falha sem alterar o voo
+  const { launchFlight, launchError } = require('./stateMachine');
+  const db = { drones: [{ id: 'd', state: 'in_flight' }], flights: [], deliveries: [] };
+  const voo = { id: 'f', droneId: 'd', status: 'scheduled', startedAt: null, stops: [] };
+  db.flights.push(voo);
+  let lancou = true;
+  try { launchFlight(db, voo); } catch { lancou = false; }
+  assert(launchError(db, voo) && !lancou && voo.status === 'scheduled' && voo.startedAt === null, 'Drone já no ar não decola outro voo e o voo fica intacto');
+}
+
+async function testarRetornoAbortado() {
+  const ts = Date.now();
+  const voar = async (n) => {
+    const droneId = `test-drone-retorno-${n}-${ts}`;
+    const del = { id: `test-retorno-${n}-${ts}`, weightKg: 2, pickup: { lat: -21.7, lon: -48.3 }, dropoff: { lat: -21.7, lon: -48.28 } };
+    await request('POST', '/drones', { id: droneId, model: 'Retorno', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+    await request('POST', '/deliveries', del);
+    const lote = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+    const flightId = lote.body.assignments[0].flightId;
+    await request('PUT', `/flights/${flightId}`, { status: 'in_progress' });
+    // espera o loop de simulação concluir a coleta (carga a bordo)
+    for (let i = 0; i < 8; i++) {
+      const voo = (await request('GET', '/flights')).body.find(f => f.id === flightId);
+      if (voo.stops[0].status === 'completed') break;
+      await new Promise(r => setTimeout(r, 1000));
+    }
+    return { droneId, deliveryId: del.id, flightId };
+  };
+  const droneDe = async (id) => (await request('GET', '/drones')).body.find(d => d.id === id);
+  const entregaDe = async (id) => (await request('GET', '/deliveries')).body.find(d => d.id === id);
+
+  // remover o voo no ar: vira volta com a carga a bordo
+  const remocao = await voar('remocao');
+  const abortado = await request('DELETE', `/flights/${remocao.flightId}`);
+  const volta = abortado.body.returning;
+  assert(abortado.status === 200 && volta.status === 'returning' && volta.abort.reason === `manual-delete:${remocao.flightId}`, 'Voo no ar removido vira volta ao ponto de partida');
+  assert(volta.stops.some(s => s.type === 'pickup' && s.deliveryId === remocao.deliveryId && s.atKm === 0) && ['launch', 'depot'].includes(volta.stops[volta.stops.length - 1].type), 'Volta leva a carga a bordo até o ponto de partida ou a base');
+  const noAr = await droneDe(remocao.droneId);
+  assert(noAr.state === 'returning' && noAr.reservedBatteryPercent === volta.requiredBattery && volta.requiredBattery > 0 && (await entregaDe(remocao.deliveryId)).status === 'in_transit', 'Drone segue no ar com bateria reservada para a volta');
+  const segundaRemocao = await request('DELETE', `/flights/${remocao.flightId}`);
+  assert(segundaRemocao.status === 409, 'Voo voltando não é removido de novo');
+
+  const pouso = await request('POST', `/flights/${remocao.flightId}/advance`);
+  const historico = (await request('GET', '/flight-history')).body.find(f => f.id === remocao.flightId);
+  const pousado = await droneDe(remocao.droneId);
+  const destino = volta.stops[volta.stops.length - 1];
+  assert(pouso.status === 200 && historico && historico.status === 'cancelled' && !(await request('GET', '/flights')).body.some(f => f.id === remocao.flightId), 'Voo vai para o histórico só depois do pouso');
+  assert(pousado.state === 'idle' && pousado.currentLat === destino.lat && pousado.currentLon === destino.lon && pousado.reservedBatteryPercent === 0 && (await entregaDe(remocao.deliveryId)).status === 'pending', 'Drone pousa no destino da volta e a entrega volta para pending');
+
+  // cancelar a entrega com o voo no ar: a carga volta, a entrega fica cancelada
+  const cancelamento = await voar('cancelamento');
+  const cancelada = await request('POST', `/deliveries/${cancelamento.deliveryId}/cancel`);
+  assert(cancelada.status === 200 && cancelada.body.archived === null && cancelada.body.returning.status === 'returning', 'Entrega cancelada em voo faz o drone voltar');
+  await request('POST', `/flights/${cancelamento.flightId}/advance`);
+  assert((await entregaDe(cancelamento.deliveryId)).status === 'cancelled' && (await droneDe(cancelamento.droneId)).state === 'idle', 'Entrega trazida de volta continua cancelada');
+
+  // sem volta fora das zonas ativas (drone parado dentro de uma): paira em espera até a zona sair
+  const cercado = await voar('cercado');
+  await request('POST', `/flights/${cercado.flightId}/hold`);
+  const posicao = await droneDe(cercado.droneId);
+  const zona = { id: `test-retorno-zona-${ts}`, type: 'circle', lat: posicao.currentLat, lon: posicao.currentLon, radiusKm: 0.5, onConflict: 'hold' };
+  await request('POST', '/obstacles', zona);
+  const bloqueado = await request('DELETE', `/flights/${cercado.flightId}`);
+  const preso = bloqueado.body.returning;
+  assert(bloqueado.status === 200 && preso.status === 'holding' && preso.hold.reason === 'return-blocked' && preso.hold.abortReason === `manual-delete:${cercado.flightId}`, 'Volta sem rota livre fica em espera em vez de cruzar a zona');
+  const retomarPreso = await request('POST', `/flights/${cercado.flightId}/resume`);
+  assert(retomarPreso.status === 409 && (await droneDe(cercado.droneId)).state === 'in_flight', 'Voo esperando a volta não é retomado à mão');
+  await request('DELETE', `/obstacles/${zona.id}`);
+  let liberado = null;
+  for (let i = 0; i < 8 && !liberado; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    const f = (await request('GET', '/flights')).body.find(x => x.id === cercado.flightId);
+    if (f.status === 'returning') liberado = f;
+  }
+  assert(liberado && liberado.abort.reason === `manual-delete:${cercado.flightId}` && !liberado.hold, 'Volta é planejada quando a zona sai');
+  await request('POST', `/flights/${cercado.flightId}/advance`);
+}
+
+async function testarEsperaRetomada() {
+  const ts = Date.now();
+  const droneId = `test-drone-espera-${ts}`;
+  const del = { id: `test-espera-${ts}`, weightKg: 1, pickup: { lat: -21.8, lon: -48.4 }, dropoff: { lat: -21.8, lon: -48.39 } };
+  // alcance curto: consumo alto o bastante para o dreno pairando aparecer em poucos segundos
+  await request('POST', '/drones', { id: droneId, model: 'Espera', maxWeightKg: 10, maxRangeKm: 10, batteryPercent: 100 });
+  await request('POST', '/deliveries', del);
+  const lote = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+  const flightId = lote.body.assignments[0].flightId;
+  await request('PUT', `/flights/${flightId}`, { status: 'in_progress' });
+  const vooDe = async () => (await request('GET', '/flights')).body.find(f => f.id === flightId);
+  const droneDe = async () => (await request('GET', '/drones')).body.find(d => d.id === droneId);
+
+  const espera = await request('POST', `/flights/${flightId}/hold`, { note: 'espaço aéreo' });
+  const repetida = await request('POST', `/flights/${flightId}/hold`);
+  assert(espera.status === 200 && espera.body.flight.status === 'holding' && espera.body.flight.hold.reason === 'manual' && repetida.status === 409, 'Voo em andamento entra em espera');
+  const antes = await vooDe();
+  const bateriaAntes = (await droneDe()).batteryPercent;
+  await new Promise(r => setTimeout(r, 6000));
+  const durante = await vooDe();
+  const drone = await droneDe();
+  assert(durante.progress === antes.progress && drone.state === 'in_flight', 'Progresso congela durante a espera');
+  assert(durante.hoverBatteryConsumed > 0 && drone.batteryPercent < bateriaAntes, 'Drone pairando gasta bateria');
+
+  const retomada = await request('POST', `/flights/${flightId}/resume`);
+  const pausaMs = Date.parse(retomada.body.flight.startedAt) - Date.parse(antes.startedAt);
+  assert(retomada.status === 200 && retomada.body.flight.status === 'in_progress' && pausaMs >= 6000, 'Retomada desconta o tempo em espera do progresso');
+  const semEspera = await request('POST', `/flights/${flightId}/resume`);
+  assert(semEspera.status === 409, 'Voo fora de espera não é retomado');
+
+  await request('POST', `/flights/${flightId}/advance`);
+  const concluido = await request('POST', `/flights/${flightId}/hold`);
+  assert(concluido.status === 409, 'Voo concluído não entra em espera');
+}
+
+async function testarRedirecionamento() {
+  const ts = Date.now();
+  const droneId = `test-drone-redir-${ts}`;
+  const del = { id: `test-redir-${ts}`, weightKg: 1, pickup: { lat: -21.9, lon: -48.5 }, dropoff: { lat: -21.9, lon: -48.49 } };
+  await request('POST', '/drones', { id: droneId, model: 'Redirecionamento', maxWeightKg: 10, maxRangeKm: 50, batteryPercent: 100 });
+  await request('POST', '/deliveries', del);
+  const pendente = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: { lat: -21.9, lon: -48.48 } });
+  assert(pendente.status === 409, 'Entrega pendente não é redirecionada (usa PUT)');
+
+  const lote = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+  const flightId = lote.body.assignments[0].flightId;
+  await request('PUT', `/flights/${flightId}`, { status: 'in_progress' });
+  const antes = (await request('GET', '/flights')).body.find(f => f.id === flightId);
+
+  const invalido = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: { lat: '-21.9' } });
+  const longe = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: { lat: -21.9, lon: -46.5 } });
+  assert(invalido.status === 400 && longe.status === 400 && longe.body.reason === 'Out of range', 'Redirecionamento inviável é recusado com o motivo');
+  const intacto = (await request('GET', '/flights')).body.find(f => f.id === flightId);
+  assert(intacto.distanceKm === antes.distanceKm && intacto.stops[1].lon === del.dropoff.lon, 'Recusa não altera o voo');
+
+  // vento acima do limite do drone (padrão 40 km/h) só em volta do novo destino
+  await request('PUT', `/weather/test-redir-${ts}`, { lat: -21.9, lon: -48.4, radiusKm: 3, windSpeedKmh: 60, windDirectionDeg: 90, precipitationMmH: 0, temperatureC: 20 });
+  const ventania = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: { lat: -21.9, lon: -48.4 } });
+  await request('DELETE', `/weather/test-redir-${ts}`);
+  const semVento = (await request('GET', '/flights')).body.find(f => f.id === flightId);
+  assert(ventania.status === 409 && ventania.body.error === 'Weather exceeds drone limits' && ventania.body.reason === 'Wind above drone limit', 'Redirecionamento recusado pelo tempo no novo destino');
+  assert(semVento.distanceKm === antes.distanceKm && semVento.stops[1].lon === del.dropoff.lon, 'Recusa pelo tempo não altera o voo');
+
+  const novo = { lat: -21.9, lon: -48.47, address: 'Novo endereço' };
+  const redir = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: novo });
+  const voo = redir.body.flight;
+  const destino = voo.stops.find(s => s.type === 'dropoff');
+  assert(redir.status === 200 && destino.lat === novo.lat && destino.lon === novo.lon && voo.distanceKm > antes.distanceKm && voo.estimatedDurationSec > antes.estimatedDurationSec, 'Redirecionamento recalcula rota e ETA do voo');
+  const entrega = redir.body.delivery;
+  assert(entrega.dropoff.address === 'Novo endereço' && entrega.redirects.length === 1 && entrega.redirects[0].from.lon === del.dropoff.lon && entrega.redirects[0].to.lon === novo.lon, 'Entrega guarda o destino original e o novo');
+  assert(voo.history.some(h => h.action === 'redirect' && h.deliveryId === del.id), 'Redirecionamento registrado no histórico do voo');
+
+  await request('POST', `/flights/${flightId}/advance`);
+  const entregue = await request('POST', `/deliveries/${del.id}/redirect`, { dropoff: novo });
+  assert(entregue.status === 409, 'Entrega entregue não é redirecionada');
+}
+
+async function testarEstadosDrone() {
+  const ts = Date.now();
+  const depotId = `test-depot-estado-${ts}`;
+  const droneId = `test-drone-estado-${ts}`;
+  await request('POST', '/depots', { id: depotId, name: 'Base Estados', lat: -20.5, lon: -47.5, chargingPads: 1, chargeRatePercentPerMin: 1 });
+  await request('POST', '/drones', { id: droneId, model: 'Estados', maxWeightKg: 10, maxRangeKm: 50, batteryPercent: 50, homeDepotId: depotId });
+  const droneDe = async () => (await request('GET', '/drones')).body.find(d => d.id === droneId);
+
+  // loop de recarga: o drone ocioso na base ocupa o ponto de recarga
+  await new Promise(r => setTimeout(r, 6000));
+  const recarregando = (await request('GET', '/drones?state=charging')).body;
+  const base = (await request('GET', `/depots/${depotId}`)).body;
+  assert(recarregando.some(d => d.id === droneId) && base.chargingDroneIds[0] === droneId, 'Drone na base com bateria baixa passa a charging');
+
+  const sistema = await request('POST', `/drones/${droneId}/state`, { state: 'charging' });
+  assert(sistema.status === 400, 'Estados do sistema não são definidos pelo operador');
+  const manutencao = await request('POST', `/drones/${droneId}/state`, { state: 'maintenance', note: 'troca de hélice' });
+  assert(manutencao.status === 200 && manutencao.body.drone.state === 'maintenance' && manutencao.body.drone.stateNote === 'troca de hélice', 'Drone entra em manutenção com observação');
+  assert(!(await request('GET', `/depots/${depotId}`)).body.chargingDroneIds.includes(droneId), 'Drone em manutenção libera o ponto de recarga');
+
+  const del = { id: `test-estado-${ts}`, weightKg: 1, pickup: { lat: -20.5, lon: -47.49 }, dropoff: { lat: -20.5, lon: -47.48 } };
+  await request('POST', '/deliveries', del);
+  const lote = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId], dryRun: true });
+  const voo = await request('POST', '/flights', { deliveryIds: [del.id] });
+  assert(lote.body.assignments.length === 0 && (voo.status !== 201 || voo.body.flight.droneId !== droneId), 'Despacho não escolhe drone em manutenção');
+  if (voo.status === 201) await request('DELETE', `/flights/${voo.body.flight.id}`);
+
+  const desligado = await request('POST', `/drones/${droneId}/state`, { state: 'offline' });
+  const ativo = await request('POST', `/drones/${droneId}/state`, { state: 'idle' });
+  assert(desligado.status === 200 && ativo.status === 200 && ativo.body.drone.state === 'idle' && ativo.body.drone.stateNote === null, 'Drone sai de manutenção, fica desligado e volta a operar');
+
+  const despacho = await request('POST', '/flights/batch', { deliveryIds: [del.id], droneIds: [droneId] });
+  const flightId = despacho.body.assignments[0].flightId;
+  const ocupado = await request('POST', `/drones/${droneId}/state`, { state: 'offline' });
+  assert(ocupado.status === 409 && ocupado.body.flightIds.includes(flightId), 'Drone com voo ativo não sai de operação');
+
+  await request('POST', `/flights/${flightId}/advance`);
+  assert((await droneDe()).state === 'in_flight', 'Drone decola em in_flight');
+  await request('DELETE', `/flights/${flightId}`);
+  assert((await droneDe()).state === 'returning', 'Voo abortado deixa o drone em returning');
+  await request('POST', `/flights/${flightId}/advance`);
+  assert((await droneDe()).state === 'idle', 'Drone pousa e volta a idle');
+}
+
 async function testarAvancoVoo() {
   // Limpar obstáculos existentes primeiro
   const obslist = await request('GET', '/obstacles');
@@ -299,15 +1026,21 @@ async function testarStatusDrones() {
 async function testarRecargaAutomatica() {
   const ts = Date.now();
   const droneId = `test-drone-recharge-${ts}`;
+  const depotId = `test-depot-recharge-${ts}`;
+  await request('POST', '/depots', { id: depotId, lat: -22.9, lon: -43.2, chargingPads: 1, chargeRatePercentPerMin: 60 });
   
-  // Criar drone com bateria baixa no estado idle
+  // Criar drone com bateria baixa no estado idle, estacionado na sua base
   await request('POST', '/drones', {
     id: droneId,
     model: 'Recharge Test',
     maxWeightKg: 10,
     maxRangeKm: 100,
-    batteryPercent: 50
+    batteryPercent: 50,
+    homeDepotId: depotId
   });
+  // drone sem base não tem onde recarregar
+  const semBase = `test-drone-nobase-${ts}`;
+  await request('POST', '/drones', { id: semBase, model: 'No Base', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 50 });
   // Poll em ciclos de 6 segundos (um pouco > 5s) até 3 tentativas
   let sucesso = false;
   let ultimaLeitura = 50;
@@ -325,14 +1058,317 @@ async function testarRecargaAutomatica() {
       console.log(`    ⚠️ Sem aumento perceptível (atual: ${drone ? drone.batteryPercent : 'n/d'}%)`);
     }
   }
-  assert(sucesso, 'Drone idle recarrega (bateria sobe em ciclos)');
+  assert(sucesso, 'Drone estacionado na base recarrega (bateria sobe em ciclos)');
+  const foraDaBase = (await request('GET', '/drones')).body.find(d => d.id === semBase);
+  assert(foraDaBase && foraDaBase.batteryPercent === 50, 'Drone fora de uma base não recarrega');
+}
+
+async function testarBases() {
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+  const ts = Date.now();
+  const depotId = `test-depot-${ts}`;
+  const base = { id: depotId, name: 'Base Teste', lat: -22.9, lon: -43.2, chargingPads: 1, chargeRatePercentPerMin: 30 };
+  const criada = await request('POST', '/depots', base);
+  const invalida = await request('POST', '/depots', { lat: -22.9, lon: -43.2, chargingPads: 0 });
+  assert(criada.status === 201 && invalida.status === 400, 'Criar base valida pontos de recarga');
+
+  const droneId = `test-drone-base-${ts}`;
+  const drone = await request('POST', '/drones', { id: droneId, model: 'Home', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100, homeDepotId: depotId });
+  assert(drone.body.drone.dockedDepotId === depotId && drone.body.drone.currentLat === base.lat, 'Drone novo começa estacionado na base');
+  const semBase = await request('POST', '/drones', { model: 'X', maxWeightKg: 1, maxRangeKm: 1, homeDepotId: 'nao-existe' });
+  assert(semBase.status === 400, 'Drone com base inexistente é rejeitado');
+
+  const entrega = { id: `test-base-del-${ts}`, weightKg: 1, pickup: { lat: -22.91, lon: -43.21 }, dropoff: { lat: -22.93, lon: -43.23 } };
+  await request('POST', '/deliveries', entrega);
+  const res = await request('POST', '/flights/batch', { deliveryIds: [entrega.id], droneIds: [droneId] });
+  const voo = (await request('GET', '/flights')).body.find(f => f.id === res.body.assignments[0].flightId);
+  const ultima = voo.stops[voo.stops.length - 1];
+  assert(ultima.type === 'depot' && ultima.depotId === depotId && voo.returnKm > 0 && voo.distanceKm === ultima.atKm, 'Rota termina com retorno à base');
+
+  const emUso = await request('DELETE', `/depots/${depotId}`);
+  assert(emUso.status === 400, 'Base em uso não pode ser removida');
+
+  await request('POST', `/flights/${voo.id}/advance`);
+  const emVoo = (await request('GET', '/drones')).body.find(d => d.id === droneId);
+  await request('POST', `/flights/${voo.id}/advance`);
+  const deVolta = (await request('GET', '/drones')).body.find(d => d.id === droneId);
+  assert(emVoo.dockedDepotId === null && deVolta.dockedDepotId === depotId && deVolta.currentLat === base.lat, 'Drone sai da base no voo e estaciona ao voltar');
+
+  // um único ponto de recarga: só um dos drones com bateria baixa recarrega por vez
+  const outro = `test-drone-base2-${ts}`;
+  await request('POST', '/drones', { id: outro, model: 'Home 2', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 40, homeDepotId: depotId });
+  await new Promise(r => setTimeout(r, 6000)); // ciclo do loop de recarga
+  const ocupacao = (await request('GET', `/depots/${depotId}`)).body;
+  assert(ocupacao.dockedDroneIds.length === 2 && ocupacao.chargingDroneIds.length === 1 && ocupacao.chargingDroneIds[0] === outro, 'Recarga limitada aos pontos da base, menor bateria primeiro');
+}
+
+async function testarEscritasConcorrentes() {
+  const ts = Date.now();
+  const ids = Array.from({ length: 20 }, (_, i) => `test-conc-${ts}-${i}`);
+  const results = await Promise.all(ids.map(id => request('POST', '/deliveries', {
+    id, weightKg: 1, pickup: { lat: -22.8, lon: -43.1 }, dropoff: { lat: -22.81, lon: -43.11 }
+  })));
+  assert(results.every(r => r.status === 201), 'Criações concorrentes aceitas');
+
+  const list = await request('GET', '/deliveries');
+  assert(ids.every(id => list.body.some(d => d.id === id)), 'Nenhuma criação concorrente se perde');
+
+  // persistência em segundo plano: o arquivo reflete o estado após a janela de gravação
+  await new Promise(r => setTimeout(r, 1000));
+  const { createStorage } = require('./storage');
+  const noDisco = createStorage({ driver: 'json', file: DB_PATH }).load();
+  assert(ids.every(id => noDisco.deliveries.some(d => d.id === id)), 'Estado em memória é persistido em segundo plano');
+
+  for (const id of ids) await request('DELETE', `/deliveries/${id}`);
+}
+
+async function testarSnapshots() {
+  const ts = Date.now();
+  const nome = `test-snap-${ts}`;
+  const criado = await request('POST', '/snapshots', { name: nome });
+  assert(criado.status === 201 && criado.body.snapshot.name === nome, 'Criar snapshot nomeado');
+
+  const invalido = await request('POST', '/snapshots', { name: '../fora' });
+  assert(invalido.status === 400, 'Nome de snapshot inválido rejeitado');
+
+  const lista = await request('GET', '/snapshots');
+  assert(Array.isArray(lista.body) && lista.body.some(s => s.name === nome), 'Snapshot aparece na lista');
+
+  const download = await request('GET', `/snapshots/${nome}`);
+  assert(download.status === 200 && Array.isArray(download.body.data.drones), 'Download do snapshot em JSON');
+
+  // altera o estado depois do snapshot e restaura
+  const droneId = `test-drone-snap-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Snap', maxWeightKg: 1, maxRangeKm: 1 });
+  const restore = await request('POST', `/snapshots/${nome}/restore`);
+  const drones = await request('GET', '/drones');
+  assert(restore.status === 200 && !drones.body.some(d => d.id === droneId), 'Restore devolve o estado do snapshot');
+  assert(restore.body.backup && (await request('GET', `/snapshots/${restore.body.backup}`)).status === 200, 'Restore guarda snapshot do estado anterior');
+
+  // restore exclusivo: nenhum ciclo dos loops entre o backup e a troca do estado. O log até o
+  // primeiro evento do restore reconstrói exatamente o backup.
+  const { readEventsFile, replay } = require('./events');
+  const eventos = readEventsFile(EVENT_LOG_PATH);
+  const primeiro = eventos.find(e => e.source === `snapshot-restore:${nome}`);
+  const antesDoRestore = replay(eventos, { untilSeq: primeiro.seq - 1 });
+  const backup = (await request('GET', `/snapshots/${restore.body.backup}`)).body.data;
+  const ordenada = (list) => JSON.stringify([...(list || [])].sort((a, b) => JSON.stringify(a) < JSON.stringify(b) ? -1 : 1));
+  const iguais = ['drones', 'deliveries', 'flights', 'flightHistory', 'obstacles', 'depots', 'weatherAreas'].every(c => ordenada(antesDoRestore[c]) === ordenada(backup[c]));
+  assert(iguais && antesDoRestore.nextOrderNumber === backup.nextOrderNumber, 'Loops não alteram o estado durante o restore');
+
+  const inexistente = await request('POST', '/snapshots/nao-existe/restore');
+  assert(inexistente.status === 404, 'Restore de snapshot inexistente retorna 404');
+}
+
+async function testarLogEventos() {
+  const obslist = await request('GET', '/obstacles');
+  for (const o of obslist.body || []) await request('DELETE', `/obstacles/${o.id}`);
+
+  const ts = Date.now();
+  const droneId = `test-drone-ev-${ts}`;
+  const delId = `test-del-ev-${ts}`;
+  await request('POST', '/drones', { id: droneId, model: 'Events', maxWeightKg: 10, maxRangeKm: 100, batteryPercent: 100 });
+  await request('POST', '/deliveries', { id: delId, weightKg: 1, pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: -22.91, lon: -43.21 } }, { 'X-Actor': 'operador-teste' });
+  const flight = await request('POST', '/flights', { deliveryId: delId });
+  await request('POST', `/flights/${flight.body.flight.id}/advance`);
+  await request('POST', `/flights/${flight.body.flight.id}/advance`);
+
+  const evs = await request('GET', `/events?entity=delivery&entityId=${delId}`);
+  const tipos = (evs.body || []).map(e => e.type);
+  assert(tipos[0] === 'delivery.created' && evs.body[0].actor === 'operador-teste', 'Evento de criação registra tipo e ator');
+  const status = evs.body.filter(e => e.type === 'delivery.status_changed').map(e => e.changes.status.to);
+  assert(status.join('>') === 'in_transit>delivered', 'Transições de status da entrega ficam no log');
+
+  const reservas = await request('GET', `/events?entityId=${flight.body.flight.droneId}&type=drone.battery_reserved`);
+  assert(reservas.body.length >= 1 && reservas.body[0].source === 'POST /flights', 'Reserva de bateria registrada com origem');
+
+  // replay do arquivo reconstrói o mesmo registro que o servidor mantém
+  await new Promise(r => setTimeout(r, 500));
+  const { readEventsFile, replay } = require('./events');
+  const reconstruido = replay(readEventsFile(EVENT_LOG_PATH));
+  const atual = (await request('GET', '/deliveries')).body.find(d => d.id === delId);
+  const doReplay = reconstruido.deliveries.find(d => d.id === delId);
+  assert(JSON.stringify(doReplay) === JSON.stringify(atual), 'Replay do log reconstrói o estado da entrega');
+
+  // paginação: sem limit devolve uma página; beforeSeq volta no histórico
+  const padrao = (await request('GET', '/events')).body;
+  const pagina = (await request('GET', '/events?limit=10')).body;
+  const anterior = (await request('GET', `/events?beforeSeq=${pagina[0].seq}&limit=5`)).body;
+  const grande = await request('GET', '/events?limit=5000');
+  assert(padrao.length <= 100 && pagina.length === 10 && anterior.length === 5 && anterior[4].seq === pagina[0].seq - 1 && grande.status === 400, 'Consulta do log é paginada');
+
+  // só os registros tocados são comparados: o log continua reconstruindo o estado inteiro
+  const { createStore } = require('./store');
+  const { createEventLog } = require('./events');
+  const arquivo = path.join(SNAPSHOT_DIR, 'events-tracker.log');
+  const store = createStore({ load: () => ({ drones: [{ id: 'a', pos: { lat: 1 } }, { id: 'b' }], deliveries: [], flights: [], flightHistory: [], obstacles: [], depots: [], weatherAreas: [], nextOrderNumber: 1 }), save() {} });
+  const log = createEventLog({ file: arquivo });
+  log.record(store.raw, { source: 'inicio' });
+  store.subscribe((state, context, changes) => log.record(state, context, changes));
+  store.transaction(db => {
+    db.drones[0].pos.lat = 2;
+    db.drones.push({ id: 'c', stops: [{ n: 1 }] });
+    db.nextOrderNumber = 2;
+  });
+  store.transaction(db => {
+    const c = db.drones.find(d => d.id === 'c');
+    db.flightHistory.push({ ...c, removedAt: 'x' });
+    db.drones = db.drones.filter(d => d !== c);
+    db.drones[1].id = 'b2';
+  });
+  const antesDoUnico = readEventsFile(arquivo).length;
+  store.transaction(db => { db.drones[0].pos.lon = 3; });
+  const unico = readEventsFile(arquivo).slice(antesDoUnico);
+  assert(unico.length === 1 && unico[0].entityId === 'a' && unico[0].changes.pos, 'Commit registra só o registro alterado');
+  store.replace({ ...store.raw, depots: [{ id: 'dp' }] });
+  const reconstruidoTracker = replay(readEventsFile(arquivo));
+  assert(JSON.stringify(reconstruidoTracker) === JSON.stringify(store.raw), 'Log incremental reconstrói o estado após alterações aninhadas, listas, contadores, ids e restore');
+  const { isProxy } = require('util').types;
+  assert(!isProxy(store.raw.drones[0]) && !isProxy(store.raw.flightHistory[0].stops), 'Estado guarda os objetos reais, não os Proxies');
+}
+
+async function testarImportacaoExportacao() {
+  const ts = Date.now();
+  const csv = [
+    'id;weightKg;priority;pickupLat;pickupLon;dropoffLat;dropoffLon',
+    `test-imp-${ts}-1;2,5;ALTA;-22.9;-43.2;-22.91;-43.21`,
+    `test-imp-${ts}-2;-1;normal;-22.9;-43.2;-22.91;-43.21`,
+    `test-imp-${ts}-1;1;low;-22.9;-43.2;-22.91;-43.21`,
+    `test-imp-${ts}-3;1;urgente;-22.9;-43.2;;`,
+    `test-imp-${ts}-4;1;normal;abc;-43.2;-22.91;-43.21`
+  ].join('\n');
+
+  const dry = await request('POST', '/import/deliveries?dryRun=true', csv, { 'Content-Type': 'text/csv' });
+  const depois = await request('GET', '/deliveries');
+  assert(dry.status === 200 && dry.body.imported === 1 && !depois.body.some(d => d.id === `test-imp-${ts}-1`), 'Importação dry-run valida sem gravar');
+
+  const res = await request('POST', '/import/deliveries', csv, { 'Content-Type': 'text/csv' });
+  const [ok, peso, duplicada, semDestino, latInvalida] = res.body.results || [];
+  assert(res.status === 201 && res.body.imported === 1 && res.body.failed === 4, 'Importação CSV grava só as linhas válidas');
+  assert(ok.ok && /positive/.test(peso.error) && /already exists/.test(duplicada.error) && /missing fields/.test(semDestino.error), 'Resultado por linha usa as regras de POST /deliveries');
+  const jsonInvalido = await request('POST', '/import/deliveries', [{ weightKg: 1, pickup: { lat: -22.9, lon: -43.2 }, dropoff: { lat: 'abc', lon: -43.21 } }]);
+  assert(latInvalida.error === 'pickup.lat and pickup.lon must be finite numbers' && jsonInvalido.body.results[0].error === 'dropoff.lat and dropoff.lon must be finite numbers', 'Coordenadas não numéricas são rejeitadas por linha');
+  const criada = (await request('GET', '/deliveries')).body.find(d => d.id === `test-imp-${ts}-1`);
+  assert(criada && criada.weightKg === 2.5 && criada.priority === 'alta' && criada.status === 'pending', 'Linha importada com prioridade normalizada');
+
+  const drones = await request('POST', '/import/drones', [
+    { id: `test-imp-drone-${ts}`, model: 'Lote', maxWeightKg: 5, maxRangeKm: 20 },
+    { model: 'Sem capacidade' }
+  ]);
+  assert(drones.status === 201 && drones.body.imported === 1 && drones.body.results[1].error === 'model, maxWeightKg, maxRangeKm required', 'Importação JSON de drones valida por linha');
+  const dronesCsv = [
+    'id,model,maxWeightKg,maxRangeKm,batteryPercent',
+    `test-imp-drone-abc-${ts},M,abc,10,zz`,
+    `test-imp-drone-bat-${ts},M,5,10,150`,
+    `test-imp-drone-zero-${ts},M,5,0,`
+  ].join('\n');
+  const dronesInvalidos = await request('POST', '/import/drones', dronesCsv, { 'Content-Type': 'text/csv' });
+  const [semPeso, bateria, semAlcance] = dronesInvalidos.body.results || [];
+  assert(dronesInvalidos.body.imported === 0 && semPeso.error === 'maxWeightKg must be a positive number' && bateria.error === 'batteryPercent must be a number between 0 and 100' && semAlcance.error === 'maxRangeKm must be a positive number', 'Drones com números inválidos são rejeitados por linha');
+
+  const exp = await request('GET', '/export/deliveries?format=csv');
+  const linhas = String(exp.body).trim().split(/\r?\n/);
+  assert(exp.status === 200 && linhas[0].startsWith('id,orderNumber,weightKg') && linhas.some(l => l.startsWith(`test-imp-${ts}-1,`)), 'Exportação CSV de entregas');
+  const json = await request('GET', '/export/drones');
+  assert(Array.isArray(json.body) && json.body.some(d => d.id === `test-imp-drone-${ts}`), 'Exportação JSON de drones');
+  const invalida = await request('GET', '/export/flights');
+  assert(invalida.status === 404, 'Exportação rejeita coleção não suportada');
+}
+
+async function testarAdaptadoresArmazenamento() {
+  const { createStorage } = require('./storage');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-storage-'));
+  const amostra = {
+    drones: [{ id: 'test-st-1', model: 'Storage', maxWeightKg: 5, maxRangeKm: 20, batteryPercent: 80, state: 'idle', reservedBatteryPercent: 0 }],
+    deliveries: [{ id: 'test-st-del', weightKg: 1, pickup: { lat: 1, lon: 2 }, dropoff: { lat: 3, lon: 4 }, priority: 'high', status: 'pending' }],
+    flights: [],
+    flightHistory: [{ id: 'flight-1', deliveryId: 'test-st-del', removedReason: 'manual-delete:flight-1' }],
+    obstacles: [{ id: 'test-st-obs', type: 'circle', lat: 0, lon: 0, radiusKm: 1 }],
+    depots: [{ id: 'test-st-depot', name: 'Base', lat: 0, lon: 0, chargingPads: 2, chargeRatePercentPerMin: 60 }],
+    weatherAreas: [{ id: 'test-st-weather', windSpeedKmh: 10, windDirectionDeg: 90, precipitationMmH: 0, temperatureC: 20 }],
+    nextOrderNumber: 7
+  };
+
+  for (const driver of ['json', 'sqlite']) {
+    let storage;
+    try {
+      storage = createStorage({ driver, file: path.join(tmpDir, `db.${driver}`) });
+    } catch (e) {
+      console.log(`  ⚠️ Adaptador ${driver} indisponível: ${e.message}`);
+      continue;
+    }
+    storage.save(amostra);
+    // segunda gravação com alterações: remove um item e muda um contador
+    const alterado = { ...amostra, obstacles: [], nextOrderNumber: 8 };
+    storage.save(alterado);
+    storage.close();
+
+    const reaberto = createStorage({ driver, file: path.join(tmpDir, `db.${driver}`) });
+    const lido = reaberto.load();
+    reaberto.close();
+    assert(JSON.stringify(lido) === JSON.stringify(alterado), `Adaptador ${driver} persiste e recarrega o banco`);
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+async function testarRecuperacaoBancoCorrompido() {
+  const { createStorage } = require('./storage');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drone-recover-'));
+  const file = path.join(tmpDir, 'db.json');
+
+  // Grava um estado bom (gera cópia de segurança) e simula escrita interrompida
+  const storage = createStorage({ driver: 'json', file });
+  storage.save({ drones: [{ id: 'test-bom' }], deliveries: [], flights: [], flightHistory: [], obstacles: [], nextOrderNumber: 3 });
+  fs.writeFileSync(file, '{"drones": [{"id": "test-tru');
+  const rec = storage.recover();
+  const lido = storage.load();
+  assert(rec.recovered === true && lido.drones[0].id === 'test-bom' && fs.existsSync(rec.corruptCopy), 'Banco truncado é restaurado da última cópia válida');
+
+  // Sem cópia válida o servidor deve recusar iniciar
+  const semBackup = path.join(tmpDir, 'sem-backup', 'db.json');
+  fs.mkdirSync(path.dirname(semBackup));
+  fs.writeFileSync(semBackup, '{"drones": [');
+  const code = await new Promise((resolve) => {
+    const proc = spawn('node', ['index.js'], { cwd: __dirname, env: { ...process.env, PORT: Number(TEST_PORT) + 1, DB_DRIVER: 'json', DB_PATH: semBackup } });
+    const timer = setTimeout(() => { proc.kill('SIGTERM'); resolve(null); }, 10000);
+    proc.on('exit', (c) => { clearTimeout(timer); resolve(c); });
+  });
+  assert(code === 1, 'Servidor recusa iniciar com banco corrompido e sem cópia');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+async function testarMigracoesEsquema() {
+  const { runMigrations, LATEST_VERSION } = require('./migrations');
+  // formato de um db.json anterior às migrações: sem schemaVersion, nextOrderNumber, state...
+  const antigo = () => ({
+    drones: [{ id: 'test-mig-1', model: 'Old', maxWeightKg: 5, maxRangeKm: 10, batteryPercent: 90 }],
+    deliveries: [],
+    flights: [{ id: 'flight-old', deliveryId: 'x', droneId: 'test-mig-1', status: 'scheduled' }],
+    flightHistory: [{ id: 'flight-older', orderNumber: 4 }],
+    obstacles: []
+  });
+
+  const seco = antigo();
+  const previa = runMigrations(seco, { dryRun: true });
+  assert(previa.applied.length === LATEST_VERSION && typeof seco.schemaVersion === 'undefined' && !seco.drones[0].state, 'Dry-run lista migrações sem alterar o banco');
+
+  const db = antigo();
+  const result = runMigrations(db);
+  assert(db.schemaVersion === LATEST_VERSION && db.drones[0].state === 'idle' && db.drones[0].reservedBatteryPercent === 0, 'Migrações aplicam campos e registram schemaVersion');
+  assert(db.flights[0].orderNumber === 5 && db.flightHistory[0].displayId === 'Ordem de serviço 4' && db.nextOrderNumber === 6, 'Migração de ordens de serviço preserva a sequência');
+  assert(result.fromVersion === 0 && runMigrations(db).applied.length === 0, 'Migrações não rodam duas vezes');
+
+  let recusado = false;
+  try { runMigrations({ ...antigo(), schemaVersion: LATEST_VERSION + 1 }); } catch { recusado = true; }
+  assert(recusado, 'Banco de versão mais nova que o código é recusado');
 }
 
 // ===================== Execução dos testes =====================
 
 async function startServer() {
   console.log(`🔧 Iniciando servidor em porta de teste ${TEST_PORT}...`);
-  const serverProc = spawn('node', ['index.js'], { cwd: __dirname, env: { ...process.env, PORT: TEST_PORT } });
+  const serverProc = spawn('node', ['index.js'], { cwd: __dirname, env: { ...process.env, PORT: TEST_PORT, DB_DRIVER: 'json', DB_PATH, SNAPSHOT_DIR, EVENT_LOG_PATH, WEATHER_FILE } });
   serverProc.stdout.on('data', d => process.stdout.write(d.toString()));
   serverProc.stderr.on('data', d => process.stderr.write(d.toString()));
   // aguardar health
@@ -370,6 +1406,31 @@ async function executarTestes() {
   await testarAvancoVoo();
   await testarStatusDrones();
   await testarRecargaAutomatica();
+  await testarEscritasConcorrentes();
+  await testarSnapshots();
+  await testarLogEventos();
+  await testarImportacaoExportacao();
+  await testarDespachoLote();
+  await testarVooMultiParada();
+  await testarTrechoPosicionamento();
+  await testarBases();
+  await testarDesvioObstaculos();
+  await testarObstaculosPoligono();
+  await testarRestricoesTemporarias();
+  await testarConflitoObstaculoNovo();
+  await testarAgendamentoFuturo();
+  await testarJanelasSla();
+  await testarModeloEnergia();
+  await testarPerfilDesempenho();
+  await testarClima();
+  await testarMaquinaEstados();
+  await testarRetornoAbortado();
+  await testarEsperaRetomada();
+  await testarRedirecionamento();
+  await testarEstadosDrone();
+  await testarAdaptadoresArmazenamento();
+  await testarRecuperacaoBancoCorrompido();
+  await testarMigracoesEsquema();
 
   // Limpeza final
   await limparDadosTeste();
@@ -380,8 +1441,9 @@ async function executarTestes() {
   console.log(`✗ Testes falharam: ${testesFalharam}`);
   console.log('='.repeat(50));
 
-  // Encerrar servidor
-  serverProc.kill('SIGTERM');
+  // Encerrar servidor (aguarda a gravação final antes de remover os arquivos temporários)
+  await new Promise(r => { serverProc.on('exit', r); serverProc.kill('SIGTERM'); });
+  fs.rmSync(SNAPSHOT_DIR, { recursive: true, force: true });
 
   if (testesFalharam > 0) {
     process.exit(1);
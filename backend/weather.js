@@ -0,0 +1,60 @@
+// Condições do tempo por área: vento, precipitação e temperatura.
+// Área (coleção weatherAreas): { id, name?, lat?, lon?, radiusKm?, windSpeedKmh, windDirectionDeg,
+//   precipitationMmH, temperatureC, updatedAt }
+//  - lat/lon/radiusKm: círculo coberto pela área; sem eles a área vale para todo lugar
+//    (condição geral, usada onde nenhuma área local cobre o ponto)
+//  - windDirectionDeg: de onde o vento sopra (convenção meteorológica: 0 = norte, 90 = leste)
+// Sem nenhuma área cobrindo o ponto, o tempo é calmo e não restringe voos.
+//
+// Cada drone pode ter `weatherLimits` (campos ausentes usam DEFAULT_WEATHER_LIMITS): acima
+// deles o despacho recusa o voo.
+const { haversineKm } = require('./geo');
+
+const DEFAULT_WEATHER_LIMITS = { maxWindKmh: 40, maxPrecipitationMmH: 5, minTemperatureC: -10, maxTemperatureC: 45 };
+const CALM = { areaId: null, windSpeedKmh: 0, windDirectionDeg: 0, precipitationMmH: 0, temperatureC: 20 };
+
+const isLocal = (area) => typeof area.lat === 'number' && typeof area.lon === 'number' && typeof area.radiusKm === 'number';
+
+// Condições no ponto { lat, lon }: a menor área local que o cobre, senão a área geral
+function conditionsAt(areas, point) {
+  const covering = (areas || [])
+    .filter(a => isLocal(a) && haversineKm(a, point) <= a.radiusKm)
+    .sort((a, b) => a.radiusKm - b.radiusKm);
+  const area = covering[0] || (areas || []).find(a => !isLocal(a));
+  if (!area) return CALM;
+  const { id, windSpeedKmh, windDirectionDeg, precipitationMmH, temperatureC } = area;
+  return { areaId: id, windSpeedKmh, windDirectionDeg, precipitationMmH, temperatureC };
+}
+
+// Rumo (graus a partir do norte) de `a` para `b`
+function bearingDeg(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180) / Math.PI;
+}
+
+// Componente do vento ao longo do trecho de `from` a `to` (km/h): positiva a favor, negativa contra
+function tailwindKmh(conditions, from, to) {
+  if (!conditions.windSpeedKmh || haversineKm(from, to) === 0) return 0;
+  const towardDeg = conditions.windDirectionDeg + 180;
+  return conditions.windSpeedKmh * Math.cos(((bearingDeg(from, to) - towardDeg) * Math.PI) / 180);
+}
+
+function weatherLimitsOf(drone) {
+  return { ...DEFAULT_WEATHER_LIMITS, ...((drone && drone.weatherLimits) || {}) };
+}
+
+// Motivo pelo qual o drone não pode voar nas condições informadas, ou null
+function weatherViolation(drone, conditions) {
+  const limits = weatherLimitsOf(drone);
+  if (conditions.windSpeedKmh > limits.maxWindKmh) return 'Wind above drone limit';
+  if (conditions.precipitationMmH > limits.maxPrecipitationMmH) return 'Precipitation above drone limit';
+  if (conditions.temperatureC < limits.minTemperatureC || conditions.temperatureC > limits.maxTemperatureC) return 'Temperature outside drone limits';
+  return null;
+}
+
+const WEATHER_REASONS = ['Wind above drone limit', 'Precipitation above drone limit', 'Temperature outside drone limits'];
+
+module.exports = { DEFAULT_WEATHER_LIMITS, WEATHER_REASONS, conditionsAt, tailwindKmh, weatherLimitsOf, weatherViolation };
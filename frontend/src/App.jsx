@@ -1,11 +1,15 @@
 // Frontend principal (React) para gerenciar UI de Drones, Entregas e Voos.
 // Contém formulários, listagens, modais de mapa e ações rápidas.
 import React, { useEffect, useState, useRef } from 'react'
-import { fetchDrones, fetchDronesStatus, createDrone, fetchDeliveries, createDelivery, updateDelivery, deleteDelivery, cancelDelivery, scheduleFlight, fetchFlights, updateDrone, deleteDrone, fetchFlightHistory, reverseGeocode, forwardGeocode, updateFlight, deleteFlight, clearFlightHistory, purgeCancelledDeliveries } from './api'
+import { fetchDrones, fetchDronesStatus, createDrone, fetchDeliveries, createDelivery, updateDelivery, deleteDelivery, cancelDelivery, redirectDelivery, scheduleFlight, fetchFlights, updateDrone, deleteDrone, setDroneState, fetchFlightHistory, reverseGeocode, forwardGeocode, updateFlight, deleteFlight, holdFlight, resumeFlight, clearFlightHistory, purgeCancelledDeliveries, importData, exportData, fetchDepots, fetchObstacles, fetchWeather } from './api'
 import Toasts from './Toast'
+// Modelo de energia compartilhado com o backend (carga e reserva por drone)
+import { autonomyKm, requiredBatteryPercent, energyForLegs } from '../../shared/energy.mjs'
+// Perfil de desempenho compartilhado com o backend (velocidade de cruzeiro, subida/descida, decolagem/pouso)
+import { cruiseSpeedKmhOf, flightDurationSec } from '../../shared/flightProfile.mjs'
 
 // Mapas interativos (react-leaflet)
-import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet'
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, Polygon } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 
@@ -18,6 +22,100 @@ L.Icon.Default.mergeOptions({
   shadowUrl: new URL('leaflet/dist/images/marker-shadow.png', import.meta.url).href,
 });
 
+// Rótulos das intervenções registradas em flight.history
+const FLIGHT_ACTION_LABELS = { hold: 'em espera', resume: 'retomado', reroute: 'rota recalculada', abort: 'abortado', redirect: 'destino alterado' }
+const STOP_TYPE_LABELS = { pickup: 'coleta', dropoff: 'entrega', depot: 'base', launch: 'ponto de partida' }
+
+// Estados operacionais do drone (ver backend/stateMachine.js), na ordem dos filtros da página Drones
+const DRONE_STATE_BADGES = {
+  idle: { label: 'Ocioso', color: '#475569' },
+  charging: { label: '🔌 Recarregando', color: '#059669' },
+  loading: { label: '📦 Carregando', color: '#2563eb' },
+  in_flight: { label: '✈️ Em voo', color: '#2563eb' },
+  returning: { label: '↩️ Voltando', color: '#d97706' },
+  maintenance: { label: '🔧 Manutenção', color: '#b45309' },
+  offline: { label: '⛔ Desligado', color: '#dc2626' }
+}
+const OUT_OF_SERVICE_STATES = ['maintenance', 'offline']
+
+// Estado do SLA calculado pelo backend para entregas com prazo (latestAt)
+const SLA_BADGES = {
+  'on-track': { label: 'No prazo', color: '#059669' },
+  'at-risk': { label: '⚠️ Prazo em risco', color: '#d97706' },
+  missed: { label: '⛔ Prazo perdido', color: '#dc2626' },
+  met: { label: '✅ Entregue no prazo', color: '#059669' }
+}
+
+// Janela de entrega ("entre 14:00 e 15:00", "até 17:00"); vazio sem janela
+function deliveryWindowLabel(d){
+  const fmt = (iso) => new Date(iso).toLocaleString('pt-BR', { day:'2-digit', month:'2-digit', hour:'2-digit', minute:'2-digit' })
+  if (d.earliestAt && d.latestAt) return `entre ${fmt(d.earliestAt)} e ${fmt(d.latestAt)}`
+  if (d.latestAt) return `até ${fmt(d.latestAt)}`
+  if (d.earliestAt) return `a partir de ${fmt(d.earliestAt)}`
+  return ''
+}
+
+function DeliveryWindow({ delivery }){
+  const label = deliveryWindowLabel(delivery)
+  const badge = SLA_BADGES[delivery.sla]
+  if (!label) return null
+  return (
+    <div style={{fontSize:12, color:'#555'}}>
+      🕒 {label}
+      {badge && <span style={{marginLeft:6, color: badge.color, fontWeight:600}}>{badge.label}</span>}
+    </div>
+  )
+}
+
+// Zonas de exclusão aérea desenhadas nos mapas.
+// Círculos usam raio em metros; polígonos GeoJSON vêm como [lon, lat] e o Leaflet espera [lat, lon].
+// Restrições temporárias fora do horário (activeNow = false) aparecem tracejadas.
+const OBSTACLE_STYLE = { color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.2, weight: 1 }
+const INACTIVE_OBSTACLE_STYLE = { ...OBSTACLE_STYLE, fillOpacity: 0.05, dashArray: '4 4' }
+const WEEKDAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb']
+const toLatLngRings = (rings) => rings.map(ring => ring.map(([lon, lat]) => [lat, lon]))
+
+// Texto da validade de uma restrição temporária (vazio para zonas permanentes)
+function obstacleWindowLabel(o){
+  const parts = []
+  if (o.activeFrom) parts.push(`de ${new Date(o.activeFrom).toLocaleString()}`)
+  if (o.activeUntil) parts.push(`até ${new Date(o.activeUntil).toLocaleString()}`)
+  if (o.schedule) parts.push(`${o.schedule.daysOfWeek.map(d => WEEKDAYS[d]).join(', ')} ${o.schedule.startTime}-${o.schedule.endTime} (UTC${o.schedule.utcOffsetMinutes >= 0 ? '+' : '-'}${Math.abs(o.schedule.utcOffsetMinutes) / 60}h)`)
+  return parts.join(' • ')
+}
+
+function ObstacleLayers({ obstacles }){
+  return (obstacles || []).map(o => {
+    const style = o.activeNow === false ? INACTIVE_OBSTACLE_STYLE : OBSTACLE_STYLE
+    const popup = (
+      <Popup>
+        Zona de exclusão {o.id}{o.activeNow === false ? ' (inativa agora)' : ''}
+        {obstacleWindowLabel(o) && <div>{obstacleWindowLabel(o)}</div>}
+      </Popup>
+    )
+    if (o.type === 'circle'){
+      return <Circle key={o.id} center={[o.lat, o.lon]} radius={o.radiusKm * 1000} pathOptions={style}>{popup}</Circle>
+    }
+    if (!o.geometry) return null
+    const positions = o.type === 'multipolygon' ? o.geometry.coordinates.map(toLatLngRings) : toLatLngRings(o.geometry.coordinates)
+    return <Polygon key={o.id} positions={positions} pathOptions={style}>{popup}</Polygon>
+  })
+}
+
+// Perfis de desempenho prontos para o formulário de drone (ver shared/flightProfile.mjs).
+// Drones com um perfil diferente (importado ou via API) aparecem como "personalizado" e o mantêm.
+const PERFORMANCE_PRESETS = [
+  { value: '', label: 'Desempenho padrão (36 km/h)', profile: null },
+  { value: 'multirotor', label: 'Multirotor (36 km/h, decolagem/pouso 15 s, subida/descida 20 s)', profile: { cruiseSpeedKmh: 36, takeoffSec: 15, climbSec: 20, descentSec: 20, landingSec: 15 } },
+  { value: 'vtol', label: 'Asa fixa VTOL (72 km/h, decolagem/pouso 20 s, subida/descida 30 s)', profile: { cruiseSpeedKmh: 72, takeoffSec: 20, climbSec: 30, descentSec: 30, landingSec: 20 } }
+]
+
+function performancePresetOf(drone){
+  if (!drone || !drone.performanceProfile) return ''
+  const match = PERFORMANCE_PRESETS.find(p => p.profile && JSON.stringify(p.profile) === JSON.stringify(drone.performanceProfile))
+  return match ? match.value : 'custom'
+}
+
 // Componente de formulário para criar/editar um drone.
 // Props:
 //  - onCreate(): callback após criar um drone
@@ -31,6 +129,7 @@ function DroneForm({ onCreate, addToast, editing, onUpdate, onCancel }){
   const [maxWeight,setMaxWeight] = useState('')
   const [maxRange,setMaxRange] = useState('')
   const [batteryPercent, setBatteryPercent] = useState('')
+  const [performance, setPerformance] = useState('') // PERFORMANCE_PRESETS ('custom' mantém o perfil atual)
 
   useEffect(()=>{
     if (editing){
@@ -39,26 +138,34 @@ function DroneForm({ onCreate, addToast, editing, onUpdate, onCancel }){
       setMaxWeight(editing.maxWeightKg || '')
       setMaxRange(editing.maxRangeKm || '')
       setBatteryPercent(typeof editing.batteryPercent !== 'undefined' ? String(editing.batteryPercent) : '')
+      setPerformance(performancePresetOf(editing))
     } else {
       setId('')
       setModel('')
       setMaxWeight('')
       setMaxRange('')
       setBatteryPercent('')
+      setPerformance('')
     }
   }, [editing])
 
+  // perfil de desempenho a enviar (nada quando o perfil personalizado é mantido)
+  const withPerformance = (payload) => {
+    const preset = PERFORMANCE_PRESETS.find(p => p.value === performance)
+    return preset ? { ...payload, performanceProfile: preset.profile } : payload
+  }
+
   const submit = async (e)=>{
     e.preventDefault();
     try{
       if (editing && onUpdate){
-        await onUpdate(editing.id, { model, maxWeightKg: Number(maxWeight), maxRangeKm: Number(maxRange), batteryPercent: Number(batteryPercent) })
+        await onUpdate(editing.id, withPerformance({ model, maxWeightKg: Number(maxWeight), maxRangeKm: Number(maxRange), batteryPercent: Number(batteryPercent) }))
         addToast && addToast({ message: 'Drone atualizado com sucesso', title: 'Sucesso', type: 'success' })
         onCancel && onCancel()
       } else {
-        const resp = await createDrone({ model, maxWeightKg: Number(maxWeight), maxRangeKm: Number(maxRange), batteryPercent: batteryPercent ? Number(batteryPercent) : undefined });
+        const resp = await createDrone(withPerformance({ model, maxWeightKg: Number(maxWeight), maxRangeKm: Number(maxRange), batteryPercent: batteryPercent ? Number(batteryPercent) : undefined }));
         const newId = resp && resp.drone ? resp.drone.id : null;
-        setId(''); setModel(''); setMaxWeight(''); setMaxRange(''); setBatteryPercent('');
+        setId(''); setModel(''); setMaxWeight(''); setMaxRange(''); setBatteryPercent(''); setPerformance('');
         onCreate && onCreate();
         addToast && addToast({ message: newId ? `Drone criado (ID: ${newId})` : 'Drone criado', title: 'Sucesso', type: 'success' })
       }
@@ -77,6 +184,10 @@ function DroneForm({ onCreate, addToast, editing, onUpdate, onCancel }){
       <input placeholder="pesoMáx (kg)" value={maxWeight} onChange={e=>setMaxWeight(e.target.value)} required />
   <input placeholder="alcanceMáx (km)" value={maxRange} onChange={e=>setMaxRange(e.target.value)} required />
   <input placeholder="bateria (%)" value={batteryPercent} onChange={e=>setBatteryPercent(e.target.value)} />
+      <select value={performance} onChange={e=>setPerformance(e.target.value)} title="Perfil de desempenho (velocidade, subida/descida, decolagem/pouso)">
+        {PERFORMANCE_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+        {performance === 'custom' && <option value="custom">Personalizado ({cruiseSpeedKmhOf(editing)} km/h)</option>}
+      </select>
       <div style={{marginTop:8}}>
         <button type="submit">{editing ? 'Salvar' : 'Criar Drone'}</button>
         {editing && <button type="button" onClick={onCancel} style={{marginLeft:8}}>Cancelar</button>}
@@ -93,6 +204,8 @@ function DeliveryForm({ onCreate, addToast }){
   const [id,setId] = useState('')
   const [weight,setWeight] = useState('')
   const [priority, setPriority] = useState('normal')
+  const [earliestAt, setEarliestAt] = useState('') // janela de entrega (datetime-local, opcional)
+  const [latestAt, setLatestAt] = useState('')
   const [pLat,setPLat] = useState('')
   const [pLon,setPLon] = useState('')
   const [dLat,setDLat] = useState('')
@@ -117,10 +230,12 @@ function DeliveryForm({ onCreate, addToast }){
         weightKg: Number(weight), 
         priority,
         pickup: { lat: Number(pLat), lon: Number(pLon) }, 
-        dropoff: { lat: Number(dLat), lon: Number(dLon) } 
+        dropoff: { lat: Number(dLat), lon: Number(dLon) },
+        ...(earliestAt ? { earliestAt: new Date(earliestAt).toISOString() } : {}),
+        ...(latestAt ? { latestAt: new Date(latestAt).toISOString() } : {})
       });
       const createdId = resp && resp.delivery ? resp.delivery.id : null;
-      setId(''); setWeight(''); setPriority('normal'); setPLat(''); setPLon(''); setDLat(''); setDLon(''); setPAddress(''); setDAddress(''); setPResults([]); setDResults([]);
+      setId(''); setWeight(''); setPriority('normal'); setEarliestAt(''); setLatestAt(''); setPLat(''); setPLon(''); setDLat(''); setDLon(''); setPAddress(''); setDAddress(''); setPResults([]); setDResults([]);
       onCreate && onCreate();
       addToast && addToast({ message: createdId ? `✅ Entrega criada (ID: ${createdId})` : '✅ Entrega criada', title: 'Sucesso', type: 'success' })
     }catch(err){
@@ -201,6 +316,12 @@ function DeliveryForm({ onCreate, addToast }){
         <option value="high">Alta</option>
       </select>
 
+      <label style={{fontSize:12, color:'#555', marginTop:8, display:'block'}}>🕒 Janela de entrega (opcional)</label>
+      <div style={{display:'flex', gap:8, marginBottom:8}}>
+        <input type="datetime-local" value={earliestAt} onChange={e=>setEarliestAt(e.target.value)} aria-label="Entregar a partir de" title="Entregar a partir de" style={{flex:1}} />
+        <input type="datetime-local" value={latestAt} onChange={e=>setLatestAt(e.target.value)} aria-label="Entregar até (prazo)" title="Entregar até (prazo)" style={{flex:1}} />
+      </div>
+
       <label style={{fontSize:12, color:'#555', marginTop:8, display:'block'}}>📍 Endereço de coleta</label>
       <div style={{display:'flex', gap:8}}>
         <input placeholder="Endereço (coleta)" value={pAddress} onChange={e=>setPAddress(e.target.value)} aria-label="Endereço de coleta" style={{flex:1}} />
@@ -300,17 +421,114 @@ function DeliveryForm({ onCreate, addToast }){
   )
 }
 
+// Coleções aceitas na importação/exportação em lote, com as colunas do CSV (ver backend/bulk.js).
+const IMPORT_COLLECTIONS = [
+  { value: 'deliveries', label: 'Entregas', columns: 'id, weightKg, priority, pickupLat, pickupLon, dropoffLat, dropoffLon, earliestAt, latestAt' },
+  { value: 'drones', label: 'Drones', columns: 'id, model, maxWeightKg, maxRangeKm, batteryPercent, homeDepotId, energyProfile, performanceProfile, weatherLimits' },
+  { value: 'obstacles', label: 'Obstáculos', columns: 'id, type, lat, lon, radiusKm, geometry, activeFrom, activeUntil, schedule' }
+]
+
+// Painel de importação/exportação em lote (CSV ou JSON) de drones, entregas e obstáculos.
+// A importação mostra o resultado de cada linha (o backend aplica as mesmas regras dos formulários).
+// Props:
+//  - onImported(): callback após importar (recarrega as listas)
+//  - addToast(obj): função para mostrar notificações
+function ImportExportPanel({ onImported, addToast }){
+  const [collection, setCollection] = useState('deliveries')
+  const [file, setFile] = useState(null)
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const current = IMPORT_COLLECTIONS.find(c => c.value === collection)
+
+  // Lê o arquivo escolhido: .json vira array de objetos, o resto é enviado como CSV
+  async function readFileContent(){
+    const text = await file.text()
+    if (/\.json$/i.test(file.name)) return JSON.parse(text)
+    return text
+  }
+
+  async function runImport(dryRun){
+    if (!file) return addToast && addToast({ message: 'Escolha um arquivo CSV ou JSON primeiro', title: 'Atenção', type: 'warning' })
+    try{
+      setBusy(true)
+      const data = await importData(collection, await readFileContent(), { dryRun })
+      setResult(data)
+      if (!dryRun && data.imported > 0) onImported && onImported()
+      const prefix = dryRun ? '🔍 Validação' : '📥 Importação'
+      addToast && addToast({ message: `${prefix}: ${data.imported} de ${data.total} linha(s) válida(s)${data.failed ? `, ${data.failed} com erro` : ''}`, title: data.failed ? 'Atenção' : 'Sucesso', type: data.failed ? 'warning' : 'success' })
+    }catch(err){
+      addToast && addToast({ message: err.message || 'Erro ao importar arquivo', title: 'Erro', type: 'error' })
+    }finally{
+      setBusy(false)
+    }
+  }
+
+  async function download(format){
+    try{
+      const blob = await exportData(collection, format)
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${collection}.${format}`
+      a.click()
+      URL.revokeObjectURL(url)
+    }catch(err){
+      addToast && addToast({ message: err.message || 'Erro ao exportar', title: 'Erro', type: 'error' })
+    }
+  }
+
+  return (
+    <div style={{border:'1px solid #eee', padding:10, marginTop:10, borderRadius:8}}>
+      <h3>Importar / Exportar</h3>
+      <label style={{fontSize:12, color:'#555', display:'block'}}>Tipo de dado</label>
+      <select value={collection} onChange={e=>{ setCollection(e.target.value); setResult(null) }} style={{width:'100%', padding:8, marginBottom:8}}>
+        {IMPORT_COLLECTIONS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+      </select>
+
+      <label style={{fontSize:12, color:'#555', display:'block'}}>Arquivo CSV ou JSON</label>
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={e=>{ setFile(e.target.files[0] || null); setResult(null) }} aria-label="Arquivo para importar" />
+      <div style={{fontSize:11, color:'#666', marginTop:4}}>Colunas do CSV: {current.columns}</div>
+
+      <div style={{display:'flex', gap:8, marginTop:10}}>
+        <button type="button" className="small-btn" onClick={()=>runImport(true)} disabled={busy || !file}>🔍 Validar</button>
+        <button type="button" className="small-btn" onClick={()=>runImport(false)} disabled={busy || !file}>{busy ? '...' : '📥 Importar'}</button>
+        <span style={{flex:1}} />
+        <button type="button" className="small-btn" onClick={()=>download('csv')}>⬇️ CSV</button>
+        <button type="button" className="small-btn" onClick={()=>download('json')}>⬇️ JSON</button>
+      </div>
+
+      {result && (
+        <div style={{border:'1px solid #eee', padding:8, marginTop:10, maxHeight:220, overflow:'auto', background:'#fff'}}>
+          <div style={{fontSize:12, marginBottom:6}}>
+            {result.dryRun ? 'Validação (nada foi gravado)' : 'Resultado da importação'}: {result.imported} ok, {result.failed} com erro
+          </div>
+          {result.results.map(r => (
+            <div key={r.row} style={{fontSize:12, padding:'3px 0', borderBottom:'1px solid #f0f0f0', color: r.ok ? '#059669' : '#dc2626'}}>
+              Linha {r.row}{r.id ? ` (${r.id})` : ''}: {r.ok ? '✓ ok' : r.error}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
 export default function App(){
   const [drones,setDrones] = useState([])
   // estados de loading para várias operações, chaveada por operação:id
   const [loadingOps, setLoadingOps] = useState({})
   const [actionOpen, setActionOpen] = useState(null)
   const [editingDrone, setEditingDrone] = useState(null)
+  const [droneStateFilter, setDroneStateFilter] = useState('') // vazio = todos os estados
   const [deliveries,setDeliveries] = useState([])
+  const [depots,setDepots] = useState([])
+  const [obstacles,setObstacles] = useState([])
+  const [weatherAreas,setWeatherAreas] = useState([])
   const [flights,setFlights] = useState([])
   const [toasts, setToasts] = useState([])
   const [activePage, setActivePage] = useState('dashboard')
   const [activeTab, setActiveTab] = useState('add-drone')
+  const [selectedDeliveryIds, setSelectedDeliveryIds] = useState([]) // entregas marcadas para voo multi-parada
   const [flightHistory, setFlightHistory] = useState([])
   const [mapState, setMapState] = useState({ open: false, url: '', title: '' })
   const [leafletMap, setLeafletMap] = useState(null)
@@ -323,19 +541,42 @@ export default function App(){
   const [editingFlight, setEditingFlight] = useState(null)
   const [editingStatus, setEditingStatus] = useState('')
   const [editingScheduledAt, setEditingScheduledAt] = useState('')
+  const [departureAt, setDepartureAt] = useState('') // partida dos voos agendados na página de Entregas (vazio = agora)
   const [editingDelivery, setEditingDelivery] = useState(null)
   const [editingDeliveryWeight, setEditingDeliveryWeight] = useState('')
   const [editingDeliveryPriority, setEditingDeliveryPriority] = useState('normal')
+  // redirecionamento de entrega em trânsito: { delivery, lat, lon, address }
+  const [redirecting, setRedirecting] = useState(null)
   
+  // handler para pausar/retomar voo (espera manual, ex.: problema temporário no espaço aéreo)
+  async function handleHoldFlight(flight){
+    const key = `holdFlight:${flight.id}`
+    try{
+      setLoading(key, true)
+      if (flight.status === 'holding') {
+        await resumeFlight(flight.id)
+        addToast({ message: 'Voo retomado', title: 'Sucesso', type: 'success' })
+      } else {
+        await holdFlight(flight.id)
+        addToast({ message: flight.status === 'in_progress' ? 'Voo em espera: o drone está pairando' : 'Voo em espera', title: 'Sucesso', type: 'success' })
+      }
+      await load()
+    }catch(err){
+      addToast({ message: err.message || 'Erro ao alterar a espera do voo', title: 'Erro', type: 'error' })
+    }finally{
+      setLoading(key, false)
+    }
+  }
+
   // handler para remover voo
   async function handleRemoveFlight(flightId){
     try{
-      const ok = window.confirm('Remover este voo? Esta ação irá arquivar o voo.');
+      const ok = window.confirm('Remover este voo? Esta ação irá arquivar o voo (em voo, o drone volta antes).');
       if (!ok) return;
       const key = `deleteFlight:${flightId}`;
       setLoading(key, true);
-      await deleteFlight(flightId);
-      addToast({ message: 'Voo removido', title: 'Sucesso', type: 'success' });
+      const result = await deleteFlight(flightId);
+      addToast({ message: result.returning ? 'Voo abortado: o drone está voltando' : 'Voo removido', title: 'Sucesso', type: 'success' });
       // se estivermos editando esse voo, fecha o editor
       if (editingFlight && editingFlight.id === flightId) cancelEditFlight();
       await load();
@@ -380,6 +621,9 @@ export default function App(){
       return { ...b, ...st };
     });
     setDrones(merged);
+    try { setDepots(await fetchDepots()); } catch {}
+    try { setObstacles(await fetchObstacles()); } catch {}
+    try { setWeatherAreas(await fetchWeather()); } catch {}
     setDeliveries(await fetchDeliveries());
     setFlights(await fetchFlights());
     // histórico carregado sob demanda
@@ -546,6 +790,8 @@ export default function App(){
           return st ? { ...d, ...st } : d;
         }));
         setFlights(await fetchFlights());
+        // restrições temporárias ligam/desligam e vencem com o tempo
+        try { setObstacles(await fetchObstacles()); } catch {}
       } catch {}
     }, 5000);
     return () => clearInterval(int);
@@ -597,13 +843,36 @@ export default function App(){
     }
   }
 
+  function startRedirectDelivery(delivery){
+    setRedirecting({ delivery, lat: String(delivery.dropoff.lat), lon: String(delivery.dropoff.lon), address: '' })
+  }
+
+  async function saveRedirectDelivery(){
+    if (!redirecting) return
+    const { delivery, lat, lon, address } = redirecting
+    const key = `redirectDelivery:${delivery.id}`
+    try{
+      setLoading(key, true)
+      const dropoff = { lat: Number(lat), lon: Number(lon), ...(address.trim() ? { address: address.trim() } : {}) }
+      await redirectDelivery(delivery.id, dropoff)
+      addToast({ message: 'Entrega redirecionada: rota e ETA do voo atualizados', title: 'Sucesso', type: 'success' })
+      await load()
+      setRedirecting(null)
+    }catch(err){
+      addToast({ message: err.message || 'Erro ao redirecionar entrega', title: 'Erro', type: 'error' })
+    }finally{
+      setLoading(key, false)
+    }
+  }
+
   async function saveEditFlight(){
     if (!editingFlight) return
     const key = `updateFlight:${editingFlight.id}`
     try{
       setLoading(key, true)
       const payload = { status: editingStatus }
-      if (editingScheduledAt) payload.scheduledAt = inputToIsoDatetime(editingScheduledAt)
+      // o horário só vai quando muda (o backend só aceita nova partida antes da decolagem)
+      if (editingScheduledAt && editingScheduledAt !== isoToInputDatetime(editingFlight.scheduledAt)) payload.scheduledAt = inputToIsoDatetime(editingScheduledAt)
       await updateFlight(editingFlight.id, payload)
       addToast({ message: 'Voo atualizado', title: 'Sucesso', type: 'success' })
       await load()
@@ -615,11 +884,37 @@ export default function App(){
     }
   }
 
+  // Partida escolhida na página de Entregas (sem horário, o voo parte imediatamente)
+  function withDeparture(payload){
+    return departureAt ? { ...payload, scheduledAt: inputToIsoDatetime(departureAt) } : payload
+  }
+
+  // Agenda um único voo multi-parada com as entregas selecionadas na página de Entregas
+  async function handleScheduleSelected(){
+    const key = 'schedule:selected'
+    try{
+      setLoading(key, true)
+      const resp = await scheduleFlight(withDeparture({ deliveryIds: selectedDeliveryIds }))
+      const stops = resp && resp.flight && resp.flight.stops ? resp.flight.stops.length : 0
+      addToast({ message: `Voo multi-parada agendado com ${selectedDeliveryIds.length} entrega(s) e ${stops} parada(s)`, title: 'Sucesso', type: 'success' })
+      setSelectedDeliveryIds([])
+      await load()
+    }catch(err){
+      addToast({ message: err.message || 'Erro ao agendar voo', title: 'Erro', type: 'error' })
+    }finally{
+      setLoading(key, false)
+    }
+  }
+
+  function toggleDeliverySelection(deliveryId){
+    setSelectedDeliveryIds(prev => prev.includes(deliveryId) ? prev.filter(x => x !== deliveryId) : [...prev, deliveryId])
+  }
+
   const handleSchedule = async (deliveryId)=>{
       const key = `schedule:${deliveryId}`
       try{
         setLoading(key, true)
-        await scheduleFlight({ deliveryId })
+        await scheduleFlight(withDeparture({ deliveryId }))
         addToast({ message: 'Voo agendado com sucesso', title: 'Sucesso', type: 'success' })
         await load()
       }catch(err){
@@ -668,8 +963,8 @@ export default function App(){
       if(!ok) return;
       const key = `cancelDelivery:${deliveryId}`;
       setLoading(key, true);
-      await cancelDelivery(deliveryId);
-      addToast({ message: 'Entrega cancelada', title: 'Sucesso', type: 'success' });
+      const result = await cancelDelivery(deliveryId);
+      addToast({ message: result.returning ? 'Entrega cancelada: o drone está voltando com a carga' : 'Entrega cancelada', title: 'Sucesso', type: 'success' });
       // close editor if needed
       if (editingDelivery && editingDelivery.id === deliveryId) cancelEditDelivery();
       await load();
@@ -680,6 +975,24 @@ export default function App(){
     }
   }
 
+  // Manutenção/desligado tiram o drone do despacho; 'idle' devolve à operação
+  async function handleDroneState(droneId, state){
+    const key = `state:${droneId}`
+    try{
+      const note = OUT_OF_SERVICE_STATES.includes(state) ? window.prompt('Observação (opcional)') : null
+      if (note === null && OUT_OF_SERVICE_STATES.includes(state)) return
+      setLoading(key, true)
+      await setDroneState(droneId, state, note)
+      addToast({ message: `Drone agora: ${DRONE_STATE_BADGES[state].label}`, title: 'Sucesso', type: 'success' })
+      await load()
+      setActionOpen(null)
+    }catch(err){
+      addToast({ message: err.message || 'Erro ao mudar o estado do drone', title: 'Erro', type: 'error' })
+    }finally{
+      setLoading(key, false)
+    }
+  }
+
   async function handleDrain(droneId){
     const key = `drain:${droneId}`
     try{
@@ -719,7 +1032,7 @@ export default function App(){
   // métricas derivadas para o dashboard (cálculos simples a partir do estado)
   const dronesAvailable = drones.length
   const deliveriesPending = deliveries.filter(d=>d.status === 'pending').length
-  const flightsActive = flights.filter(f=>f.status === 'scheduled' || f.status === 'in_progress').length
+  const flightsActive = flights.filter(f=>f.status === 'scheduled' || f.status === 'in_progress' || f.status === 'holding' || f.status === 'returning').length
 
   function flightLabel(f){
     if (!f) return ''
@@ -751,14 +1064,11 @@ export default function App(){
     return '#dc2626'; // vermelho
   }
 
-  // Autonomia estimada em minutos baseado em alcance máximo e velocidade média
+  // Autonomia estimada em minutos (sem carga, na velocidade de cruzeiro do drone)
   function batteryAutonomyMinutes(dr){
-    if(!dr || typeof dr.maxRangeKm === 'undefined') return null
-    const speedKmH = 36 // velocidade média adotada (10 m/s)
-    const potentialKm = (Number(dr.maxRangeKm)||0) * (Number(dr.batteryPercent)||0) / 100
-    const hours = potentialKm / speedKmH
-    const minutes = Math.round(hours * 60)
-    return minutes
+    if(!dr || !Number(dr.maxRangeKm)) return null
+    const hours = autonomyKm(dr) / cruiseSpeedKmhOf(dr)
+    return Math.round(hours * 60)
   }
 
   // Verifica localmente se existe algum drone plausível para agendar esta entrega.
@@ -768,13 +1078,22 @@ export default function App(){
       if (!delivery) return false
       if (delivery.status && delivery.status !== 'pending') return false
       if (!delivery.pickup || !delivery.dropoff) return false
-      const candidates = (drones || []).filter(dr => Number(dr.maxWeightKg || 0) >= Number(delivery.weightKg || 0))
+      const candidates = (drones || []).filter(dr => !OUT_OF_SERVICE_STATES.includes(dr.state) && Number(dr.maxWeightKg || 0) >= Number(delivery.weightKg || 0))
       if (!candidates || candidates.length === 0) return false
-      const distanceKm = haversineKm(delivery.pickup, delivery.dropoff)
+      const deliveryKm = haversineKm(delivery.pickup, delivery.dropoff)
       for (const dr of candidates){
-        const withinRange = distanceKm <= (Number(dr.maxRangeKm) || 0)
-        if (!withinRange) continue
-        const requiredBattery = Math.min(100, Math.ceil((distanceKm / (Number(dr.maxRangeKm) || 1)) * 100 * 1.2))
+        // o backend inclui o trecho de posicionamento da posição atual do drone até a coleta
+        // e o retorno do destino até a base do drone
+        const hasPosition = typeof dr.currentLat === 'number' && typeof dr.currentLon === 'number'
+        const home = depots.find(dp => dp.id === dr.homeDepotId)
+        // trechos vazios (posicionamento e retorno) e o trecho com a carga
+        const legs = [
+          { distanceKm: hasPosition ? haversineKm({ lat: dr.currentLat, lon: dr.currentLon }, delivery.pickup) : 0, payloadKg: 0 },
+          { distanceKm: deliveryKm, payloadKg: Number(delivery.weightKg) || 0 },
+          { distanceKm: home ? haversineKm(delivery.dropoff, home) : 0, payloadKg: 0 }
+        ]
+        if (!Number(dr.maxRangeKm) || energyForLegs(dr, legs) > 100) continue
+        const requiredBattery = requiredBatteryPercent(dr, legs)
         const available = Number(dr.batteryPercent || 0) - Number(dr.reservedBatteryPercent || 0)
         const hasBattery = (available >= requiredBattery)
         if (hasBattery) return true
@@ -785,19 +1104,17 @@ export default function App(){
     }
   }
 
-  // Calcula ETA (Estimated Time of Arrival) para um voo
+  // Calcula ETA (Estimated Time of Arrival) para um voo: duração estimada pelo backend com o
+  // perfil de desempenho do drone (sem ela, calculada aqui pelas paradas com o mesmo perfil)
   function calculateETA(flight) {
-    if (!flight || !flight.distanceKm) return null
-    const avgSpeedKmH = 36 // velocidade média realista: 36 km/h (10 m/s)
-    const hoursEstimated = flight.distanceKm / avgSpeedKmH
-    const minutesEstimated = Math.ceil(hoursEstimated * 60)
-    
-    const scheduledTime = flight.scheduledAt ? new Date(flight.scheduledAt) : new Date()
-    const eta = new Date(scheduledTime.getTime() + minutesEstimated * 60000)
-    
+    if (!flight || (!flight.estimatedDurationSec && !Array.isArray(flight.stops))) return null
+    const durationSec = flight.estimatedDurationSec || flightDurationSec(flight.stops, drones.find(d => d.id === flight.droneId))
+    const departure = flight.startedAt || flight.scheduledAt
+    const eta = new Date((departure ? new Date(departure).getTime() : Date.now()) + durationSec * 1000)
+
     return {
       eta: eta,
-      minutesRemaining: minutesEstimated,
+      minutesRemaining: Math.max(0, Math.ceil((eta.getTime() - Date.now()) / 60000)),
       etaFormatted: eta.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
     }
   }
@@ -827,9 +1144,23 @@ export default function App(){
     // limpar qualquer intervalo anterior
     if(locateIntervalRef.current){ clearInterval(locateIntervalRef.current); locateIntervalRef.current = null }
     locateProgressRef.current = 0
-    const activeFlight = flights.find(f => f.droneId === droneId && f.status === 'in_progress')
+    const activeFlight = flights.find(f => f.droneId === droneId && (f.status === 'in_progress' || f.status === 'returning'))
     let start, end
-    if(activeFlight){
+    if(activeFlight && Array.isArray(activeFlight.stops) && activeFlight.stops.length > 0){
+      // voo multi-parada: anima da posição atual do drone até a próxima parada pendente
+      // ou, se a rota desvia de obstáculos, até o próximo ponto do desvio
+      const drone = drones.find(d => d.id === droneId)
+      const next = activeFlight.stops.find(s => s.status === 'pending') || activeFlight.stops[activeFlight.stops.length - 1]
+      start = drone && typeof drone.currentLat === 'number' ? { lat: drone.currentLat, lon: drone.currentLon } : activeFlight.stops[0]
+      end = { lat: next.lat, lon: next.lon }
+      const waypoints = activeFlight.waypoints || []
+      const traveledKm = (Number(activeFlight.progress) || 0) * (Number(activeFlight.distanceKm) || 0)
+      let km = 0
+      for (let i = 1; i < waypoints.length; i++){
+        km += haversineKm(waypoints[i - 1], waypoints[i])
+        if (km > traveledKm){ end = { lat: waypoints[i].lat, lon: waypoints[i].lon }; break }
+      }
+    } else if(activeFlight){
       const delivery = deliveries.find(d => (activeFlight.deliveryIds||[]).includes(d.id))
       if(delivery && delivery.pickup && delivery.dropoff){
         start = delivery.pickup
@@ -877,8 +1208,10 @@ export default function App(){
   function renderContent(){
     if(activePage === 'dashboard'){
       const deliveryStats = getDeliveryStats()
-      const activeFlights = flights.filter(f => f.status === 'in_progress')
+      const activeFlights = flights.filter(f => f.status === 'in_progress' || f.status === 'returning')
       const successRate = deliveries.length > 0 ? Math.round((deliveryStats.delivered / deliveries.length) * 100) : 0
+      const slaAtRisk = deliveries.filter(d => d.sla === 'at-risk').length
+      const slaMissed = deliveries.filter(d => d.sla === 'missed').length
 
       return (
         <>
@@ -903,6 +1236,11 @@ export default function App(){
               <div className="value">{successRate}%</div>
               <div className="label">Taxa de sucesso</div>
             </div>
+            <div className="metric card" title="Entregas com prazo em risco / prazo perdido">
+              <div className="metric-icon">⏰</div>
+              <div className="value" style={{color: slaMissed > 0 ? '#dc2626' : slaAtRisk > 0 ? '#d97706' : undefined}}>{slaAtRisk} / {slaMissed}</div>
+              <div className="label">SLA em risco / perdido</div>
+            </div>
           </div>
 
           <div className="main-layout">
@@ -910,6 +1248,7 @@ export default function App(){
               <div className="tabs">
                 <button className={`tab-btn ${activeTab === 'add-drone' ? 'active' : ''}`} onClick={() => setActiveTab('add-drone')}>➕ Adicionar Drone</button>
                 <button className={`tab-btn ${activeTab === 'add-delivery' ? 'active' : ''}`} onClick={() => setActiveTab('add-delivery')}>➕ Adicionar Entrega</button>
+                <button className={`tab-btn ${activeTab === 'import-export' ? 'active' : ''}`} onClick={() => setActiveTab('import-export')}>📥 Importar/Exportar</button>
               </div>
 
           <div className="tab-content">
@@ -924,6 +1263,12 @@ export default function App(){
                 <DeliveryForm onCreate={load} addToast={addToast} />
               </div>
             )}
+
+            {activeTab === 'import-export' && (
+              <div className="card">
+                <ImportExportPanel onImported={load} addToast={addToast} />
+              </div>
+            )}
           </div>
           </div>
 
@@ -959,9 +1304,9 @@ export default function App(){
                   <div style={{color:'#666', fontSize:14}}>Nenhum voo em andamento</div>
                 ) : (
                   activeFlights.slice(0, 3).map(f => {
-                    const remainingSec = f.estimatedDurationSec && typeof f.progress === 'number' ? Math.max(0, Math.round(f.estimatedDurationSec * (1 - f.progress))) : null
-                    const etaDate = f.startedAt && f.estimatedDurationSec ? new Date(new Date(f.startedAt).getTime() + f.estimatedDurationSec * 1000) : null
-                    const etaFormatted = etaDate ? etaDate.toLocaleTimeString('pt-BR', { hour:'2-digit', minute:'2-digit' }) : '—'
+                    // o progresso é a fração da distância; o tempo restante vem da linha do tempo do perfil
+                    const eta = f.startedAt ? calculateETA(f) : null
+                    const etaFormatted = eta ? eta.etaFormatted : '—'
                     const delivery = deliveries.find(d => d.id === f.deliveryId)
                     return (
                       <div key={f.id} className="active-flight">
@@ -977,15 +1322,18 @@ export default function App(){
                           <div style={{marginTop:6}}>
                             <div style={{fontSize:12, color:'#555'}}>Progresso do voo</div>
                             <div className="flight-progress-bar"><div style={{width: `${Math.round((f.progress||0)*100)}%`}}></div></div>
-                            <div style={{fontSize:12, marginTop:4}}>🕒 ETA: {etaFormatted}{remainingSec !== null && (<span style={{color:'#2563eb', fontWeight:600}}> • {Math.ceil(remainingSec/60)} min restantes</span>)}</div>
+                            <div style={{fontSize:12, marginTop:4}}>🕒 ETA: {etaFormatted}{eta && (<span style={{color:'#2563eb', fontWeight:600}}> • {eta.minutesRemaining} min restantes</span>)}</div>
                           </div>
                         </div>
-                        <div style={{marginTop:8, textAlign:'right'}}>
-                          <button className="small-btn" onClick={()=>startEditFlight(f)}>Editar</button>
-                          <button className="small-btn" style={{marginLeft:8}} onClick={()=>handleRemoveFlight(f.id)}>
-                            {loadingOps[`deleteFlight:${f.id}`] ? <span className="spinner"></span> : 'Remover'}
-                          </button>
-                        </div>
+                        {/* voo voltando após abortar não é editado nem removido até pousar */}
+                        {f.status !== 'returning' && (
+                          <div style={{marginTop:8, textAlign:'right'}}>
+                            <button className="small-btn" onClick={()=>startEditFlight(f)}>Editar</button>
+                            <button className="small-btn" style={{marginLeft:8}} onClick={()=>handleRemoveFlight(f.id)}>
+                              {loadingOps[`deleteFlight:${f.id}`] ? <span className="spinner"></span> : 'Remover'}
+                            </button>
+                          </div>
+                        )}
                       </div>
                     )
                   })
@@ -1016,7 +1364,26 @@ export default function App(){
                 )}
               </div>
 
-              {/* Card 3: Todos os Voos */}
+              {/* Card 3: Condições do tempo por área */}
+              <div className="card status-card">
+                <h3>🌬️ Tempo</h3>
+                {weatherAreas.length === 0 ? (
+                  <div style={{color:'#666', fontSize:14}}>Sem dados de tempo (calmo)</div>
+                ) : (
+                  weatherAreas.map(a => (
+                    <div key={a.id} style={{marginBottom:6, fontSize:12}}>
+                      <strong>{a.name}</strong>{typeof a.radiusKm !== 'number' && <span style={{color:'#666'}}> (geral)</span>}
+                      <div style={{color:'#555'}}>
+                        {/* a seta aponta para onde o vento sopra (direção informada + 180°) */}
+                        <span style={{display:'inline-block', transform:`rotate(${a.windDirectionDeg + 180}deg)`}}>↑</span>
+                        {' '}{a.windSpeedKmh} km/h • 🌧️ {a.precipitationMmH} mm/h • 🌡️ {a.temperatureC} °C
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+
+              {/* Card 4: Todos os Voos */}
               <div className="card status-card">
                 <h3>📋 Todos os Voos ({flights.length})</h3>
                 {flights.length === 0 ? (
@@ -1035,8 +1402,12 @@ export default function App(){
                             <span style={{color:'#666'}}>{f.droneId}</span>
                           </div>
                           <div style={{marginBottom:6, color:'#555'}}>
-                            {f.status === 'scheduled' && '⏱️ Agendado'}
+                            {f.status === 'scheduled' && (sched && sched.getTime() > Date.now()
+                              ? `⏱️ Parte em ${sched.toLocaleString('pt-BR',{day:'2-digit',month:'2-digit',hour:'2-digit',minute:'2-digit'})}`
+                              : '⏱️ Agendado')}
                             {f.status === 'in_progress' && '✈️ Em voo'}
+                            {f.status === 'holding' && '⏸️ Em espera'}
+                            {f.status === 'returning' && '↩️ Voltando'}
                             {f.status === 'completed' && '✅ Concluído'}
                             {f.status === 'cancelled' && '❌ Cancelado'}
                             {' • '}{f.distanceKm} km
@@ -1064,15 +1435,38 @@ export default function App(){
       return (
         <div className="card">
           <h2>Drones</h2>
+          {drones.length > 0 && (
+            <div style={{display:'flex', gap:6, flexWrap:'wrap', marginBottom:12}}>
+              <button className={`small-btn ${droneStateFilter === '' ? 'primary' : ''}`} onClick={()=>setDroneStateFilter('')}>Todos ({drones.length})</button>
+              {Object.entries(DRONE_STATE_BADGES).map(([state, badge]) => {
+                const count = drones.filter(dr => (dr.state || 'idle') === state).length
+                if (count === 0 && droneStateFilter !== state) return null
+                return (
+                  <button key={state} className={`small-btn ${droneStateFilter === state ? 'primary' : ''}`} onClick={()=>setDroneStateFilter(state)}>{badge.label} ({count})</button>
+                )
+              })}
+            </div>
+          )}
           {drones.length === 0 && <div style={{color:'#666'}}>Nenhum drone cadastrado</div>}
-          {drones.map(dr => {
+          {drones.filter(dr => !droneStateFilter || (dr.state || 'idle') === droneStateFilter).map(dr => {
             const autonomy = batteryAutonomyMinutes(dr)
+            const stateBadge = DRONE_STATE_BADGES[dr.state || 'idle'] || { label: dr.state, color: '#475569' }
             const tooltip = autonomy !== null ? `Autonomia estimada: ${autonomy} min` : 'Autonomia indisponível'
             return (
               <div key={dr.id} className="drone-card" style={{position:'relative'}}>
                 <div>
                   <div style={{fontWeight:700}}>{dr.model}</div>
-                  <div className="drone-meta">{dr.maxWeightKg} kg • {dr.maxRangeKm} km</div>
+                  <div className="drone-meta">{dr.maxWeightKg} kg • {dr.maxRangeKm} km • {cruiseSpeedKmhOf(dr)} km/h</div>
+                  <div className="drone-meta" style={{color: stateBadge.color, fontWeight:600}}>
+                    {stateBadge.label}
+                    {dr.stateNote && <span style={{color:'#666', fontWeight:400}}> • {dr.stateNote}</span>}
+                  </div>
+                  {dr.homeDepotId && (
+                    <div className="drone-meta">
+                      🏠 {(depots.find(dp => dp.id === dr.homeDepotId) || {}).name || dr.homeDepotId}
+                      {dr.dockedDepotId ? ' • na base' : ' • fora da base'}
+                    </div>
+                  )}
                 </div>
                 <div style={{textAlign:'right'}}>
                   <div className="battery-wrapper" title={tooltip}>
@@ -1103,6 +1497,25 @@ export default function App(){
                         <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent'}} onClick={()=>handleDrain(dr.id)}>
                           {loadingOps[`drain:${dr.id}`] ? <span className="spinner"></span> : 'Diminuir bateria'}
                         </button>
+                        {OUT_OF_SERVICE_STATES.includes(dr.state) ? (
+                          <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent'}} onClick={()=>handleDroneState(dr.id, 'idle')}>
+                            {loadingOps[`state:${dr.id}`] ? <span className="spinner"></span> : 'Voltar a operar'}
+                          </button>
+                        ) : ['idle', 'charging'].includes(dr.state || 'idle') && (
+                          <>
+                            <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent'}} onClick={()=>handleDroneState(dr.id, 'maintenance')}>
+                              {loadingOps[`state:${dr.id}`] ? <span className="spinner"></span> : 'Colocar em manutenção'}
+                            </button>
+                            <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent'}} onClick={()=>handleDroneState(dr.id, 'offline')}>
+                              Desligar
+                            </button>
+                          </>
+                        )}
+                        {dr.state === 'maintenance' && (
+                          <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent'}} onClick={()=>handleDroneState(dr.id, 'offline')}>
+                            Desligar
+                          </button>
+                        )}
                         <button className="small-btn" style={{display:'block', width:'100%', textAlign:'left', padding:8, border:'none', background:'transparent', color:'#c00'}} onClick={()=>handleRemove(dr.id)}>
                           {loadingOps[`remove:${dr.id}`] ? <span className="spinner"></span> : 'Remover drone'}
                         </button>
@@ -1144,7 +1557,7 @@ export default function App(){
                   <div style={{marginTop:12, background:'#f1f5f9', padding:8, borderRadius:8, fontSize:12}}>
                     <div><strong>Lat:</strong> {dr.currentLat.toFixed(5)}</div>
                     <div><strong>Lon:</strong> {dr.currentLon.toFixed(5)}</div>
-                    <div style={{marginTop:6, color:'#2563eb'}}>Estado: {dr.state || 'idle'}</div>
+                    <div style={{marginTop:6, color:'#2563eb'}}>Estado: {(DRONE_STATE_BADGES[dr.state || 'idle'] || { label: dr.state }).label}</div>
                   </div>
                 )
               })()}
@@ -1157,6 +1570,7 @@ export default function App(){
                   <MapContainer center={[dr.currentLat, dr.currentLon]} zoom={15} style={{width:'100%', height:'100%'}} whenCreated={setLeafletMap}>
                     <TileLayer attribution='&copy; OpenStreetMap' url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
                     <Marker position={[dr.currentLat, dr.currentLon]}> <Popup>Drone {locateDroneId}</Popup> </Marker>
+                    <ObstacleLayers obstacles={obstacles} />
                   </MapContainer>
                 )
               })()}
@@ -1171,6 +1585,16 @@ export default function App(){
         <div className="card">
           <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
             <h2 style={{margin:0}}>Entregas</h2>
+            <label style={{display:'flex', alignItems:'center', gap:6, fontSize:13}} title="Horário de partida dos voos agendados aqui (vazio = partir agora)">
+              Partida
+              <input type="datetime-local" value={departureAt} onChange={e=>setDepartureAt(e.target.value)} />
+              {departureAt && <button className="small-btn" onClick={()=>setDepartureAt('')}>Agora</button>}
+            </label>
+            {selectedDeliveryIds.length > 0 && (
+              <button className="small-btn primary" onClick={handleScheduleSelected} disabled={loadingOps['schedule:selected']}>
+                {loadingOps['schedule:selected'] ? <span className="spinner"></span> : `Agendar ${selectedDeliveryIds.length} em um voo`}
+              </button>
+            )}
             {deliveries.some(d => d.status === 'cancelled') && (
               <button
                 className="small-btn"
@@ -1191,9 +1615,15 @@ export default function App(){
           {deliveries.map(d => (
             <div key={d.id} className="delivery-card">
               <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:12}}>
-                <div>
-                  <div style={{fontWeight:700}}>{d.id}</div>
-                  <div style={{color:'#666', fontSize:13}}>peso: {d.weightKg} kg</div>
+                <div style={{display:'flex', alignItems:'center', gap:8}}>
+                  {d.status === 'pending' && (
+                    <input type="checkbox" checked={selectedDeliveryIds.includes(d.id)} onChange={()=>toggleDeliverySelection(d.id)} aria-label={`Selecionar ${d.id} para voo multi-parada`} />
+                  )}
+                  <div>
+                    <div style={{fontWeight:700}}>{d.id}</div>
+                    <div style={{color:'#666', fontSize:13}}>peso: {d.weightKg} kg</div>
+                    <DeliveryWindow delivery={d} />
+                  </div>
                 </div>
                 <div style={{textAlign:'right'}}>
                         <button
@@ -1214,6 +1644,9 @@ export default function App(){
                             </button>
                           </>
                         )}
+                        {d.status === 'in_transit' && (
+                          <button className="small-btn" style={{marginLeft:8}} onClick={()=>startRedirectDelivery(d)}>Redirecionar</button>
+                        )}
                         {d.status && d.status !== 'pending' && d.status !== 'cancelled' && (
                           <button className="small-btn" style={{marginLeft:8}} onClick={()=>handleCancelDelivery(d.id)}>
                             {loadingOps[`cancelDelivery:${d.id}`] ? <span className="spinner"></span> : 'Cancelar'}
@@ -1245,6 +1678,14 @@ export default function App(){
                 </div>
               </div>
               
+              {Array.isArray(d.redirects) && d.redirects.length > 0 && (
+                <div style={{marginTop:8, fontSize:12, color:'#666'}}>
+                  {d.redirects.map((r, i) => (
+                    <div key={i}>↪️ {new Date(r.at).toLocaleTimeString('pt-BR')} — destino alterado de {r.from.lat.toFixed(4)}, {r.from.lon.toFixed(4)} para {r.to.address || `${r.to.lat.toFixed(4)}, ${r.to.lon.toFixed(4)}`}</div>
+                  ))}
+                </div>
+              )}
+
               {d.status === 'cancelled' && (
                 <div style={{marginTop:8, padding:8, background:'#fee', borderRadius:6, color:'#c00', fontSize:13, textAlign:'center'}}>
                   ❌ Entrega cancelada
@@ -1266,6 +1707,7 @@ export default function App(){
                 <div>
                   <div style={{fontWeight:700}}>{d.id}</div>
                   <div style={{color:'#666'}}>{d.weightKg} kg — {d.priority}</div>
+                  <DeliveryWindow delivery={d} />
                 </div>
                 <div>
                   <button className="small-btn" onClick={()=>startEditDelivery(d)} style={{marginRight:8}}>Editar</button>
@@ -1300,15 +1742,45 @@ export default function App(){
             <div key={f.id} style={{marginBottom:12}}>
               <div style={{display:'flex', justifyContent:'space-between'}}>
                 <div><strong>{flightLabel(f)}</strong> — <span style={{color:'#666'}}>{f.droneId}</span></div>
-                <div style={{color:'#666'}}>{f.distanceKm} km</div>
+                <div style={{color:'#666'}}>{f.distanceKm} km{f.positioningKm > 0 ? ` (${f.positioningKm} km de posicionamento)` : ''}{f.returnKm > 0 ? ` (${f.returnKm} km de retorno à base)` : ''}{Array.isArray(f.waypoints) && f.waypoints.length > (f.stops || []).length + (f.origin ? 1 : 0) ? ' • com desvio de obstáculos' : ''}</div>
               </div>
               <div style={{marginTop:8}} className="progress"><i style={{width: `${Math.min(100, f.requiredBattery || 0)}%`}}></i></div>
-              <div style={{marginTop:8, textAlign:'right'}}>
-                <button className="small-btn" onClick={()=>startEditFlight(f)}>Editar</button>
-                <button className="small-btn" style={{marginLeft:8}} onClick={()=>handleRemoveFlight(f.id)}>
-                  {loadingOps[`deleteFlight:${f.id}`] ? <span className="spinner"></span> : 'Remover'}
-                </button>
-              </div>
+              {Array.isArray(f.stops) && f.stops.length > 0 && (
+                <div style={{fontSize:12, color:'#666', marginTop:6}}>
+                  {f.stops.map(s => (
+                    <span key={s.seq} style={{marginRight:10, textDecoration: s.status === 'skipped' ? 'line-through' : 'none'}}>
+                      {s.status === 'completed' ? '✓' : '○'} {s.seq}. {STOP_TYPE_LABELS[s.type] || s.type} {s.deliveryId || s.depotId || ''}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {f.status === 'holding' && (
+                <div style={{fontSize:12, color:'#b45309', marginTop:6}}>⏸️ Em espera{f.hold && f.hold.reason === 'obstacle-conflict' ? ` — rota cruza o obstáculo ${f.hold.obstacleId}` : ''}{f.hold && f.hold.reason === 'return-blocked' ? ' — abortado, sem volta fora das zonas restritas: requer o operador' : ''}{f.hold && f.hold.note ? ` — ${f.hold.note}` : ''}{f.hold && f.hold.previousStatus === 'in_progress' ? ` • pairando (${f.hoverBatteryConsumed || 0}% de bateria)` : ''}</div>
+              )}
+              {f.status === 'returning' && f.abort && (
+                <div style={{fontSize:12, color:'#b45309', marginTop:6}}>↩️ Abortado, voltando {f.abort.destination.type === 'depot' ? `à base ${f.abort.destination.depotId}` : 'ao ponto de partida'}{f.stops.some(s => s.type === 'pickup') ? ' com a carga' : ''}</div>
+              )}
+              {Array.isArray(f.history) && f.history.length > 0 && (
+                <div style={{fontSize:11, color:'#888', marginTop:4}}>
+                  {f.history.map((h, i) => (
+                    <div key={i}>{new Date(h.at).toLocaleTimeString()} — {FLIGHT_ACTION_LABELS[h.action] || h.action}{h.obstacleId ? ` (obstáculo ${h.obstacleId})` : ''}</div>
+                  ))}
+                </div>
+              )}
+              {/* voo voltando após abortar não é editado nem removido até pousar */}
+              {f.status !== 'returning' && (
+                <div style={{marginTop:8, textAlign:'right'}}>
+                  {['scheduled', 'in_progress', 'holding'].includes(f.status) && !(f.hold && f.hold.reason === 'return-blocked') && (
+                    <button className="small-btn" style={{marginRight:8}} onClick={()=>handleHoldFlight(f)}>
+                      {loadingOps[`holdFlight:${f.id}`] ? <span className="spinner"></span> : (f.status === 'holding' ? '▶️ Retomar' : '⏸️ Pausar')}
+                    </button>
+                  )}
+                  <button className="small-btn" onClick={()=>startEditFlight(f)}>Editar</button>
+                  <button className="small-btn" style={{marginLeft:8}} onClick={()=>handleRemoveFlight(f.id)}>
+                    {loadingOps[`deleteFlight:${f.id}`] ? <span className="spinner"></span> : 'Remover'}
+                  </button>
+                </div>
+              )}
             </div>
           ))}
           {editingFlight && (
@@ -1461,6 +1933,7 @@ export default function App(){
                   {Array.isArray(mapState.positions) && mapState.positions.length > 1 && (
                     <Polyline positions={mapState.positions} pathOptions={{ color: '#2563eb' }} />
                   )}
+                  <ObstacleLayers obstacles={obstacles} />
                   </MapContainer>
 
                   {/* Botão flutuante para centralizar/ajustar o mapa */}
@@ -1520,6 +1993,30 @@ export default function App(){
         </div>
       )}
 
+      {redirecting && (
+        <div style={{position:'fixed', left:0, top:0, right:0, bottom:0, background:'rgba(0,0,0,0.5)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:2000}} onClick={()=>setRedirecting(null)}>
+          <div style={{width:420, background:'#fff', borderRadius:6, overflow:'hidden', boxShadow:'0 6px 24px rgba(0,0,0,0.4)'}} onClick={e=>e.stopPropagation()}>
+            <div style={{padding:12, borderBottom:'1px solid #eee', fontWeight:700}}>Redirecionar Entrega — {redirecting.delivery.id}</div>
+            <div style={{padding:12}}>
+              <div style={{fontSize:12, color:'#666', marginBottom:8}}>O drone segue da posição atual para o novo destino; alcance, bateria e obstáculos são conferidos de novo.</div>
+              <label style={{display:'block', marginBottom:6}}>Latitude</label>
+              <input value={redirecting.lat} onChange={e=>setRedirecting({ ...redirecting, lat: e.target.value })} style={{width:'100%', padding:8, marginBottom:8}} />
+              <label style={{display:'block', marginBottom:6}}>Longitude</label>
+              <input value={redirecting.lon} onChange={e=>setRedirecting({ ...redirecting, lon: e.target.value })} style={{width:'100%', padding:8, marginBottom:8}} />
+              <label style={{display:'block', marginBottom:6}}>Endereço (opcional)</label>
+              <input value={redirecting.address} onChange={e=>setRedirecting({ ...redirecting, address: e.target.value })} style={{width:'100%', padding:8}} />
+
+              <div style={{marginTop:12, display:'flex', justifyContent:'flex-end'}}>
+                <button className="small-btn" onClick={()=>setRedirecting(null)} style={{marginRight:8}}>Cancelar</button>
+                <button className="small-btn primary" onClick={saveRedirectDelivery}>
+                  {loadingOps[`redirectDelivery:${redirecting.delivery.id}`] ? <span className="spinner"></span> : 'Redirecionar'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       <Toasts toasts={toasts} removeToast={removeToast} />
     </div>
   )
@@ -34,6 +34,14 @@ export async function updateDrone(id, payload){
   return data;
 }
 
+// Tira um drone de operação ('maintenance' | 'offline') ou devolve ('idle'): POST /drones/:id/state
+export async function setDroneState(id, state, note){
+  const r = await fetch(`${BASE}/drones/${encodeURIComponent(id)}/state`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(note ? { state, note } : { state }) });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
 // Remove um drone (arquivo backend arquiva voos relacionados em flightHistory)
 export async function deleteDrone(id){
   const r = await fetch(`${BASE}/drones/${encodeURIComponent(id)}`, { method: 'DELETE' });
@@ -42,6 +50,30 @@ export async function deleteDrone(id){
   return data;
 }
 
+// Busca os obstáculos (zonas de exclusão aérea: circle, polygon ou multipolygon)
+export async function fetchObstacles(){
+  const r = await fetch(`${BASE}/obstacles`);
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
+// Áreas de condições do tempo (vento, precipitação, temperatura)
+export async function fetchWeather(){
+  const r = await fetch(`${BASE}/weather`);
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
+// Busca as bases (depósitos com pontos de recarga) com a ocupação atual
+export async function fetchDepots(){
+  const r = await fetch(`${BASE}/depots`);
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
 // Busca entregas
 export async function fetchDeliveries(){
   const r = await fetch(`${BASE}/deliveries`);
@@ -106,6 +138,22 @@ export async function updateFlight(id, payload){
   return data;
 }
 
+// Coloca um voo em espera (POST /flights/:id/hold) - no ar, o drone paira
+export async function holdFlight(id, note){
+  const r = await fetch(`${BASE}/flights/${encodeURIComponent(id)}/hold`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(note ? { note } : {}) });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
+// Retoma um voo em espera (POST /flights/:id/resume)
+export async function resumeFlight(id){
+  const r = await fetch(`${BASE}/flights/${encodeURIComponent(id)}/resume`, { method: 'POST' });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
 // Remove (apaga/arquiva) um voo pelo id
 export async function deleteFlight(id){
   const r = await fetch(`${BASE}/flights/${encodeURIComponent(id)}`, { method: 'DELETE' });
@@ -165,6 +213,14 @@ export async function forwardGeocode(query){
   return data.results || [];
 }
 
+// Redireciona uma entrega em trânsito para um novo destino (POST /deliveries/:id/redirect)
+export async function redirectDelivery(id, dropoff){
+  const r = await fetch(`${BASE}/deliveries/${encodeURIComponent(id)}/redirect`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ dropoff }) });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.reason ? `${data.error}: ${data.reason}` : (data.error || JSON.stringify(data)));
+  return data;
+}
+
 // Remove todas as entregas canceladas em lote
 export async function purgeCancelledDeliveries(){
   const r = await fetch(`${BASE}/deliveries-bulk/purge-cancelled`, { method: 'DELETE' });
@@ -172,3 +228,27 @@ export async function purgeCancelledDeliveries(){
   if (!r.ok) throw new Error(data.error || JSON.stringify(data));
   return data;
 }
+
+// Importação em lote: collection = drones | deliveries | obstacles
+// content: texto CSV ou array de objetos (JSON). Retorna o resultado de cada linha.
+export async function importData(collection, content, { dryRun = false } = {}){
+  const isCsv = typeof content === 'string'
+  const r = await fetch(`${BASE}/import/${collection}${dryRun ? '?dryRun=true' : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/json' },
+    body: isCsv ? content : JSON.stringify(content)
+  });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || JSON.stringify(data));
+  return data;
+}
+
+// Exportação: baixa a coleção em CSV ou JSON como Blob (para download no navegador)
+export async function exportData(collection, format = 'csv'){
+  const r = await fetch(`${BASE}/export/${collection}?format=${format}`);
+  if (!r.ok) {
+    const data = await r.json();
+    throw new Error(data.error || JSON.stringify(data));
+  }
+  return r.blob();
+}
@@ -4,6 +4,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   server: {
-    port: 5173
+    port: 5173,
+    // permite importar módulos compartilhados com o backend (../shared)
+    fs: { allow: ['..'] }
   }
 })
@@ -0,0 +1,87 @@
+// Modelo de consumo de energia dos drones, compartilhado pelo backend (agendamento e dreno de
+// bateria no loop de simulação) e pelo frontend (autonomia e pré-checagem de agendamento).
+// Módulo ES: o backend (CommonJS) carrega com require() (Node >= 20.19).
+//
+// `maxRangeKm` do drone é o alcance com bateria cheia, sem carga e na velocidade de referência.
+// A velocidade de cruzeiro vem do perfil de desempenho (ver flightProfile.mjs).
+// Cada drone pode ter um `energyProfile` (campos ausentes usam DEFAULT_ENERGY_PROFILE):
+//  - payloadFactor:  consumo extra com carga máxima (0.5 = 50% a mais por km com maxWeightKg a bordo)
+//  - reservePercent: margem de segurança reservada além da energia do trajeto
+//  - hoverFactor:    consumo pairando (voo em espera) em relação ao cruzeiro com a mesma carga
+//
+// Consumo por km (% da bateria) = 100 / maxRangeKm × fator de carga × fator de velocidade
+//  - fator de carga = 1 + payloadFactor × carga / maxWeightKg
+//  - fator de velocidade = 0.5 × (ref / v) + 0.5 × (v / ref)²: metade da energia sustenta o voo
+//    (menos por km quanto mais rápido), metade vence o arrasto (cresce com o quadrado); vale 1 em ref
+// Bateria necessária = energia do trajeto × (1 + reservePercent / 100), arredondada para cima.
+// Com vento, cada km percorrido no solo custa cruzeiro / velocidade no solo km "no ar":
+// vento contra gasta mais bateria por km, vento a favor gasta menos.
+
+import { cruiseSpeedKmhOf, groundSpeedKmh, tailwindOn } from './flightProfile.mjs';
+
+export const REFERENCE_SPEED_KMH = 36; // ~10 m/s
+export const DEFAULT_ENERGY_PROFILE = { payloadFactor: 0.5, reservePercent: 20, hoverFactor: 1.2 };
+
+export function energyProfileOf(drone) {
+  return { ...DEFAULT_ENERGY_PROFILE, ...((drone && drone.energyProfile) || {}) };
+}
+
+// % de bateria por km com `payloadKg` a bordo (sem margem de reserva)
+export function consumptionPerKm(drone, payloadKg = 0) {
+  const { payloadFactor } = energyProfileOf(drone);
+  const cruiseSpeedKmh = cruiseSpeedKmhOf(drone);
+  const load = drone.maxWeightKg > 0 ? Math.min(1, Math.max(0, payloadKg) / drone.maxWeightKg) : 0;
+  const ratio = cruiseSpeedKmh / REFERENCE_SPEED_KMH;
+  const speedFactor = 0.5 / ratio + 0.5 * ratio * ratio;
+  return (100 / drone.maxRangeKm) * (1 + payloadFactor * load) * speedFactor;
+}
+
+// Trechos { distanceKm, payloadKg, tailwindKmh } de uma rota com paradas ordenadas por `atKm`
+// (ver backend/flightPlan.js): a carga sobe na coleta e desce no destino de cada entrega.
+// Paradas puladas (entrega cancelada) não mudam a carga. `tailwinds`: ver flightProfile.mjs.
+export function routeLegs(stops, weightOf, tailwinds = []) {
+  const legs = [];
+  let km = 0;
+  let payloadKg = 0;
+  for (const stop of stops) {
+    legs.push({ distanceKm: Math.max(0, stop.atKm - km), payloadKg, tailwindKmh: tailwindOn(tailwinds, km, stop.atKm) });
+    km = stop.atKm;
+    if (stop.status === 'skipped') continue;
+    if (stop.type === 'pickup') payloadKg += weightOf(stop.deliveryId) || 0;
+    if (stop.type === 'dropoff') payloadKg = Math.max(0, payloadKg - (weightOf(stop.deliveryId) || 0));
+  }
+  return legs;
+}
+
+// Energia (% da bateria, sem reserva) gasta nos primeiros `upToKm` dos trechos
+export function energyForLegs(drone, legs, upToKm = Infinity) {
+  const cruiseSpeedKmh = cruiseSpeedKmhOf(drone);
+  let remaining = upToKm;
+  let energy = 0;
+  for (const leg of legs) {
+    if (remaining <= 0) break;
+    const km = Math.min(leg.distanceKm, remaining);
+    const airKmPerKm = cruiseSpeedKmh / groundSpeedKmh(cruiseSpeedKmh, leg.tailwindKmh || 0);
+    energy += km * airKmPerKm * consumptionPerKm(drone, leg.payloadKg);
+    remaining -= km;
+  }
+  return energy;
+}
+
+// Energia (% da bateria) gasta pairando por `seconds` com `payloadKg` a bordo: o consumo de
+// cruzeiro por unidade de tempo × hoverFactor
+export function hoverEnergy(drone, payloadKg, seconds) {
+  const { hoverFactor } = energyProfileOf(drone);
+  return consumptionPerKm(drone, payloadKg) * cruiseSpeedKmhOf(drone) * (Math.max(0, seconds) / 3600) * hoverFactor;
+}
+
+// Bateria a reservar (%) para os trechos: energia + margem de reserva, limitada a 100
+export function requiredBatteryPercent(drone, legs) {
+  const { reservePercent } = energyProfileOf(drone);
+  return Math.min(100, Math.ceil(energyForLegs(drone, legs) * (1 + reservePercent / 100) - 1e-9));
+}
+
+// Distância (km) que o drone voa sem carga até esgotar `batteryPercent`
+export function autonomyKm(drone, batteryPercent = drone.batteryPercent) {
+  return Math.max(0, Number(batteryPercent) || 0) / consumptionPerKm(drone, 0);
+}
@@ -0,0 +1,93 @@
+// Perfil de desempenho dos drones e linha do tempo de um voo, compartilhados pelo backend
+// (duração estimada e progresso simulado) e pelo frontend (ETAs e autonomia em minutos).
+//
+// Cada drone pode ter um `performanceProfile` (campos ausentes usam DEFAULT_PERFORMANCE_PROFILE):
+//  - cruiseSpeedKmh: velocidade de cruzeiro (asa fixa rápida, multirotor lento...)
+//  - takeoffSec / landingSec: sobrecarga de decolagem e pouso (partida dos motores, checagens)
+//  - climbSec / descentSec: subida até a altitude de cruzeiro e descida até o solo
+//
+// O drone decola uma vez, pousa em cada local de parada (coleta, destino) e pousa no fim da rota.
+// Em cada local intermediário gasta descida + pouso + decolagem + subida, parado no lugar;
+// paradas no mesmo ponto (mesmo `atKm`) contam como um só pouso.
+//
+// Vento (opcional): `tailwinds` = [{ fromKm, toKm, kmh }] com a componente do vento a favor (+)
+// ou contra (-) em cada trecho entre paradas (ver backend/weather.js). A velocidade em relação
+// ao solo é a de cruzeiro somada a ela; trechos sem entrada voam sem vento.
+
+export const DEFAULT_PERFORMANCE_PROFILE = { cruiseSpeedKmh: 36, takeoffSec: 0, climbSec: 0, descentSec: 0, landingSec: 0 };
+
+export function performanceProfileOf(drone) {
+  return { ...DEFAULT_PERFORMANCE_PROFILE, ...((drone && drone.performanceProfile) || {}) };
+}
+
+export function cruiseSpeedKmhOf(drone) {
+  return performanceProfileOf(drone).cruiseSpeedKmh;
+}
+
+// Vento contra mais forte que o drone não o faz parar nem voltar: fica com um mínimo de avanço
+const MIN_GROUND_SPEED_RATIO = 0.25;
+
+export function groundSpeedKmh(airspeedKmh, tailwindKmh = 0) {
+  return Math.max(airspeedKmh * MIN_GROUND_SPEED_RATIO, airspeedKmh + tailwindKmh);
+}
+
+// Vento a favor (km/h) no trecho de `fromKm` a `toKm`
+export function tailwindOn(tailwinds, fromKm, toKm) {
+  const leg = (tailwinds || []).find(t => t.fromKm === fromKm && t.toKm === toKm);
+  return leg ? leg.kmh : 0;
+}
+
+// Fases do voo pelas paradas ordenadas por `atKm` (ver backend/flightPlan.js):
+// [{ kind: 'vertical' | 'cruise', fromKm, toKm, durationSec }]
+export function flightTimeline(stops, drone, tailwinds = []) {
+  const p = performanceProfileOf(drone);
+  const up = p.takeoffSec + p.climbSec;
+  const down = p.descentSec + p.landingSec;
+  // o voo começa no km 0 já em solo: uma parada ali (drone sem trecho de posicionamento) não gera pouso
+  const locations = [...new Set(stops.map(s => s.atKm))].filter(km => km > 0).sort((a, b) => a - b);
+  const phases = [{ kind: 'vertical', fromKm: 0, toKm: 0, durationSec: up }];
+  let km = 0;
+  locations.forEach((toKm, i) => {
+    const speedKmh = groundSpeedKmh(p.cruiseSpeedKmh, tailwindOn(tailwinds, km, toKm));
+    phases.push({ kind: 'cruise', fromKm: km, toKm, durationSec: ((toKm - km) / speedKmh) * 3600 });
+    km = toKm;
+    phases.push({ kind: 'vertical', fromKm: km, toKm: km, durationSec: i === locations.length - 1 ? down : down + up });
+  });
+  if (locations.length === 0) phases.push({ kind: 'vertical', fromKm: 0, toKm: 0, durationSec: down });
+  return phases;
+}
+
+export function timelineDurationSec(phases) {
+  return phases.reduce((sum, phase) => sum + phase.durationSec, 0);
+}
+
+// Duração estimada (s) de um voo com as paradas informadas
+export function flightDurationSec(stops, drone, tailwinds = []) {
+  return timelineDurationSec(flightTimeline(stops, drone, tailwinds));
+}
+
+// Distância percorrida (km) depois de `elapsedSec` de voo
+export function kmAtElapsed(phases, elapsedSec) {
+  let remaining = elapsedSec;
+  let km = 0;
+  for (const phase of phases) {
+    if (remaining <= 0) break;
+    const fraction = phase.durationSec > 0 ? Math.min(1, remaining / phase.durationSec) : 1;
+    km = phase.fromKm + (phase.toKm - phase.fromKm) * fraction;
+    remaining -= phase.durationSec;
+  }
+  return km;
+}
+
+// Tempo de voo (s) até chegar ao km `km` da rota (antes da descida na parada)
+export function elapsedAtKm(phases, km) {
+  let elapsed = 0;
+  for (const phase of phases) {
+    if (phase.kind === 'cruise' && phase.toKm >= km) {
+      const span = phase.toKm - phase.fromKm;
+      return elapsed + (span > 0 ? ((km - phase.fromKm) / span) * phase.durationSec : 0);
+    }
+    elapsed += phase.durationSec;
+  }
+  return elapsed;
+}